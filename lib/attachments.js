@@ -0,0 +1,121 @@
+// 添付ファイルの保存（内容の SHA-256 をファイル名にしたローカルディスク上の格納庫）
+//
+// 同じ内容のファイルは1つだけ保存される。どのルームのどのメッセージが参照して
+// いるかはサーバ側で管理し、ここはファイルの読み書きと種類の判定だけを受け持つ。
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// 種類の判定に使う先頭部分の長さ
+const SNIFF_BYTES = 512;
+
+// 先頭のバイト列（マジックナンバー）と種類の対応
+const SIGNATURES = [
+  { type: 'image/png', bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] },
+  { type: 'image/jpeg', bytes: [0xff, 0xd8, 0xff] },
+  { type: 'image/gif', ascii: 'GIF87a' },
+  { type: 'image/gif', ascii: 'GIF89a' },
+  { type: 'image/webp', ascii: 'RIFF', at: 8, then: 'WEBP' },
+  { type: 'audio/wav', ascii: 'RIFF', at: 8, then: 'WAVE' },
+  { type: 'application/pdf', ascii: '%PDF-' },
+  { type: 'application/zip', bytes: [0x50, 0x4b, 0x03, 0x04] },
+  { type: 'application/gzip', bytes: [0x1f, 0x8b] },
+  { type: 'audio/mpeg', ascii: 'ID3' },
+  { type: 'audio/ogg', ascii: 'OggS' },
+  { type: 'video/webm', bytes: [0x1a, 0x45, 0xdf, 0xa3] },
+  { type: 'video/mp4', ascii: 'ftyp', offset: 4 },
+];
+
+function startsWith(head, bytes, offset = 0) {
+  if (head.length < offset + bytes.length) return false;
+  return bytes.every((b, i) => head[offset + i] === b);
+}
+
+// 内容から MIME タイプを判定する（申告された Content-Type やファイル名は信用しない）
+function sniffMime(head) {
+  for (const sig of SIGNATURES) {
+    const bytes = sig.bytes || [...Buffer.from(sig.ascii, 'latin1')];
+    if (!startsWith(head, bytes, sig.offset || 0)) continue;
+    if (sig.then && !startsWith(head, [...Buffer.from(sig.then, 'latin1')], sig.at)) continue;
+    return sig.type;
+  }
+  // NUL を含まず UTF-8 として読めるものはテキスト扱い（末尾で切れた文字は許す）
+  if (head.length > 0 && !head.includes(0)) {
+    const text = head.toString('utf8');
+    const broken = (text.match(/\ufffd/g) || []).length;
+    if (broken <= 1 && (broken === 0 || text.endsWith('\ufffd'))) return 'text/plain';
+  }
+  return 'application/octet-stream';
+}
+
+// サイズ上限を超えたときのエラー（code で見分ける）
+function tooLarge(limit) {
+  const err = new Error(`File must not exceed ${limit} bytes`);
+  err.code = 'FILE_TOO_LARGE';
+  return err;
+}
+
+function createBlobStore(dir) {
+  function blobPath(hash) {
+    return path.join(dir, hash.slice(0, 2), hash);
+  }
+
+  return {
+    path: blobPath,
+
+    // ストリームを一時ファイルへ書きながらハッシュを計算し、最後に内容のハッシュ名へ移す
+    // maxBytes を超えた時点で書き込みを止めて code が FILE_TOO_LARGE のエラーで失敗する
+    write(stream, maxBytes) {
+      return new Promise((resolve, reject) => {
+        fs.mkdirSync(dir, { recursive: true });
+        const tmp = path.join(dir, `.upload-${crypto.randomBytes(8).toString('hex')}`);
+        const out = fs.createWriteStream(tmp);
+        const hash = crypto.createHash('sha256');
+        const head = [];
+        let headSize = 0;
+        let size = 0;
+        let failed = false;
+
+        const fail = (err) => {
+          if (failed) return;
+          failed = true;
+          stream.unpipe(out);
+          out.destroy();
+          fs.rm(tmp, { force: true }, () => reject(err));
+        };
+
+        stream.on('data', (chunk) => {
+          if (failed) return;
+          size += chunk.length;
+          if (size > maxBytes) { fail(tooLarge(maxBytes)); return; }
+          hash.update(chunk);
+          if (headSize < SNIFF_BYTES) {
+            head.push(chunk.subarray(0, SNIFF_BYTES - headSize));
+            headSize += head[head.length - 1].length;
+          }
+        });
+        stream.on('error', fail);
+        stream.on('aborted', () => fail(new Error('Upload aborted')));
+        out.on('error', fail);
+        out.on('finish', () => {
+          if (failed) return;
+          const digest = hash.digest('hex');
+          const dest = blobPath(digest);
+          fs.mkdirSync(path.dirname(dest), { recursive: true });
+          fs.rename(tmp, dest, (err) => {
+            if (err) { fail(err); return; }
+            resolve({ hash: digest, size, type: sniffMime(Buffer.concat(head)) });
+          });
+        });
+        stream.pipe(out);
+      });
+    },
+
+    remove(hash) {
+      fs.rm(blobPath(hash), { force: true }, () => {});
+    },
+  };
+}
+
+module.exports = { sniffMime, createBlobStore };
@@ -0,0 +1,100 @@
+// Redis の pub/sub だけを真似る小さなサーバ（Redis を用意できない環境・テスト用の代替）
+//
+// PUBLISH / SUBSCRIBE / UNSUBSCRIBE / PING / AUTH / SELECT / QUIT に応答する。
+// 保存はせず、購読していない間のメッセージは捨てる（Redis の pub/sub と同じ）。
+//
+//   node lib/broker-server.js [port]   （既定 6379）
+
+const net = require('net');
+const { encode, createParser } = require('./broker');
+
+function createBrokerServer() {
+  // チャンネル → 購読している接続
+  const channels = new Map();
+
+  const server = net.createServer((socket) => {
+    const subscribed = new Set();
+    const send = (value) => { if (!socket.destroyed) socket.write(encode(value)); };
+
+    const unsubscribe = (channel) => {
+      subscribed.delete(channel);
+      const set = channels.get(channel);
+      if (!set) return;
+      set.delete(socket);
+      if (!set.size) channels.delete(channel);
+    };
+
+    const run = (command) => {
+      if (!Array.isArray(command) || !command.length) { send(new Error('ERR invalid command')); return; }
+      const [name, ...args] = command.map(String);
+      switch (name.toUpperCase()) {
+        case 'PING':
+          if (subscribed.size) send(['pong', args[0] || '']);
+          else socket.write(args.length ? encode(args[0]) : '+PONG\r\n');
+          return;
+        case 'AUTH':
+        case 'SELECT':
+          socket.write('+OK\r\n');
+          return;
+        case 'QUIT':
+          socket.end('+OK\r\n');
+          return;
+        case 'SUBSCRIBE':
+          if (!args.length) { send(new Error("ERR wrong number of arguments for 'subscribe' command")); return; }
+          for (const channel of args) {
+            subscribed.add(channel);
+            if (!channels.has(channel)) channels.set(channel, new Set());
+            channels.get(channel).add(socket);
+            send(['subscribe', channel, subscribed.size]);
+          }
+          return;
+        case 'UNSUBSCRIBE': {
+          const targets = args.length ? args : [...subscribed];
+          for (const channel of targets) {
+            unsubscribe(channel);
+            send(['unsubscribe', channel, subscribed.size]);
+          }
+          return;
+        }
+        case 'PUBLISH': {
+          if (args.length !== 2) { send(new Error("ERR wrong number of arguments for 'publish' command")); return; }
+          const receivers = channels.get(args[0]) || new Set();
+          for (const s of receivers) {
+            if (!s.destroyed) s.write(encode(['message', args[0], args[1]]));
+          }
+          send(receivers.size);
+          return;
+        }
+        default:
+          send(new Error(`ERR unknown command '${name}'`));
+      }
+    };
+
+    const parse = createParser(run);
+    socket.on('data', (chunk) => {
+      try {
+        parse(chunk);
+      } catch {
+        send(new Error('ERR Protocol error'));
+        socket.destroy();
+      }
+    });
+    socket.on('error', () => {});
+    socket.on('close', () => {
+      for (const channel of [...subscribed]) unsubscribe(channel);
+    });
+  });
+
+  // チャンネルを購読している接続の数
+  server.subscribers = (channel) => (channels.get(channel) || new Set()).size;
+  return server;
+}
+
+if (require.main === module) {
+  const port = Number(process.argv[2]) || 6379;
+  createBrokerServer().listen(port, () => {
+    console.log('Broker listening on', port);
+  });
+}
+
+module.exports = { createBrokerServer };
@@ -0,0 +1,223 @@
+// 配信用のブローカー（複数のサーバインスタンスでルームを共有するための pub/sub）
+//
+// どの実装も次のインターフェースを持つ:
+//   publish(channel, message)     JSON にできる値をチャンネルへ送る
+//   subscribe(channel, handler)   受信した値を handler に渡す（戻り値は購読の解除）
+//   connected                     送受信できる状態か
+//   close()                       後始末
+//
+// createMemoryBroker() は同じプロセス内だけで配る。createRedisBroker() は Redis の
+// PUBLISH / SUBSCRIBE を使い、lib/broker-server.js の代替サーバにもそのまま繋がる。
+
+const net = require('net');
+
+// 切断中にためておく送信の上限（超えたら古いものから捨てる）
+const PUBLISH_QUEUE_LIMIT = 1000;
+const RECONNECT_MIN_MS = 500;
+const RECONNECT_MAX_MS = 30 * 1000;
+
+// 同じプロセス内で配るブローカー（インスタンスが1つのとき用）
+function createMemoryBroker() {
+  const handlers = new Map();
+  return {
+    connected: true,
+    // 同じプロセス内なので値は複製せずに渡す（受け手は書き換えないこと）
+    publish(channel, message) {
+      for (const handler of handlers.get(channel) || []) handler(message);
+    },
+    subscribe(channel, handler) {
+      if (!handlers.has(channel)) handlers.set(channel, new Set());
+      handlers.get(channel).add(handler);
+      return () => handlers.get(channel).delete(handler);
+    },
+    close() {
+      handlers.clear();
+    },
+  };
+}
+
+// RESP（Redis のプロトコル）で値を書き出す
+// 文字列は bulk string、数値は integer、null は null bulk string、Error はエラー応答になる
+function encode(value) {
+  if (value === null) return '$-1\r\n';
+  if (typeof value === 'number') return `:${value}\r\n`;
+  if (value instanceof Error) return `-${value.message}\r\n`;
+  if (Array.isArray(value)) return `*${value.length}\r\n${value.map(encode).join('')}`;
+  const text = String(value);
+  return `$${Buffer.byteLength(text)}\r\n${text}\r\n`;
+}
+
+// buf の start から RESP の値を1つ読む（足りなければ null）
+function parseValue(buf, start) {
+  const eol = buf.indexOf('\r\n', start);
+  if (eol < 0) return null;
+  const type = String.fromCharCode(buf[start]);
+  const line = buf.toString('utf8', start + 1, eol);
+  if (type === '+') return { value: line, end: eol + 2 };
+  if (type === '-') return { value: new Error(line), end: eol + 2 };
+  if (type === ':') return { value: Number(line), end: eol + 2 };
+  if (type === '$') {
+    const len = Number(line);
+    if (len < 0) return { value: null, end: eol + 2 };
+    if (buf.length < eol + 2 + len + 2) return null;
+    return { value: buf.toString('utf8', eol + 2, eol + 2 + len), end: eol + 2 + len + 2 };
+  }
+  if (type === '*') {
+    const n = Number(line);
+    if (n < 0) return { value: null, end: eol + 2 };
+    const items = [];
+    let pos = eol + 2;
+    for (let i = 0; i < n; i++) {
+      const item = parseValue(buf, pos);
+      if (!item) return null;
+      items.push(item.value);
+      pos = item.end;
+    }
+    return { value: items, end: pos };
+  }
+  const err = new Error(`Unexpected RESP type ${JSON.stringify(type)}`);
+  err.code = 'RESP_PROTOCOL';
+  throw err;
+}
+
+// 受信したチャンクを溜めて、読めた値から順に onValue へ渡す関数を返す
+function createParser(onValue) {
+  let buf = Buffer.alloc(0);
+  return (chunk) => {
+    buf = buf.length ? Buffer.concat([buf, chunk]) : chunk;
+    for (;;) {
+      const parsed = parseValue(buf, 0);
+      if (!parsed) return;
+      buf = buf.subarray(parsed.end);
+      onValue(parsed.value);
+    }
+  };
+}
+
+// Redis（または互換サーバ）を使うブローカー。url は redis://[:password@]host[:port]
+// 購読中の接続では PUBLISH できないので、送信用と購読用の2本を張る。
+// 切断されたら間隔を広げながら繋ぎ直し、購読もやり直す（切断中の受信は失われる）。
+function createRedisBroker(url) {
+  const { hostname, port, username, password } = new URL(url);
+  const handlers = new Map();
+  const queue = [];
+  let closed = false;
+
+  // 切断時に自動で繋ぎ直す接続。onReady は AUTH が成功してから呼ばれる
+  function connection(onReady, onValue) {
+    const conn = { socket: null, ready: false };
+    let delay = RECONNECT_MIN_MS;
+    let timer = null;
+    const open = () => {
+      timer = null;
+      if (closed) return;
+      const socket = net.connect({ host: hostname || 'localhost', port: Number(port) || 6379 });
+      conn.socket = socket;
+      socket.setNoDelay(true);
+      // AUTH の応答待ちか、エラー応答を受けたか
+      let authenticating = false;
+      let failed = false;
+      const ready = () => {
+        conn.ready = true;
+        onReady(socket);
+      };
+      socket.on('connect', () => {
+        if (!password) { ready(); return; }
+        const auth = username ? ['AUTH', decodeURIComponent(username), decodeURIComponent(password)] : ['AUTH', decodeURIComponent(password)];
+        authenticating = true;
+        socket.write(encode(auth));
+      });
+      // AUTH などの失敗や RESP でない応答は接続をやり直しても直らないので、切って間隔を空ける
+      const fail = () => {
+        failed = true;
+        conn.ready = false;
+        socket.destroy();
+      };
+      const parse = createParser((value) => {
+        if (failed) return;
+        if (value instanceof Error) { fail(); return; }
+        // AUTH の +OK を受けてから送受信を始める
+        if (authenticating) {
+          authenticating = false;
+          ready();
+          return;
+        }
+        onValue(value);
+      });
+      socket.on('data', (chunk) => {
+        if (failed) return;
+        try {
+          parse(chunk);
+        } catch {
+          // Redis 以外（HTTP のポートなど）に繋いでしまった場合
+          fail();
+        }
+      });
+      socket.on('error', () => {});
+      socket.on('close', () => {
+        // 使えていた接続が切れただけなら早めに、繋がらないかエラー応答で切ったなら間隔を広げて繋ぎ直す
+        if (conn.ready && !failed) delay = RECONNECT_MIN_MS;
+        conn.ready = false;
+        if (closed) return;
+        timer = setTimeout(open, delay);
+        timer.unref();
+        delay = Math.min(delay * 2, RECONNECT_MAX_MS);
+      });
+    };
+    conn.close = () => {
+      clearTimeout(timer);
+      if (conn.socket) conn.socket.destroy();
+    };
+    open();
+    return conn;
+  }
+
+  const pub = connection((socket) => {
+    while (queue.length) socket.write(queue.shift());
+  }, () => {});
+
+  const sub = connection((socket) => {
+    if (handlers.size) socket.write(encode(['SUBSCRIBE', ...handlers.keys()]));
+  }, (value) => {
+    if (!Array.isArray(value) || value[0] !== 'message') return;
+    let message;
+    try {
+      message = JSON.parse(value[2]);
+    } catch {
+      return;
+    }
+    for (const handler of handlers.get(value[1]) || []) handler(message);
+  });
+
+  return {
+    get connected() {
+      return pub.ready && sub.ready;
+    },
+    publish(channel, message) {
+      const command = encode(['PUBLISH', channel, JSON.stringify(message)]);
+      if (pub.ready) { pub.socket.write(command); return; }
+      queue.push(command);
+      if (queue.length > PUBLISH_QUEUE_LIMIT) queue.shift();
+    },
+    subscribe(channel, handler) {
+      if (!handlers.has(channel)) {
+        handlers.set(channel, new Set());
+        if (sub.ready) sub.socket.write(encode(['SUBSCRIBE', channel]));
+      }
+      handlers.get(channel).add(handler);
+      return () => {
+        const set = handlers.get(channel);
+        if (!set || !set.delete(handler) || set.size) return;
+        handlers.delete(channel);
+        if (sub.ready) sub.socket.write(encode(['UNSUBSCRIBE', channel]));
+      };
+    },
+    close() {
+      closed = true;
+      pub.close();
+      sub.close();
+    },
+  };
+}
+
+module.exports = { createMemoryBroker, createRedisBroker, encode, createParser };
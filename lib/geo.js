@@ -0,0 +1,46 @@
+// 緯度経度の簡易計算（距離・方位・ゾーン判定）
+//
+// 座標は { lat, lon }（度）で受け取る。距離はメートル。
+
+const EARTH_RADIUS_M = 6371000;
+const rad = (deg) => deg * Math.PI / 180;
+
+// 2点間の大円距離（ハバーサイン）
+function distance(a, b) {
+  const dLat = rad(b.lat - a.lat);
+  const dLon = rad(b.lon - a.lon);
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(rad(a.lat)) * Math.cos(rad(b.lat)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_M * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+// 点が多角形の内側か（レイキャスティング。ゾーン程度の広さなら平面近似で十分）
+function insidePolygon(p, points) {
+  let inside = false;
+  for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+    const a = points[i];
+    const b = points[j];
+    if ((a.lat > p.lat) !== (b.lat > p.lat) &&
+        p.lon < (b.lon - a.lon) * (p.lat - a.lat) / (b.lat - a.lat) + a.lon) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+// 点がゾーン（円 { type: 'circle', lat, lon, radius } または多角形 { type: 'polygon', points }）の内側か
+function insideZone(zone, p) {
+  if (zone.type === 'circle') return distance(zone, p) <= zone.radius;
+  return insidePolygon(p, zone.points);
+}
+
+// 座標を meters 四方の格子の中心に丸める（同じ格子なら何度丸めても同じ値）
+function snapToGrid(p, meters) {
+  const latStep = meters / 111320;
+  const lat = Math.max(-90, Math.min(90, (Math.floor(p.lat / latStep) + 0.5) * latStep));
+  // 経度方向の幅は丸めた後の緯度で決め、結果が元の位置によらないようにする
+  const lonStep = meters / (111320 * Math.max(Math.cos(rad(lat)), 0.01));
+  const lon = Math.max(-180, Math.min(180, (Math.floor(p.lon / lonStep) + 0.5) * lonStep));
+  return { lat, lon };
+}
+
+module.exports = { distance, insidePolygon, insideZone, snapToGrid };
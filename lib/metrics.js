@@ -0,0 +1,101 @@
+// Prometheus のテキスト形式（version 0.0.4）で出力するメトリクス
+//
+// counter() はプロセス内で数え上げる値、gauge() は出力のたびに collect() で求める値。
+// どちらもラベル付きの系列を持てる（ラベルは { 名前: 値 }）。
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// ラベル値の \ " 改行をエスケープする
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (!entries.length) return '';
+  return `{${entries.map(([k, v]) => `${k}="${escapeLabel(v)}"`).join(',')}}`;
+}
+
+function formatValue(value) {
+  if (Number.isNaN(value)) return 'NaN';
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+}
+
+function createRegistry() {
+  const metrics = [];
+
+  // 登録順に HELP・TYPE・各系列を書き出す
+  function render() {
+    const lines = [];
+    for (const m of metrics) {
+      lines.push(`# HELP ${m.name} ${m.help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`);
+      lines.push(`# TYPE ${m.name} ${m.type}`);
+      for (const [labels, value] of m.samples()) lines.push(`${m.name}${formatLabels(labels)} ${formatValue(value)}`);
+    }
+    return lines.join('\n') + '\n';
+  }
+
+  return {
+    contentType: CONTENT_TYPE,
+    // 増えるだけの値。inc(labels, n) で加算する
+    // ラベルなしの counter は増える前から 0 を出し、labeled なら inc された系列だけを出す
+    counter(name, help, { labeled = false } = {}) {
+      const series = new Map();
+      if (!labeled) series.set('{}', { labels: {}, value: 0 });
+      metrics.push({
+        name, help, type: 'counter',
+        samples: () => [...series.values()].map((s) => [s.labels, s.value]),
+      });
+      return {
+        inc(labels = {}, n = 1) {
+          const key = JSON.stringify(labels);
+          const s = series.get(key) || { labels, value: 0 };
+          s.value += n;
+          series.set(key, s);
+        },
+      };
+    },
+    // 出力時点の値。collect() は数値か [labels, value] の配列を返す
+    gauge(name, help, collect) {
+      metrics.push({
+        name, help, type: 'gauge',
+        samples: () => {
+          const value = collect();
+          return Array.isArray(value) ? value : [[{}, value]];
+        },
+      });
+    },
+    render,
+  };
+}
+
+// 直近 windowSeconds 秒の1秒あたりの件数（1秒ごとのバケットで数える）
+function createRateMeter(windowSeconds = 60) {
+  const buckets = new Array(windowSeconds).fill(0);
+  // buckets[i] が表す秒（古くなったバケットを見分けるため）
+  const seconds = new Array(windowSeconds).fill(-1);
+
+  return {
+    mark(n = 1, now = Date.now()) {
+      const sec = Math.floor(now / 1000);
+      const i = sec % windowSeconds;
+      if (seconds[i] !== sec) {
+        seconds[i] = sec;
+        buckets[i] = 0;
+      }
+      buckets[i] += n;
+    },
+    perSecond(now = Date.now()) {
+      const sec = Math.floor(now / 1000);
+      let total = 0;
+      for (let i = 0; i < windowSeconds; i++) {
+        if (seconds[i] > sec - windowSeconds && seconds[i] <= sec) total += buckets[i];
+      }
+      return total / windowSeconds;
+    },
+  };
+}
+
+module.exports = { createRegistry, createRateMeter, escapeLabel };
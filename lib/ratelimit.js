@@ -0,0 +1,51 @@
+// トークンバケットによる流量制限
+//
+// rules は単位（ip / session / room など）ごとの { capacity, perSecond }。
+// capacity まで連続で受け付け、その後は perSecond の速さでしか回復しない。
+// take() は全ての単位のバケットに余裕がある場合だけそれぞれから1つずつ消費するので、
+// どれか1つで断られたリクエストは他の単位の残量を減らさない。
+
+// これを超えたら満タンに戻ったバケットを捨てる
+const PRUNE_AT = 10000;
+
+function createRateLimiter(rules) {
+  const buckets = new Map();
+
+  // 経過時間ぶん回復させたバケット（まだなければ満タン）
+  function refill(unit, key, now) {
+    const rule = rules[unit];
+    const id = `${unit}\n${key}`;
+    const b = buckets.get(id) || { tokens: rule.capacity, updated: now };
+    b.tokens = Math.min(rule.capacity, b.tokens + (now - b.updated) / 1000 * rule.perSecond);
+    b.updated = now;
+    return { id, b, rule };
+  }
+
+  function prune(now) {
+    for (const [id, b] of buckets) {
+      const rule = rules[id.slice(0, id.indexOf('\n'))];
+      if (b.tokens + (now - b.updated) / 1000 * rule.perSecond >= rule.capacity) buckets.delete(id);
+    }
+  }
+
+  return {
+    // keys は { 単位: キー }。受け付けたら 0、断るなら次に受け付けられるまでのミリ秒
+    take(keys, now = Date.now()) {
+      const entries = Object.entries(keys)
+        .filter(([unit, key]) => rules[unit] && key != null)
+        .map(([unit, key]) => refill(unit, key, now));
+      let wait = 0;
+      for (const { b, rule } of entries) {
+        if (b.tokens < 1) wait = Math.max(wait, Math.ceil((1 - b.tokens) / rule.perSecond * 1000));
+      }
+      for (const { id, b } of entries) {
+        if (!wait) b.tokens -= 1;
+        buckets.set(id, b);
+      }
+      if (buckets.size > PRUNE_AT) prune(now);
+      return wait;
+    },
+  };
+}
+
+module.exports = { createRateLimiter };
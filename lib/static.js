@@ -0,0 +1,248 @@
+// 静的ファイルの配信（公開ディレクトリの中のファイルだけを返す）
+//
+// 起動時に公開ディレクトリを走査し、そこにある通常ファイルだけを配信対象にする
+// （隠しファイル・シンボリックリンク・ディレクトリ外へのパスは最初から候補にない）。
+// 内容はメモリに置き、更新時刻とサイズが変わったら読み直す。
+//
+// 応答には ETag（内容のハッシュ）と Last-Modified を付け、条件付きリクエストには 304 を返す。
+// テキスト系は Accept-Encoding に応じて brotli か gzip で圧縮する（圧縮結果も覚えておく）。
+// HTML から公開ディレクトリ内のファイルへの参照は ?v=<ハッシュ> 付きに書き換え、
+// ハッシュの合う ?v= 付きのリクエストは内容が変わらないので immutable で長期キャッシュさせる。
+// それ以外（HTML 自体や service-worker.js など）は毎回再検証させる。
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+
+const MIME_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.htm': 'text/html; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.mjs': 'text/javascript; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.map': 'application/json; charset=utf-8',
+  '.webmanifest': 'application/manifest+json; charset=utf-8',
+  '.txt': 'text/plain; charset=utf-8',
+  '.md': 'text/markdown; charset=utf-8',
+  '.csv': 'text/csv; charset=utf-8',
+  '.xml': 'application/xml; charset=utf-8',
+  '.gpx': 'application/gpx+xml; charset=utf-8',
+  '.geojson': 'application/geo+json; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.avif': 'image/avif',
+  '.ico': 'image/x-icon',
+  '.bmp': 'image/bmp',
+  '.woff': 'font/woff',
+  '.woff2': 'font/woff2',
+  '.ttf': 'font/ttf',
+  '.otf': 'font/otf',
+  '.mp3': 'audio/mpeg',
+  '.wav': 'audio/wav',
+  '.ogg': 'audio/ogg',
+  '.mp4': 'video/mp4',
+  '.webm': 'video/webm',
+  '.pdf': 'application/pdf',
+  '.zip': 'application/zip',
+  '.wasm': 'application/wasm',
+};
+
+// 圧縮して効果のある種類
+const COMPRESSIBLE = /^(text\/|application\/(json|manifest\+json|xml|gpx\+xml|geo\+json|wasm)|image\/(svg\+xml|x-icon|bmp))/;
+// これより小さいファイルは圧縮しない
+const MIN_COMPRESS_BYTES = 256;
+// 圧縮方式（同じ重みなら先にあるものを選ぶ）
+const ENCODERS = {
+  br: (buf, cb) => zlib.brotliCompress(buf, {
+    params: { [zlib.constants.BROTLI_PARAM_SIZE_HINT]: buf.length },
+  }, cb),
+  gzip: (buf, cb) => zlib.gzip(buf, { level: 9 }, cb),
+};
+const IMMUTABLE = 'public, max-age=31536000, immutable';
+const REVALIDATE = 'no-cache';
+// HTML 内の src / href による参照（http: などの外部 URL や ?・# 付きのものは対象外）
+const HTML_REF = /\b(src|href)="((?:\.?\/)?)([\w./-]+)"/g;
+
+function mimeType(file) {
+  return MIME_TYPES[path.extname(file).toLowerCase()] || 'application/octet-stream';
+}
+
+// 公開ディレクトリの通常ファイルを URL のパス → ファイルのパスにする（隠しファイルは除く）
+function listFiles(root) {
+  const files = new Map();
+  const walk = (dir, prefix) => {
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+      if (entry.name.startsWith('.')) continue;
+      const file = path.join(dir, entry.name);
+      if (entry.isDirectory()) walk(file, `${prefix}${entry.name}/`);
+      else if (entry.isFile()) files.set(`${prefix}${entry.name}`, file);
+    }
+  };
+  walk(root, '/');
+  if (files.has('/index.html')) files.set('/', files.get('/index.html'));
+  return files;
+}
+
+// Accept-Encoding から使える圧縮方式を選ぶ（なければ null）
+function negotiateEncoding(header) {
+  const weights = new Map();
+  for (const part of String(header || '').split(',')) {
+    const [name, ...params] = part.trim().toLowerCase().split(';').map((s) => s.trim());
+    if (!name) continue;
+    const q = params.find((p) => p.startsWith('q='));
+    weights.set(name, q ? Number(q.slice(2)) || 0 : 1);
+  }
+  let best = null;
+  let bestWeight = 0;
+  for (const name of Object.keys(ENCODERS)) {
+    const weight = weights.has(name) ? weights.get(name) : (weights.get('*') || 0);
+    if (weight > bestWeight) {
+      best = name;
+      bestWeight = weight;
+    }
+  }
+  return best;
+}
+
+// If-None-Match に一致するか（弱い比較。圧縮方式ごとの接尾辞は無視する）
+function etagMatches(header, hash) {
+  return String(header).split(',').some((tag) => {
+    const t = tag.trim().replace(/^W\//, '');
+    return t === '*' || t.replace(/^"|"$/g, '').replace(/-(br|gzip)$/, '') === hash;
+  });
+}
+
+// root の公開ディレクトリを配信するハンドラを作る
+function createStaticHandler(root) {
+  const files = listFiles(root);
+  // ファイルのパス → { mtimeMs, size, raw }
+  const sources = new Map();
+  // URL のパス → 配信する内容 { body, hash, type, lastModified, encoded }
+  const entries = new Map();
+
+  // ファイルを読む（更新されていなければ覚えている内容を返す）
+  function readSource(file, callback) {
+    fs.stat(file, (err, st) => {
+      if (err) { callback(err); return; }
+      const cached = sources.get(file);
+      if (cached && cached.mtimeMs === st.mtimeMs && cached.size === st.size) { callback(null, cached); return; }
+      fs.readFile(file, (readErr, raw) => {
+        if (readErr) { callback(readErr); return; }
+        const source = { mtimeMs: st.mtimeMs, size: st.size, raw };
+        sources.set(file, source);
+        callback(null, source);
+      });
+    });
+  }
+
+  // HTML の参照を ?v=<ハッシュ> 付きにする（参照先を読めなければそのまま）
+  function versionRefs(html, callback) {
+    const refs = [...new Set([...html.matchAll(HTML_REF)].map((m) => `/${m[3]}`))]
+      .filter((ref) => files.has(ref) && !mimeType(ref).startsWith('text/html'));
+    const versions = new Map();
+    let lastModified = 0;
+    let pending = refs.length;
+    const done = () => {
+      const body = html.replace(HTML_REF, (m, attr, prefix, ref) => (
+        versions.has(`/${ref}`) ? `${attr}="${prefix}${ref}?v=${versions.get(`/${ref}`)}"` : m
+      ));
+      callback(body, lastModified);
+    };
+    if (!pending) { done(); return; }
+    for (const ref of refs) {
+      load(ref, (err, entry) => {
+        if (!err) {
+          versions.set(ref, entry.hash);
+          lastModified = Math.max(lastModified, entry.lastModified);
+        }
+        if (--pending === 0) done();
+      });
+    }
+  }
+
+  // 配信する内容（内容が変わっていなければ圧縮済みのものも含めて使い回す）
+  function load(urlPath, callback) {
+    const file = files.get(urlPath);
+    const type = mimeType(file);
+    readSource(file, (err, source) => {
+      if (err) { callback(err); return; }
+      const finish = (body, depsModified = 0) => {
+        const hash = crypto.createHash('sha256').update(body).digest('hex').slice(0, 16);
+        const cached = entries.get(urlPath);
+        if (cached && cached.hash === hash) { callback(null, cached); return; }
+        // HTTP の日付は秒単位なので切り捨てておく（If-Modified-Since との比較のため）
+        const lastModified = Math.floor(Math.max(source.mtimeMs, depsModified) / 1000) * 1000;
+        const entry = { body, hash, type, lastModified, encoded: {} };
+        entries.set(urlPath, entry);
+        callback(null, entry);
+      };
+      if (type.startsWith('text/html')) {
+        versionRefs(source.raw.toString('utf8'), (html, depsModified) => finish(Buffer.from(html), depsModified));
+      } else {
+        finish(source.raw);
+      }
+    });
+  }
+
+  // 圧縮した内容（圧縮しない場合は元の内容と null）
+  function encode(entry, encoding, callback) {
+    if (!encoding || !COMPRESSIBLE.test(entry.type) || entry.body.length < MIN_COMPRESS_BYTES) {
+      callback(entry.body, null);
+      return;
+    }
+    if (entry.encoded[encoding]) { callback(entry.encoded[encoding], encoding); return; }
+    ENCODERS[encoding](entry.body, (err, buf) => {
+      // 圧縮に失敗したり小さくならなかったりしたら元のまま送る
+      if (err || buf.length >= entry.body.length) { callback(entry.body, null); return; }
+      entry.encoded[encoding] = buf;
+      callback(buf, encoding);
+    });
+  }
+
+  // 公開ディレクトリのファイルなら応答して true（それ以外は何もせず false）
+  // version は URL の ?v= の値（内容のハッシュと一致すれば immutable にする）
+  function serve(req, res, pathname, version = null) {
+    if (req.method !== 'GET' && req.method !== 'HEAD') return false;
+    if (!files.has(pathname)) return false;
+    load(pathname, (err, entry) => {
+      if (err) {
+        res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+        res.end('Not Found');
+        return;
+      }
+      const compressible = COMPRESSIBLE.test(entry.type);
+      const headers = {
+        'Cache-Control': version && version === entry.hash ? IMMUTABLE : REVALIDATE,
+        'Last-Modified': new Date(entry.lastModified).toUTCString(),
+      };
+      if (compressible) headers.Vary = 'Accept-Encoding';
+      encode(entry, negotiateEncoding(req.headers['accept-encoding']), (body, encoding) => {
+        headers.ETag = `"${entry.hash}${encoding ? `-${encoding}` : ''}"`;
+        const inm = req.headers['if-none-match'];
+        const ims = Date.parse(req.headers['if-modified-since'] || '');
+        // If-None-Match があれば If-Modified-Since は見ない
+        if (inm ? etagMatches(inm, entry.hash) : ims >= entry.lastModified) {
+          res.writeHead(304, headers);
+          res.end();
+          return;
+        }
+        headers['Content-Type'] = entry.type;
+        headers['Content-Length'] = body.length;
+        if (encoding) headers['Content-Encoding'] = encoding;
+        res.writeHead(200, headers);
+        res.end(req.method === 'HEAD' ? undefined : body);
+      });
+    });
+    return true;
+  }
+
+  return { serve };
+}
+
+module.exports = { createStaticHandler, mimeType, negotiateEncoding };
@@ -0,0 +1,116 @@
+const fs = require('fs');
+const path = require('path');
+
+// 永続化ストレージ
+//
+// どのバックエンドも次のインターフェースを持つ:
+//   load()                              保存済みの状態を { collection: { key: value } } で返す
+//   set(collection, key, value)         値を保存（既存値は置き換え）
+//   delete(collection, key)             値を削除
+//   push(collection, key, item, limit)  リストへ追加し、limit 件を超えた古い要素を捨てる
+//   close()                             後始末
+
+// 値の取り回しで呼び出し元のオブジェクトと共有しないよう複製する
+function clone(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+// 操作を状態に適用
+function applyOp(state, op) {
+  const col = state[op.c] || (state[op.c] = Object.create(null));
+  if (op.op === 'set') {
+    col[op.k] = op.v;
+  } else if (op.op === 'del') {
+    delete col[op.k];
+  } else if (op.op === 'push') {
+    const list = Array.isArray(col[op.k]) ? col[op.k] : (col[op.k] = []);
+    list.push(op.v);
+    if (op.n > 0 && list.length > op.n) list.splice(0, list.length - op.n);
+  }
+}
+
+// 状態を書き出し用の set 操作の列に変換
+function snapshotOps(state) {
+  const ops = [];
+  for (const c of Object.keys(state)) {
+    for (const k of Object.keys(state[c])) ops.push({ op: 'set', c, k, v: state[c][k] });
+  }
+  return ops;
+}
+
+// 共通部分：状態を保持し、操作ごとに persist を呼ぶ
+function createStore(state, persist) {
+  function record(op) {
+    applyOp(state, op);
+    persist(op);
+  }
+  return {
+    load() {
+      return clone(state);
+    },
+    set(collection, key, value) {
+      record({ op: 'set', c: collection, k: key, v: clone(value) });
+    },
+    delete(collection, key) {
+      if (!state[collection] || !(key in state[collection])) return;
+      record({ op: 'del', c: collection, k: key });
+    },
+    push(collection, key, item, limit) {
+      record({ op: 'push', c: collection, k: key, v: clone(item), n: limit || 0 });
+    },
+    close() {},
+  };
+}
+
+// メモリ上のみ（プロセス終了で消える）
+function createMemoryStore() {
+  return createStore(Object.create(null), () => {});
+}
+
+// 追記型 JSON ログによるファイル保存
+// 1行1操作で追記し、ログが肥大化したら現在の状態だけを書き出して圧縮する
+function createFileStore(file, options = {}) {
+  const compactAfter = options.compactAfter || 1000;
+  const state = Object.create(null);
+  let lines = 0;
+
+  try {
+    const text = fs.readFileSync(file, 'utf8');
+    for (const line of text.split('\n')) {
+      if (!line) continue;
+      try {
+        applyOp(state, JSON.parse(line));
+        lines++;
+      } catch {
+        // 書き込み途中で落ちた末尾行などは読み飛ばす
+      }
+    }
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+  }
+
+  function liveEntries() {
+    let n = 0;
+    for (const c of Object.keys(state)) n += Object.keys(state[c]).length;
+    return n;
+  }
+
+  function compact() {
+    const ops = snapshotOps(state);
+    const tmp = `${file}.tmp`;
+    fs.writeFileSync(tmp, ops.map((op) => JSON.stringify(op) + '\n').join(''));
+    fs.renameSync(tmp, file);
+    lines = ops.length;
+  }
+
+  const store = createStore(state, (op) => {
+    fs.appendFileSync(file, JSON.stringify(op) + '\n');
+    lines++;
+    if (lines > compactAfter && lines > liveEntries() * 2) compact();
+  });
+  store.compact = compact;
+  return store;
+}
+
+module.exports = { createMemoryStore, createFileStore };
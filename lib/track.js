@@ -0,0 +1,52 @@
+// 参加者の移動軌跡を GeoJSON / GPX に変換する
+//
+// 軌跡は { id, name, points: [{ lat, lon, time }] } の配列で受け取る。
+// time はミリ秒のエポック時刻。
+
+// GeoJSON の FeatureCollection（座標は [経度, 緯度] の順）
+function toGeoJSON(tracks) {
+  return {
+    type: 'FeatureCollection',
+    features: tracks.map((t) => ({
+      type: 'Feature',
+      // LineString は2点以上必要なので、1点だけの軌跡は Point にする
+      geometry: t.points.length === 1
+        ? { type: 'Point', coordinates: [t.points[0].lon, t.points[0].lat] }
+        : { type: 'LineString', coordinates: t.points.map((p) => [p.lon, p.lat]) },
+      properties: {
+        id: t.id,
+        name: t.name,
+        times: t.points.map((p) => new Date(p.time).toISOString()),
+      },
+    })),
+  };
+}
+
+function escapeXml(s) {
+  return String(s).replace(/[<>&'"]/g, (c) => ({
+    '<': '&lt;', '>': '&gt;', '&': '&amp;', "'": '&apos;', '"': '&quot;',
+  }[c]));
+}
+
+// GPX 1.1（参加者ごとに1つの trk）
+function toGpx(tracks) {
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<gpx version="1.1" creator="location-chat-pwa" xmlns="http://www.topografix.com/GPX/1/1">',
+  ];
+  for (const t of tracks) {
+    lines.push('  <trk>');
+    lines.push(`    <name>${escapeXml(t.name)}</name>`);
+    lines.push(`    <desc>${escapeXml(t.id)}</desc>`);
+    lines.push('    <trkseg>');
+    for (const p of t.points) {
+      lines.push(`      <trkpt lat="${p.lat}" lon="${p.lon}"><time>${new Date(p.time).toISOString()}</time></trkpt>`);
+    }
+    lines.push('    </trkseg>');
+    lines.push('  </trk>');
+  }
+  lines.push('</gpx>');
+  return lines.join('\n') + '\n';
+}
+
+module.exports = { toGeoJSON, toGpx };
@@ -0,0 +1,70 @@
+// リクエストパラメータの簡易スキーマ検証
+//
+// スキーマは { フィールド名: ルール } の形で、ルールには次を指定できる:
+//   type       'string' | 'number' | 'boolean' | 'array' | 'object'
+//   required   必須か
+//   minLength / maxLength  文字列の長さ
+//   min / max  数値の範囲
+//   integer    整数のみ
+//   minItems / maxItems  配列の要素数
+//   items      配列の各要素（オブジェクト）に適用するスキーマ
+//   properties オブジェクトの中身に適用するスキーマ
+// スキーマにないフィールドは無視する
+
+// 問題があればエラーメッセージ、なければ null を返す
+function validate(params, schema) {
+  for (const [field, rule] of Object.entries(schema)) {
+    const value = params[field];
+    if (value === undefined || value === null) {
+      if (rule.required) return `${field} is required`;
+      continue;
+    }
+    if (rule.type === 'number') {
+      if (typeof value !== 'number' || !Number.isFinite(value)) return `${field} must be a number`;
+      if (rule.integer && !Number.isInteger(value)) return `${field} must be an integer`;
+      if (rule.min !== undefined && value < rule.min) return `${field} must be >= ${rule.min}`;
+      if (rule.max !== undefined && value > rule.max) return `${field} must be <= ${rule.max}`;
+    } else if (rule.type === 'boolean') {
+      if (typeof value !== 'boolean') return `${field} must be a boolean`;
+    } else if (rule.type === 'array') {
+      if (!Array.isArray(value)) return `${field} must be an array`;
+      if (rule.minItems !== undefined && value.length < rule.minItems) return `${field} has too few items`;
+      if (rule.maxItems !== undefined && value.length > rule.maxItems) return `${field} has too many items`;
+      if (rule.items) {
+        for (let i = 0; i < value.length; i++) {
+          const item = value[i];
+          if (!item || typeof item !== 'object' || Array.isArray(item)) return `${field}[${i}] must be an object`;
+          const error = validate(item, rule.items);
+          if (error) return `${field}[${i}].${error}`;
+        }
+      }
+    } else if (rule.type === 'object') {
+      if (typeof value !== 'object' || Array.isArray(value)) return `${field} must be an object`;
+      if (rule.properties) {
+        const error = validate(value, rule.properties);
+        if (error) return `${field}.${error}`;
+      }
+    } else {
+      if (typeof value !== 'string') return `${field} must be a string`;
+      if (rule.minLength !== undefined && value.length < rule.minLength) return `${field} is too short`;
+      if (rule.maxLength !== undefined && value.length > rule.maxLength) return `${field} is too long`;
+    }
+  }
+  return null;
+}
+
+// クエリ文字列をスキーマの型に合わせたオブジェクトに変換
+function fromQuery(searchParams, schema) {
+  const params = Object.fromEntries(searchParams);
+  for (const [field, rule] of Object.entries(schema)) {
+    if (!(field in params)) continue;
+    if (rule.type === 'number') {
+      params[field] = params[field] === '' ? NaN : Number(params[field]);
+    } else if (rule.type === 'boolean') {
+      params[field] = params[field] === 'true' ? true : params[field] === 'false' ? false : params[field];
+    }
+  }
+  return params;
+}
+
+module.exports = { validate, fromQuery };
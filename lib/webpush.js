@@ -0,0 +1,134 @@
+// Web Push の送信（VAPID 認証と aes128gcm 暗号化、外部ライブラリなし）
+//
+// RFC 8291（メッセージ暗号化）と RFC 8292（VAPID）に従う。
+// 送信先へのリクエストは transport に任せるので、テストやネットワークのない
+// 環境ではローカルの代替サービスや記録用の関数に差し替えられる。
+
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+
+const b64 = (buf) => Buffer.from(buf).toString('base64url');
+const unb64 = (s) => Buffer.from(s, 'base64url');
+
+// VAPID 用の P-256 鍵ペア（公開鍵は非圧縮形式 65 バイト、秘密鍵は 32 バイト、いずれも base64url）
+function generateVapidKeys() {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' });
+  const pub = publicKey.export({ format: 'jwk' });
+  const priv = privateKey.export({ format: 'jwk' });
+  return {
+    publicKey: b64(Buffer.concat([Buffer.from([4]), unb64(pub.x), unb64(pub.y)])),
+    privateKey: priv.d,
+  };
+}
+
+function vapidPrivateKey(keys) {
+  const pub = unb64(keys.publicKey);
+  return crypto.createPrivateKey({
+    key: { kty: 'EC', crv: 'P-256', d: keys.privateKey, x: b64(pub.subarray(1, 33)), y: b64(pub.subarray(33, 65)) },
+    format: 'jwk',
+  });
+}
+
+// 送信先オリジン向けの VAPID Authorization ヘッダ
+function vapidAuthorization(endpoint, keys, subject, now = Date.now()) {
+  const header = b64(JSON.stringify({ typ: 'JWT', alg: 'ES256' }));
+  const claims = b64(JSON.stringify({
+    aud: new URL(endpoint).origin,
+    exp: Math.floor(now / 1000) + 12 * 60 * 60,
+    sub: subject,
+  }));
+  const signature = crypto.sign('sha256', Buffer.from(`${header}.${claims}`), {
+    key: vapidPrivateKey(keys),
+    dsaEncoding: 'ieee-p1363',
+  });
+  return `vapid t=${header}.${claims}.${b64(signature)}, k=${keys.publicKey}`;
+}
+
+function hkdf(salt, ikm, info, length) {
+  return Buffer.from(crypto.hkdfSync('sha256', ikm, salt, info, length));
+}
+
+// 購読の鍵が使えなければその理由を返す
+// （p256dh は P-256 の非圧縮形式の点 65 バイト、auth は 16 バイト、いずれも base64url）
+function subscriptionKeyError(keys) {
+  const p256dh = unb64(String((keys && keys.p256dh) || ''));
+  if (p256dh.length !== 65 || p256dh[0] !== 4) return 'keys.p256dh must be an uncompressed P-256 public key';
+  try {
+    // 曲線上にない点はここで弾かれる
+    crypto.ECDH.convertKey(p256dh, 'prime256v1');
+  } catch {
+    return 'keys.p256dh must be an uncompressed P-256 public key';
+  }
+  if (unb64(String(keys.auth || '')).length !== 16) return 'keys.auth must be 16 bytes';
+  return null;
+}
+
+// ペイロードを購読者の鍵で暗号化（aes128gcm、1レコード）
+function encrypt(payload, p256dh, authSecret) {
+  const uaPublic = unb64(p256dh);
+  const ecdh = crypto.createECDH('prime256v1');
+  const asPublic = ecdh.generateKeys();
+  const ecdhSecret = ecdh.computeSecret(uaPublic);
+  const keyInfo = Buffer.concat([Buffer.from('WebPush: info\0'), uaPublic, asPublic]);
+  const ikm = hkdf(unb64(authSecret), ecdhSecret, keyInfo, 32);
+  const salt = crypto.randomBytes(16);
+  const cek = hkdf(salt, ikm, Buffer.from('Content-Encoding: aes128gcm\0'), 16);
+  const nonce = hkdf(salt, ikm, Buffer.from('Content-Encoding: nonce\0'), 12);
+  // 末尾の 0x02 は最後のレコードを示す区切り
+  const plaintext = Buffer.concat([Buffer.from(payload), Buffer.from([2])]);
+  const cipher = crypto.createCipheriv('aes-128-gcm', cek, nonce);
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final(), cipher.getAuthTag()]);
+  const header = Buffer.alloc(21);
+  salt.copy(header, 0);
+  header.writeUInt32BE(4096, 16);
+  header.writeUInt8(asPublic.length, 20);
+  return Buffer.concat([header, asPublic, ciphertext]);
+}
+
+// 既定の送信手段：エンドポイントへ HTTP(S) で POST し、ステータスコードを返す
+function httpTransport(endpoint, { headers, body }) {
+  return new Promise((resolve, reject) => {
+    const url = new URL(endpoint);
+    const request = (url.protocol === 'http:' ? http : https).request(url, {
+      method: 'POST',
+      headers: { ...headers, 'Content-Length': body.length },
+      timeout: 10000,
+    }, (res) => {
+      res.resume();
+      res.on('end', () => resolve({ statusCode: res.statusCode }));
+    });
+    request.on('timeout', () => request.destroy(new Error('Push request timed out')));
+    request.on('error', reject);
+    request.end(body);
+  });
+}
+
+// 送信関数を作る。subscription は PushSubscription.toJSON() と同じ形
+function createPushSender({ keys, subject, transport = httpTransport }) {
+  // 鍵が使えない購読には送らず、code が INVALID_SUBSCRIPTION のエラーで reject する
+  return function send(subscription, payload, { ttl = 24 * 60 * 60, urgency = 'normal' } = {}) {
+    let body;
+    try {
+      const invalid = subscriptionKeyError(subscription.keys);
+      if (invalid) throw new Error(invalid);
+      body = encrypt(JSON.stringify(payload), subscription.keys.p256dh, subscription.keys.auth);
+    } catch (cause) {
+      const err = new Error(`Invalid subscription: ${cause.message}`);
+      err.code = 'INVALID_SUBSCRIPTION';
+      return Promise.reject(err);
+    }
+    return transport(subscription.endpoint, {
+      headers: {
+        Authorization: vapidAuthorization(subscription.endpoint, keys, subject),
+        'Content-Encoding': 'aes128gcm',
+        'Content-Type': 'application/octet-stream',
+        TTL: String(ttl),
+        Urgency: urgency,
+      },
+      body,
+    });
+  };
+}
+
+module.exports = { generateVapidKeys, vapidAuthorization, subscriptionKeyError, encrypt, httpTransport, createPushSender };
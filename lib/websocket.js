@@ -0,0 +1,223 @@
+// WebSocket（RFC 6455）のサーバ側の最小限の実装
+//
+// テキストメッセージの送受信、ping / pong、切断の手順だけを扱う（拡張と
+// バイナリメッセージは受け付けない）。upgrade() が返す接続は EventEmitter で、
+// 受信したテキストを 'message'、切断を 'close' で知らせる。
+
+const crypto = require('crypto');
+const http = require('http');
+const { EventEmitter } = require('events');
+
+// Sec-WebSocket-Accept の計算に使う固定の GUID
+const GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+const OP_CONTINUATION = 0x0;
+const OP_TEXT = 0x1;
+const OP_BINARY = 0x2;
+const OP_CLOSE = 0x8;
+const OP_PING = 0x9;
+const OP_PONG = 0xa;
+
+// 切断を送ってから相手が閉じるのを待つ時間
+const CLOSE_TIMEOUT_MS = 5000;
+
+function acceptKey(key) {
+  return crypto.createHash('sha1').update(key + GUID).digest('base64');
+}
+
+// ハンドシェイクとして正しくなければその理由を返す
+function handshakeError(req) {
+  if (req.method !== 'GET') return 'Method must be GET';
+  if (String(req.headers.upgrade || '').toLowerCase() !== 'websocket') return 'Upgrade must be websocket';
+  if (req.headers['sec-websocket-version'] !== '13') return 'Sec-WebSocket-Version must be 13';
+  const key = req.headers['sec-websocket-key'];
+  if (typeof key !== 'string' || Buffer.from(key, 'base64').length !== 16) return 'Invalid Sec-WebSocket-Key';
+  return null;
+}
+
+// アップグレードを断る（まだ HTTP なので JSON の応答を書いて閉じる）
+function rejectUpgrade(socket, status, body, headers = {}) {
+  const text = JSON.stringify(body);
+  const lines = [
+    `HTTP/1.1 ${status} ${http.STATUS_CODES[status]}`,
+    'Content-Type: application/json',
+    `Content-Length: ${Buffer.byteLength(text)}`,
+    'Connection: close',
+    ...Object.entries(headers).map(([k, v]) => `${k}: ${v}`),
+  ];
+  socket.end(`${lines.join('\r\n')}\r\n\r\n${text}`);
+}
+
+// サーバから送るフレーム（マスクしない）
+function frame(opcode, payload) {
+  const len = payload.length;
+  let header;
+  if (len < 126) {
+    header = Buffer.alloc(2);
+    header[1] = len;
+  } else if (len < 65536) {
+    header = Buffer.alloc(4);
+    header[1] = 126;
+    header.writeUInt16BE(len, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(len), 2);
+  }
+  header[0] = 0x80 | opcode;
+  return Buffer.concat([header, payload]);
+}
+
+// 101 応答を返して接続を WebSocket に切り替える
+// maxPayload を超えるメッセージを受け取ると 1009 で切断する
+function upgrade(req, socket, head, { maxPayload = 64 * 1024 } = {}) {
+  socket.write([
+    'HTTP/1.1 101 Switching Protocols',
+    'Upgrade: websocket',
+    'Connection: Upgrade',
+    `Sec-WebSocket-Accept: ${acceptKey(req.headers['sec-websocket-key'])}`,
+    '', '',
+  ].join('\r\n'));
+  socket.setNoDelay(true);
+  socket.setTimeout(0);
+
+  const ws = new EventEmitter();
+  let buffer = head && head.length ? Buffer.from(head) : Buffer.alloc(0);
+  // 分割されて届いているメッセージ（null なら受信中のものはない）
+  let fragments = null;
+  let fragmentSize = 0;
+  let closing = false;
+  let closed = false;
+  const decoder = new TextDecoder('utf-8', { fatal: true });
+
+  function sendClose(payload) {
+    if (closing) return;
+    closing = true;
+    buffer = Buffer.alloc(0);
+    if (socket.destroyed) return;
+    socket.end(frame(OP_CLOSE, payload));
+    // 相手が応じなくても接続を残さない
+    setTimeout(() => socket.destroy(), CLOSE_TIMEOUT_MS).unref();
+  }
+
+  ws.send = (text) => {
+    if (closing || socket.destroyed) return;
+    socket.write(frame(OP_TEXT, Buffer.from(text, 'utf8')));
+  };
+
+  ws.ping = () => {
+    if (closing || socket.destroyed) return;
+    socket.write(frame(OP_PING, Buffer.alloc(0)));
+  };
+
+  ws.close = (code = 1000, reason = '') => {
+    const payload = Buffer.alloc(2 + Buffer.byteLength(reason));
+    payload.writeUInt16BE(code, 0);
+    payload.write(reason, 2);
+    sendClose(payload);
+  };
+
+  // 受け取ったテキストメッセージを渡す（UTF-8 として不正なら 1007）
+  function deliver(chunks) {
+    let text;
+    try {
+      text = decoder.decode(Buffer.concat(chunks));
+    } catch {
+      ws.close(1007, 'Invalid UTF-8');
+      return false;
+    }
+    ws.emit('message', text);
+    return !closing;
+  }
+
+  // フレームを1つ処理する。以降のフレームを読まないなら false
+  function handle(fin, opcode, payload) {
+    if (opcode === OP_PING) {
+      if (!closing) socket.write(frame(OP_PONG, payload));
+      return true;
+    }
+    if (opcode === OP_PONG) return true;
+    if (opcode === OP_CLOSE) {
+      // 相手からの切断には同じコードで応える
+      sendClose(payload.length >= 2 ? payload.subarray(0, 2) : Buffer.alloc(0));
+      return false;
+    }
+    if (opcode === OP_BINARY) {
+      ws.close(1003, 'Binary messages are not supported');
+      return false;
+    }
+    if (opcode === OP_TEXT) {
+      if (fragments) { ws.close(1002, 'Expected a continuation frame'); return false; }
+      if (fin) return deliver([payload]);
+      fragments = [payload];
+      fragmentSize = payload.length;
+      return true;
+    }
+    if (opcode === OP_CONTINUATION) {
+      if (!fragments) { ws.close(1002, 'Unexpected continuation frame'); return false; }
+      fragmentSize += payload.length;
+      if (fragmentSize > maxPayload) { ws.close(1009, 'Message too big'); return false; }
+      fragments.push(payload);
+      if (!fin) return true;
+      const chunks = fragments;
+      fragments = null;
+      return deliver(chunks);
+    }
+    ws.close(1002, 'Unknown opcode');
+    return false;
+  }
+
+  // バッファから完全なフレームを順に取り出す
+  function parse() {
+    while (!closing && buffer.length >= 2) {
+      const fin = (buffer[0] & 0x80) !== 0;
+      const opcode = buffer[0] & 0x0f;
+      if (buffer[0] & 0x70) { ws.close(1002, 'Reserved bits must be zero'); return; }
+      if (!(buffer[1] & 0x80)) { ws.close(1002, 'Client frames must be masked'); return; }
+      let len = buffer[1] & 0x7f;
+      let offset = 2;
+      if (len === 126) {
+        if (buffer.length < 4) return;
+        len = buffer.readUInt16BE(2);
+        offset = 4;
+      } else if (len === 127) {
+        if (buffer.length < 10) return;
+        const big = buffer.readBigUInt64BE(2);
+        len = big > BigInt(maxPayload) ? Infinity : Number(big);
+        offset = 10;
+      }
+      if (opcode >= OP_CLOSE && (!fin || len > 125)) { ws.close(1002, 'Invalid control frame'); return; }
+      if (len > maxPayload) { ws.close(1009, 'Message too big'); return; }
+      if (buffer.length < offset + 4 + len) return;
+      const mask = buffer.subarray(offset, offset + 4);
+      const payload = Buffer.from(buffer.subarray(offset + 4, offset + 4 + len));
+      for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i & 3];
+      buffer = buffer.subarray(offset + 4 + len);
+      if (!handle(fin, opcode, payload)) return;
+    }
+  }
+
+  socket.on('data', (chunk) => {
+    if (closing) return;
+    buffer = buffer.length ? Buffer.concat([buffer, chunk]) : chunk;
+    parse();
+  });
+  // 相手が先に閉じた
+  socket.on('end', () => {
+    closing = true;
+    socket.end();
+  });
+  socket.on('error', () => socket.destroy());
+  socket.on('close', () => {
+    if (closed) return;
+    closed = true;
+    closing = true;
+    ws.emit('close');
+  });
+  // head に含まれていたフレームは接続を返した後で処理する
+  if (buffer.length) setImmediate(parse);
+
+  return ws;
+}
+
+module.exports = { acceptKey, handshakeError, rejectUpgrade, upgrade };
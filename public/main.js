@@ -0,0 +1,2391 @@
+(() => {
+  // ====== 状態 ======
+  let userName = '';
+  // サーバが払い出した自分の参加者ID（表示名とは別）
+  let myId = '';
+  let roomName = '';
+  // ログインで受け取ったセッショントークン（パスワードは保持しない）
+  let sessionToken = '';
+  // 保存済みのセッション（再入室時にパスワードなしで使う）
+  let savedSession = null;
+  // 招待リンクから得た入室チケット（ログイン時にパスワードの代わりに使う）
+  let inviteGrant = null;
+  // サーバとの接続（WebSocket、使えない環境では EventSource）
+  let connection = null;
+  // WebSocket が繋がらなかった（プロキシが通さない等）ので以降は EventSource を使う
+  let socketUnavailable = typeof WebSocket === 'undefined';
+  let watchId = null;
+  // 位置共有のプライバシー設定：一時停止中か、自動停止の時刻、丸める格子の大きさ（メートル）
+  let sharePaused = false;
+  let shareUntil = 0;
+  let shareTimerId = null;
+  let sharePrecision = 0;
+  let lastFix = null;
+  // ルームで決められた最低精度（これより細かい位置は送らない）
+  let roomMinPrecision = 0;
+
+  // 再接続用バックオフ設定
+  let reconnectDelay = 1000;
+  let reconnectTimeoutId = null;
+  let notificationsEnabled = false;
+  // 最後に受信したイベントID（再接続時に差分のみ受け取るため）
+  let lastEventId = null;
+  // サーバのハートビート（既定25秒）がこの時間届かなければ接続を張り直す
+  const HEARTBEAT_TIMEOUT_MS = 70000;
+
+  // Leaflet のマップと参加者位置マーカー管理（参加者ID → { name, layer, state, lastSeen }）
+  let map = null;
+  const markers = {};
+  let hasCentered = false; // 自分の初回位置更新で一度だけセンタリング
+  // 移動軌跡の表示（参加者ごとに直近 TRAIL_POINTS 点を線で描く）
+  let trailsVisible = false;
+  const TRAIL_POINTS = 200;
+  // ルームのゾーン（ゾーンID → { zone, layer }）と作成中の状態
+  const zones = {};
+  let zoneMode = null; // null | 'circle' | 'polygon'
+  let zoneDraft = [];
+  let zoneDraftLayer = null;
+  // 集合場所ピン（ピンID → { pin, layer }）
+  const pins = {};
+  // 参加者一覧の並び順（'name' | 'distance'）と接近通知の半径（メートル、0 で無効）
+  let userSort = 'name';
+  let proximityRadius = 0;
+  // 接近通知済みの参加者（一度離れるまで再通知しない）
+  const nearby = new Set();
+  // 表示中のダイレクトメッセージの相手（空なら全体チャット）と相手ごとの未読数
+  let dmPeer = '';
+  const unreadDm = {};
+  // ルームのオーナーか、モデレーターと発言禁止中の参加者（サーバの roles イベント）
+  let amOwner = false;
+  let roles = { moderators: [], muted: [] };
+  // モデレーションメニューを開いている参加者
+  let modTarget = '';
+  // 表示中のメッセージ（ID → 内容）と返信先として選んだメッセージ
+  const messageData = {};
+  let replyTarget = null;
+  // リアクションの候補
+  const REACTION_EMOJIS = ['👍', '❤️', '😂', '😮', '😢', '🎉'];
+
+  // ====== DOM要素 ======
+  const messagesEl         = document.getElementById('messages');
+  const inputEl            = document.getElementById('message-input');
+  const sendBtn            = document.getElementById('send-btn');
+  const cooldownHintEl     = document.getElementById('cooldown-hint');
+  const attachBtn          = document.getElementById('attach-btn');
+  const fileInput          = document.getElementById('file-input');
+  const shareBtn           = document.getElementById('share-btn');
+  const pauseBtn           = document.getElementById('pause-btn');
+  const shareDurationSelect  = document.getElementById('share-duration');
+  const sharePrecisionSelect = document.getElementById('share-precision');
+  const inviteBtn          = document.getElementById('invite-btn');
+  const connectionStatusEl = document.getElementById('connection-status');
+  const notifyToggle       = document.getElementById('notify-toggle');
+  const trailToggle        = document.getElementById('trail-toggle');
+  const trailExportBtn     = document.getElementById('trail-export-btn');
+  const zoneBtn            = document.getElementById('zone-btn');
+  const tileDownloadBtn    = document.getElementById('tile-download-btn');
+  const storageUsageEl     = document.getElementById('storage-usage');
+  const rememberLoginCheckbox = document.getElementById('remember-login');
+  const userListEl         = document.getElementById('user-list');  // 参加者一覧
+  const conversationBar    = document.getElementById('conversation-bar');
+  const conversationTitle  = document.getElementById('conversation-title');
+  const conversationBackBtn = document.getElementById('conversation-back-btn');
+  const modMenuEl          = document.getElementById('mod-menu');
+  const replyBar           = document.getElementById('reply-bar');
+  const replyPreview       = document.getElementById('reply-preview');
+  const replyCancelBtn     = document.getElementById('reply-cancel-btn');
+  const userSortSelect     = document.getElementById('user-sort');
+  const proximitySelect    = document.getElementById('proximity-radius');
+
+  // ログイン用オーバーレイUI
+  const loginOverlay   = document.getElementById('login-overlay');
+  const loginNameInput = document.getElementById('login-name');
+  const loginRoomInput = document.getElementById('login-room');
+  const loginPassInput = document.getElementById('login-pass');
+  const loginBtn       = document.getElementById('login-btn');
+  const deleteRoomBtn  = document.getElementById('delete-room-btn');
+  const logoutBtn      = document.getElementById('logout-btn');
+  const roomPassBtn    = document.getElementById('room-pass-btn');
+  const roomPrecisionBtn = document.getElementById('room-precision-btn');
+
+  // 招待リンク管理UI
+  const inviteOverlay   = document.getElementById('invite-overlay');
+  const inviteExpiry    = document.getElementById('invite-expiry');
+  const inviteMaxUses   = document.getElementById('invite-max-uses');
+  const inviteCreateBtn = document.getElementById('invite-create-btn');
+  const inviteCloseBtn  = document.getElementById('invite-close-btn');
+  const inviteListEl    = document.getElementById('invite-list');
+
+  // ルーム選択ドロップダウン・表示
+  const roomsSelect    = document.getElementById('rooms-select');
+  const roomDisplay    = document.getElementById('room-display');
+
+  // ====== ユーティリティ ======
+
+  /** セッショントークン付きで API を呼ぶ（401 はセッション切れとして扱う） */
+  async function api(path, options = {}) {
+    const headers = { ...(options.headers || {}), Authorization: `Bearer ${sessionToken}` };
+    const resp = await fetch(path, { ...options, headers });
+    if (resp.status === 401 && roomName) handleSessionExpired();
+    if (resp.status === 429) showCooldown(retryAfterMs(resp));
+    return resp;
+  }
+
+  /** 429 の Retry-After（秒）をミリ秒で返す */
+  function retryAfterMs(resp) {
+    const seconds = Number(resp.headers.get('Retry-After'));
+    return (seconds > 0 ? seconds : 5) * 1000;
+  }
+
+  // 流量制限の待ち時間の表示
+  let cooldownUntil = 0;
+  let cooldownTimer = null;
+
+  /** 送信しすぎで制限されたことと残り時間を入力欄の上に表示する */
+  function showCooldown(ms) {
+    cooldownUntil = Math.max(cooldownUntil, Date.now() + ms);
+    if (!cooldownHintEl || cooldownTimer) return;
+    const tick = () => {
+      const left = Math.ceil((cooldownUntil - Date.now()) / 1000);
+      if (left <= 0) {
+        cooldownHintEl.hidden = true;
+        clearInterval(cooldownTimer);
+        cooldownTimer = null;
+        return;
+      }
+      cooldownHintEl.textContent = `送信が続いたため制限中です。あと ${left} 秒で送信します`;
+      cooldownHintEl.hidden = false;
+    };
+    tick();
+    cooldownTimer = setInterval(tick, 1000);
+  }
+
+  /**
+   * message / location / remove を送る。WebSocket で繋がっていればそちらで送り、
+   * 結果は fetch と同じく Response で返す（繋がっていなければ従来どおり HTTP で送る）
+   */
+  function sendAction(type, path, body, token = sessionToken) {
+    if (connection && connection.kind === 'websocket' && connection.opened && token === sessionToken) {
+      return connection.send(type, body);
+    }
+    return fetch(path, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+      body: JSON.stringify(body),
+    });
+  }
+
+  /** JSON ボディで POST する */
+  function postJson(path, body) {
+    return api(path, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+    });
+  }
+
+  // ====== 送信待ちキュー（IndexedDB） ======
+  // 送信するメッセージと位置をクライアントIDを付けていったん保存し、
+  // 送れたものから消す。再送による重複はサーバがクライアントIDで取り除く。
+  // service-worker.js の Background Sync も同じDBを読む（スキーマは service-worker.js の openDb と揃える）。
+  const DB_NAME = 'kotachat';
+  const DB_VERSION = 2;
+  const OUTBOX_STORE = 'outbox';
+  // 地図タイルのキャッシュ情報（サイズ・最終利用時刻）は service worker が書き込む
+  const TILE_STORE = 'tiles';
+  const OUTBOX_SYNC_TAG = 'kotachat-outbox';
+  let db = null;
+  let flushing = false;
+  // 流量制限で断られたときの再送タイマー
+  let flushRetryTimer = null;
+
+  function openDb() {
+    if (db) return Promise.resolve(db);
+    return new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') { reject(new Error('IndexedDB unavailable')); return; }
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = () => {
+        const upgraded = req.result;
+        if (!upgraded.objectStoreNames.contains(OUTBOX_STORE)) upgraded.createObjectStore(OUTBOX_STORE, { keyPath: 'clientId' });
+        if (!upgraded.objectStoreNames.contains(TILE_STORE)) upgraded.createObjectStore(TILE_STORE, { keyPath: 'url' });
+      };
+      req.onsuccess = () => resolve(db = req.result);
+      req.onerror = () => reject(req.error);
+    });
+  }
+
+  /** ストアに対する操作を1トランザクションで実行し、fn の戻した request の結果を返す */
+  async function dbRequest(store, mode, fn) {
+    await openDb();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(store, mode);
+      const req = fn(tx.objectStore(store));
+      tx.oncomplete = () => resolve(req ? req.result : undefined);
+      tx.onerror = () => reject(tx.error);
+    });
+  }
+
+  function outbox(mode, fn) {
+    return dbRequest(OUTBOX_STORE, mode, fn);
+  }
+
+  async function outboxItems() {
+    const items = await outbox('readonly', (s) => s.getAll());
+    return items.sort((a, b) => a.createdAt - b.createdAt);
+  }
+
+  function newClientId() {
+    if (crypto.randomUUID) return crypto.randomUUID();
+    return Array.from(crypto.getRandomValues(new Uint8Array(16)), (b) => b.toString(16).padStart(2, '0')).join('');
+  }
+
+  /** 送信をキューに入れて送れるだけ送る（IndexedDB が使えなければ直接送る） */
+  async function enqueue(kind, body) {
+    const item = {
+      clientId: body.clientId,
+      kind,
+      room: roomName,
+      token: sessionToken,
+      path: kind === 'message' ? '/message' : '/location',
+      body,
+      createdAt: Date.now(),
+      state: 'pending',
+    };
+    try {
+      await outbox('readwrite', (s) => {
+        // 位置は最新の1件だけ送れば十分なので古い未送信分は捨てる
+        if (kind === 'location') {
+          s.openCursor().onsuccess = (e) => {
+            const cursor = e.target.result;
+            if (!cursor) { s.put(item); return; }
+            if (cursor.value.kind === 'location' && cursor.value.room === item.room) cursor.delete();
+            cursor.continue();
+          };
+          return null;
+        }
+        return s.put(item);
+      });
+    } catch {
+      postJson(item.path, body).catch(() => {});
+      return;
+    }
+    flushOutbox();
+  }
+
+  /** キューを古い順に送信。通信できなければ中断して Background Sync に任せる */
+  async function flushOutbox() {
+    if (flushing) return;
+    flushing = true;
+    try {
+      for (const item of await outboxItems()) {
+        if (item.state !== 'pending') continue;
+        let resp;
+        try {
+          resp = await sendAction(item.kind, item.path, item.body, item.token);
+        } catch {
+          requestBackgroundSync();
+          break;
+        }
+        if (resp.ok) {
+          await outbox('readwrite', (s) => s.delete(item.clientId));
+        } else if (resp.status >= 500) {
+          requestBackgroundSync();
+          break;
+        } else if (resp.status === 429) {
+          // 送りすぎ：送信待ちのまま残し、待ち時間が過ぎてから続きを送る
+          const wait = retryAfterMs(resp);
+          if (item.kind === 'message') showCooldown(wait);
+          clearTimeout(flushRetryTimer);
+          flushRetryTimer = setTimeout(flushOutbox, wait);
+          break;
+        } else {
+          // 内容の誤りやセッション切れは再送しても通らない
+          item.state = 'failed';
+          await outbox('readwrite', (s) => s.put(item));
+          setMessageState(item.clientId, 'failed');
+          if (resp.status === 401 && item.room === roomName && item.token === sessionToken) {
+            handleSessionExpired();
+            break;
+          }
+        }
+      }
+    } catch {}
+    flushing = false;
+  }
+
+  /** 通信が戻ったら service worker から送ってもらう */
+  function requestBackgroundSync() {
+    if (!('serviceWorker' in navigator)) return;
+    navigator.serviceWorker.ready
+      .then((reg) => reg.sync && reg.sync.register(OUTBOX_SYNC_TAG))
+      .catch(() => {});
+  }
+
+  /** 失敗したメッセージを送り直す */
+  async function retryOutbox(clientId) {
+    try {
+      await outbox('readwrite', (s) => {
+        s.get(clientId).onsuccess = (e) => {
+          const item = e.target.result;
+          if (!item) return;
+          // セッションを取り直した後でも送れるよう現在のトークンに差し替える
+          if (item.room === roomName) item.token = sessionToken;
+          item.state = 'pending';
+          s.put(item);
+        };
+        return null;
+      });
+    } catch { return; }
+    setMessageState(clientId, 'pending');
+    flushOutbox();
+  }
+
+  /** このルームの未送信メッセージを表示（既に表示中なら状態だけ更新） */
+  async function showOutbox() {
+    let items;
+    try { items = await outboxItems(); } catch { return; }
+    for (const item of items) {
+      if (item.kind !== 'message' || item.room !== roomName) continue;
+      if (!findMessageByClientId(item.clientId)) {
+        appendMessage({ from: myId, name: userName, text: item.body.text || '', time: item.createdAt, clientId: item.clientId, to: item.body.to });
+      }
+      setMessageState(item.clientId, item.state);
+    }
+  }
+
+  function findMessageByClientId(clientId) {
+    return messagesEl.querySelector(`[data-client-id="${CSS.escape(clientId)}"]`);
+  }
+
+  /** メッセージの送信状態を表示（pending: 送信待ち / failed: 失敗 / sent: 送信済み） */
+  function setMessageState(clientId, state) {
+    const el = findMessageByClientId(clientId);
+    if (!el) return;
+    el.classList.toggle('pending', state === 'pending');
+    el.classList.toggle('failed', state === 'failed');
+    let retry = el.querySelector('.retry');
+    if (state === 'failed' && !retry) {
+      retry = document.createElement('button');
+      retry.className = 'retry';
+      retry.textContent = '再送';
+      retry.addEventListener('click', () => retryOutbox(clientId));
+      el.appendChild(retry);
+    } else if (state !== 'failed' && retry) {
+      retry.remove();
+    }
+  }
+
+  // ====== 地図タイルの事前ダウンロード ======
+  // 取得したタイルは service worker がキャッシュする（容量上限あり・古いものから削除）。
+  // OSM のタイル利用規約に配慮し、一度に取得する枚数と最大ズームを抑える。
+  const TILE_URL = 'https://tile.openstreetmap.org';
+  const MAX_DOWNLOAD_TILES = 1500;
+  const MAX_DOWNLOAD_ZOOM = 17;
+  const DOWNLOAD_ZOOM_LEVELS = 3;
+
+  function tileX(lon, z) {
+    return Math.floor((lon + 180) / 360 * 2 ** z);
+  }
+
+  function tileY(lat, z) {
+    const r = lat * Math.PI / 180;
+    return Math.floor((1 - Math.log(Math.tan(r) + 1 / Math.cos(r)) / Math.PI) / 2 * 2 ** z);
+  }
+
+  /** 表示範囲を覆うタイルの一覧（現在のズームから数段階） */
+  function tilesForView() {
+    const bounds = map.getBounds();
+    const minZoom = Math.round(map.getZoom());
+    let maxZoom = Math.min(minZoom + DOWNLOAD_ZOOM_LEVELS - 1, MAX_DOWNLOAD_ZOOM);
+    for (;;) {
+      const urls = [];
+      for (let z = minZoom; z <= maxZoom; z++) {
+        const max = 2 ** z - 1;
+        const x0 = Math.max(0, tileX(bounds.getWest(), z));
+        const x1 = Math.min(max, tileX(bounds.getEast(), z));
+        const y0 = Math.max(0, tileY(bounds.getNorth(), z));
+        const y1 = Math.min(max, tileY(bounds.getSouth(), z));
+        for (let x = x0; x <= x1; x++) {
+          for (let y = y0; y <= y1; y++) urls.push(`${TILE_URL}/${z}/${x}/${y}.png`);
+        }
+      }
+      // 多すぎる場合は細かいズームから諦める
+      if (urls.length <= MAX_DOWNLOAD_TILES || maxZoom === minZoom) return { urls: urls.slice(0, MAX_DOWNLOAD_TILES), minZoom, maxZoom };
+      maxZoom--;
+    }
+  }
+
+  /** 表示中の範囲のタイルを取得してキャッシュに入れる */
+  async function downloadArea() {
+    if (!map) return;
+    if (!navigator.serviceWorker || !navigator.serviceWorker.controller) {
+      alert('オフライン用の保存にはページの再読み込みが必要です');
+      return;
+    }
+    const { urls, minZoom, maxZoom } = tilesForView();
+    const estimate = formatBytes(urls.length * 15 * 1024);
+    if (!confirm(`ズーム ${minZoom}〜${maxZoom} のタイル ${urls.length} 枚（約 ${estimate}）を保存しますか？`)) return;
+    tileDownloadBtn.disabled = true;
+    let done = 0;
+    let failed = 0;
+    const queue = urls.slice();
+    // 同時に4枚ずつ取得
+    const worker = async () => {
+      while (queue.length) {
+        const url = queue.shift();
+        try {
+          const resp = await fetch(url, { mode: 'cors' });
+          if (!resp.ok) failed++;
+        } catch {
+          failed++;
+        }
+        done++;
+        tileDownloadBtn.textContent = `保存中 ${done}/${urls.length}`;
+      }
+    };
+    await Promise.all([worker(), worker(), worker(), worker()]);
+    tileDownloadBtn.disabled = false;
+    tileDownloadBtn.textContent = '地図DL';
+    if (failed) alert(`${failed} 枚のタイルを取得できませんでした`);
+    updateStorageUsage();
+  }
+
+  function formatBytes(n) {
+    return n < 1024 * 1024 ? `${Math.round(n / 1024)} KB` : `${(n / 1024 / 1024).toFixed(1)} MB`;
+  }
+
+  /** 地図タイルとアプリ全体のストレージ使用量を表示 */
+  async function updateStorageUsage() {
+    if (!storageUsageEl) return;
+    let tiles = 0;
+    try {
+      const list = await dbRequest(TILE_STORE, 'readonly', (s) => s.getAll());
+      tiles = list.reduce((sum, t) => sum + t.size, 0);
+    } catch {}
+    let text = `地図 ${formatBytes(tiles)}`;
+    if (navigator.storage && navigator.storage.estimate) {
+      try {
+        const { usage } = await navigator.storage.estimate();
+        text += ` / 全体 ${formatBytes(usage)}`;
+      } catch {}
+    }
+    storageUsageEl.textContent = text;
+  }
+
+  // ====== プッシュ通知 ======
+  // 通知を有効にすると、ページを閉じていても service worker 経由で新着を受け取れる
+  const pushSupported = 'serviceWorker' in navigator && typeof PushManager !== 'undefined';
+
+  function base64UrlToBytes(s) {
+    const bin = atob(s.replace(/-/g, '+').replace(/_/g, '/'));
+    return Uint8Array.from(bin, (c) => c.charCodeAt(0));
+  }
+
+  /** このルームのプッシュ通知を購読（端末の購読は複数のルームで共有する） */
+  async function subscribePush() {
+    if (!pushSupported || !roomName) return;
+    try {
+      const reg = await navigator.serviceWorker.getRegistration();
+      if (!reg) return;
+      const { publicKey } = await (await fetch('/push/key')).json();
+      const options = { userVisibleOnly: true, applicationServerKey: base64UrlToBytes(publicKey) };
+      let sub = await reg.pushManager.getSubscription();
+      try {
+        if (!sub) sub = await reg.pushManager.subscribe(options);
+      } catch {
+        return;
+      }
+      // サーバの鍵が変わっていたら購読し直す
+      const current = sub.options && sub.options.applicationServerKey;
+      if (current && new Uint8Array(current).join() !== options.applicationServerKey.join()) {
+        await sub.unsubscribe();
+        sub = await reg.pushManager.subscribe(options);
+      }
+      const { endpoint, keys } = sub.toJSON();
+      await postJson('/push/subscribe', { room: roomName, endpoint, keys });
+    } catch {}
+  }
+
+  /** このルームのプッシュ通知をやめる（他のルームの購読は残す） */
+  async function unsubscribePush() {
+    if (!pushSupported || !roomName) return;
+    try {
+      const reg = await navigator.serviceWorker.getRegistration();
+      const sub = reg && await reg.pushManager.getSubscription();
+      if (sub) await postJson('/push/unsubscribe', { room: roomName, endpoint: sub.endpoint });
+    } catch {}
+  }
+
+  /** 通知から開かれたルームに入る（保存済みセッションがあればそのまま入室） */
+  function openRoomFromNotification(room) {
+    if (!room || room === roomName) return;
+    if (roomName) return; // 別のルームに入室中なら切り替えない
+    loginRoomInput.value = room;
+    if (savedSession && savedSession.room === room) loginBtn.click();
+  }
+
+  /** セッション切れ：ログイン画面へ戻す */
+  function handleSessionExpired() {
+    forgetSavedSession();
+    resetSession();
+    alert('セッションの有効期限が切れました。もう一度入室してください。');
+  }
+
+  /** 日付オブジェクトを時刻文字列に */
+  function formatTime(ts) {
+    const d = new Date(ts);
+    return d.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+  }
+
+  /** メッセージを DOM に追加表示 */
+  function appendMessage(msg) {
+    const wrap  = document.createElement('div');
+    renderMessage(wrap, msg);
+    wrap.hidden = messagePeer(msg) !== dmPeer;
+    messagesEl.appendChild(wrap);
+    messagesEl.scrollTop = messagesEl.scrollHeight;
+  }
+
+  /** メッセージの中身を描画（編集・削除・リアクションでは同じ要素を描き直す） */
+  function renderMessage(wrap, msg) {
+    wrap.textContent = '';
+    wrap.className = msg.system ? 'message system' : 'message';
+    if (msg.clientId) wrap.dataset.clientId = msg.clientId;
+    if (msg.id) {
+      wrap.dataset.id = msg.id;
+      messageData[msg.id] = msg;
+    }
+    if (msg.deleted) wrap.classList.add('deleted');
+    // ダイレクトメッセージは相手ごとの会話に振り分ける
+    const peer = messagePeer(msg);
+    if (peer) {
+      wrap.classList.add('dm');
+      wrap.dataset.peer = peer;
+    }
+
+    if (msg.replyTo) wrap.appendChild(quoteElement(msg.replyTo));
+
+    const nameSpan = document.createElement('span');
+    nameSpan.className = 'name';
+    nameSpan.textContent = msg.system ? 'お知らせ' : displayName(msg.from, msg.name);
+
+    const timeSpan = document.createElement('span');
+    timeSpan.className = 'time';
+    timeSpan.textContent = formatTime(msg.time);
+
+    wrap.appendChild(nameSpan);
+    wrap.appendChild(timeSpan);
+
+    if (msg.deleted) {
+      const textSpan = document.createElement('span');
+      textSpan.className = 'text';
+      textSpan.textContent = ' このメッセージは削除されました';
+      wrap.appendChild(textSpan);
+      return;
+    }
+
+    if (msg.text) {
+      const textSpan = document.createElement('span');
+      textSpan.className = 'text';
+      textSpan.textContent = ' ' + msg.text;
+      wrap.appendChild(textSpan);
+    }
+    if (msg.attachment) wrap.appendChild(attachmentElement(msg.attachment));
+    if (msg.editedAt) {
+      const edited = document.createElement('span');
+      edited.className = 'edited';
+      edited.textContent = '（編集済み）';
+      edited.title = formatTime(msg.editedAt);
+      wrap.appendChild(edited);
+    }
+
+    // 集合場所ピンを参照するメッセージは地図上のピンへ移動できる
+    if (msg.pin) {
+      wrap.dataset.pin = msg.pin;
+      const link = document.createElement('a');
+      link.className = 'pin-link';
+      link.href = '#';
+      link.textContent = '地図で見る';
+      link.addEventListener('click', (e) => {
+        e.preventDefault();
+        focusPin(msg.pin);
+      });
+      wrap.appendChild(link);
+    }
+
+    // サーバで ID が振られるまでは返信・リアクションできない
+    if (!msg.id || msg.system) return;
+    const reactions = document.createElement('div');
+    reactions.className = 'reactions';
+    for (const [emoji, who] of Object.entries(msg.reactions || {})) {
+      const btn = document.createElement('button');
+      btn.className = who.includes(myId) ? 'reaction mine' : 'reaction';
+      btn.textContent = `${emoji} ${who.length}`;
+      btn.title = who.map((id) => (markers[id] ? displayName(id, markers[id].name) : '退出した参加者')).join('、');
+      btn.addEventListener('click', () => react(msg, emoji));
+      reactions.appendChild(btn);
+    }
+    wrap.appendChild(reactions);
+
+    const actions = document.createElement('span');
+    actions.className = 'message-actions';
+    const addAction = (label, title, handler) => {
+      const btn = document.createElement('button');
+      btn.textContent = label;
+      btn.title = title;
+      btn.addEventListener('click', handler);
+      actions.appendChild(btn);
+    };
+    addAction('返信', 'このメッセージに返信', () => startReply(msg));
+    addAction('☺+', 'リアクション', () => toggleReactionPicker(wrap, msg));
+    if (msg.from === myId) {
+      addAction('編集', 'メッセージを編集', () => editMessage(msg));
+      addAction('削除', 'メッセージを削除', () => deleteMessage(msg));
+    }
+    wrap.appendChild(actions);
+  }
+
+  /** 添付ファイルの取得先（img 要素からも読めるよう session をクエリで渡す） */
+  function attachmentUrl(att) {
+    return `/attachments/${encodeURIComponent(att.id)}?room=${encodeURIComponent(roomName)}&session=${encodeURIComponent(sessionToken)}`;
+  }
+
+  /** 画像はサムネイル、それ以外はファイル名と大きさのカードで表示 */
+  function attachmentElement(att) {
+    const link = document.createElement('a');
+    link.href = attachmentUrl(att);
+    if (att.type.startsWith('image/')) {
+      link.className = 'attachment-image';
+      link.target = '_blank';
+      link.rel = 'noopener';
+      const img = document.createElement('img');
+      img.className = 'attachment-thumb';
+      img.src = link.href;
+      img.alt = att.name;
+      img.loading = 'lazy';
+      link.appendChild(img);
+      return link;
+    }
+    link.className = 'attachment-card';
+    link.download = att.name;
+    const icon = document.createElement('span');
+    icon.className = 'attachment-icon';
+    icon.textContent = '📄';
+    const name = document.createElement('span');
+    name.className = 'attachment-name';
+    name.textContent = att.name;
+    const size = document.createElement('span');
+    size.className = 'attachment-size';
+    size.textContent = formatBytes(att.size);
+    link.append(icon, name, size);
+    return link;
+  }
+
+  /** 引用に使う本文（本文のない添付ファイルはファイル名） */
+  function quoteText(msg) {
+    return msg.text.slice(0, 100) || (msg.attachment ? `📎 ${msg.attachment.name}` : '');
+  }
+
+  /** 返信の引用部分（押すと元のメッセージへ移動） */
+  function quoteElement(quote) {
+    const el = document.createElement('div');
+    el.className = 'reply-quote';
+    el.dataset.id = quote.id;
+    el.textContent = `${quote.name}: ${quote.deleted ? '削除されたメッセージ' : quote.text}`;
+    el.addEventListener('click', () => {
+      const original = messagesEl.querySelector(`.message[data-id="${quote.id}"]`);
+      if (!original || original.hidden) return;
+      original.scrollIntoView({ block: 'center' });
+      original.classList.add('highlight');
+      setTimeout(() => original.classList.remove('highlight'), 2000);
+    });
+    return el;
+  }
+
+  /** 編集・削除・リアクションのイベントを表示中のメッセージへ反映 */
+  function updateMessage(id, changes) {
+    const msg = messageData[id];
+    if (!msg) return;
+    Object.assign(msg, changes);
+    if (msg.deleted) {
+      msg.text = '';
+      delete msg.reactions;
+      delete msg.pin;
+      delete msg.attachment;
+    }
+    const el = messagesEl.querySelector(`.message[data-id="${id}"]`);
+    if (el) renderMessage(el, msg);
+    // 引用している返信も描き直す
+    for (const reply of Object.values(messageData)) {
+      if (!reply.replyTo || reply.replyTo.id !== id) continue;
+      reply.replyTo = { ...reply.replyTo, text: msg.deleted ? '' : quoteText(msg), deleted: !!msg.deleted };
+      const replyEl = messagesEl.querySelector(`.message[data-id="${reply.id}"]`);
+      if (replyEl) renderMessage(replyEl, reply);
+    }
+    if (replyTarget && replyTarget.id === id && msg.deleted) cancelReply();
+  }
+
+  function startReply(msg) {
+    replyTarget = msg;
+    if (replyBar) {
+      replyPreview.textContent = `${displayName(msg.from, msg.name)} に返信: ${quoteText(msg)}`;
+      replyBar.hidden = false;
+    }
+    inputEl.focus();
+  }
+
+  function cancelReply() {
+    replyTarget = null;
+    if (replyBar) replyBar.hidden = true;
+  }
+
+  function toggleReactionPicker(wrap, msg) {
+    const open = wrap.querySelector('.reaction-picker');
+    if (open) { open.remove(); return; }
+    const picker = document.createElement('span');
+    picker.className = 'reaction-picker';
+    for (const emoji of REACTION_EMOJIS) {
+      const btn = document.createElement('button');
+      btn.textContent = emoji;
+      btn.addEventListener('click', () => {
+        picker.remove();
+        react(msg, emoji);
+      });
+      picker.appendChild(btn);
+    }
+    wrap.appendChild(picker);
+  }
+
+  function react(msg, emoji) {
+    postJson('/message/react', { room: roomName, id: msg.id, emoji }).catch(() => {});
+  }
+
+  function editMessage(msg) {
+    const text = prompt('メッセージを編集', msg.text);
+    if (!text || !text.trim() || text === msg.text) return;
+    postJson('/message/edit', { room: roomName, id: msg.id, text: text.trim() }).catch(() => {});
+  }
+
+  function deleteMessage(msg) {
+    if (!confirm('このメッセージを削除しますか？')) return;
+    postJson('/message/delete', { room: roomName, id: msg.id }).catch(() => {});
+  }
+
+  /** ダイレクトメッセージの相手（全体宛てなら空文字） */
+  function messagePeer(msg) {
+    if (!msg.to) return '';
+    return msg.from === myId ? msg.to : msg.from;
+  }
+
+  /** 会話を切り替える（peer が空なら全体チャット） */
+  function openConversation(peer) {
+    dmPeer = peer;
+    delete unreadDm[peer];
+    for (const el of messagesEl.children) el.hidden = (el.dataset.peer || '') !== peer;
+    if (conversationBar) {
+      conversationBar.hidden = !peer;
+      const entry = markers[peer];
+      if (conversationTitle) conversationTitle.textContent = peer ? `${entry ? displayName(peer, entry.name) : '退出した参加者'} とのメッセージ` : '';
+    }
+    updateInputState();
+    messagesEl.scrollTop = messagesEl.scrollHeight;
+    updateUserList();
+  }
+
+  /** 入力欄の表示（発言禁止中は入力できないようにする。送信してもサーバが断る） */
+  function updateInputState() {
+    const mute = roles.muted.find((m) => m.id === myId);
+    inputEl.disabled = !!mute;
+    if (attachBtn) attachBtn.disabled = !!mute;
+    if (mute) inputEl.placeholder = `発言禁止中です${mute.until ? `（${formatUntil(mute.until)} まで）` : ''}`;
+    else inputEl.placeholder = dmPeer ? 'ダイレクトメッセージを入力' : 'メッセージを入力';
+  }
+
+  /** 禁止の解除予定（日付をまたぐことがあるので日時で表示） */
+  function formatUntil(ts) {
+    return new Date(ts).toLocaleString([], { month: 'numeric', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+  }
+
+  /** 自分がオーナーかモデレーターか */
+  function canModerate() {
+    return amOwner || roles.moderators.includes(myId);
+  }
+
+  /** 参加者一覧の「…」から開くモデレーションメニュー */
+  function openModMenu(id, anchor) {
+    if (!modMenuEl) return;
+    if (modTarget === id && !modMenuEl.hidden) { closeModMenu(); return; }
+    modTarget = id;
+    modMenuEl.innerHTML = '';
+    const entry = markers[id];
+    const title = document.createElement('div');
+    title.className = 'mod-menu-title';
+    title.textContent = entry ? displayName(id, entry.name) : id;
+    modMenuEl.appendChild(title);
+    const add = (label, action, extra = {}, confirmText = '') => {
+      const btn = document.createElement('button');
+      btn.textContent = label;
+      btn.addEventListener('click', () => {
+        closeModMenu();
+        if (confirmText && !confirm(confirmText)) return;
+        moderate(action, id, extra);
+      });
+      modMenuEl.appendChild(btn);
+    };
+    const name = entry ? entry.name : '';
+    if (roles.muted.some((m) => m.id === id)) {
+      add('発言禁止を解除', 'unmute');
+    } else {
+      add('10分間発言禁止', 'mute', { duration: 600 });
+      add('発言禁止（解除するまで）', 'mute');
+    }
+    add('退室させる', 'kick', {}, `${name} さんを退室させますか？`);
+    add('1時間入室禁止', 'ban', { duration: 3600 }, `${name} さんを1時間入室禁止にしますか？`);
+    add('1日入室禁止（同じ IP も）', 'ban', { duration: 86400, ip: true },
+      `${name} さんと同じ IP アドレスからの入室を1日禁止しますか？\n同じ回線の他の人も入れなくなります。`);
+    if (amOwner) {
+      if (roles.moderators.includes(id)) add('モデレーターを解除', 'moderator', { enabled: false });
+      else add('モデレーターにする', 'moderator', { enabled: true });
+    }
+    const rect = anchor.getBoundingClientRect();
+    modMenuEl.style.left = `${Math.max(0, Math.min(rect.left, window.innerWidth - 220))}px`;
+    modMenuEl.style.top = `${rect.bottom + 4}px`;
+    modMenuEl.hidden = false;
+  }
+
+  function closeModMenu() {
+    modTarget = '';
+    if (modMenuEl) modMenuEl.hidden = true;
+  }
+
+  async function moderate(action, participant, extra) {
+    try {
+      const resp = await postJson(`/moderation/${action}`, { room: roomName, participant, ...extra });
+      if (resp.ok || resp.status === 401 || resp.status === 429) return;
+      const err = await resp.json().catch(() => ({}));
+      alert(resp.status === 409 ? '接続していない参加者は IP アドレスで入室禁止にできません' : `操作できませんでした（${err.message || resp.status}）`);
+    } catch {
+      alert('操作できませんでした（通信エラー）');
+    }
+  }
+
+  /** 2点間の距離（メートル、ハバーサイン） */
+  function distanceMeters(lat1, lon1, lat2, lon2) {
+    const rad = (d) => d * Math.PI / 180;
+    const h = Math.sin(rad(lat2 - lat1) / 2) ** 2 +
+      Math.cos(rad(lat1)) * Math.cos(rad(lat2)) * Math.sin(rad(lon2 - lon1) / 2) ** 2;
+    return 2 * 6371000 * Math.asin(Math.min(1, Math.sqrt(h)));
+  }
+
+  /** 方位角（度、真北から時計回り） */
+  function bearingDegrees(lat1, lon1, lat2, lon2) {
+    const rad = (d) => d * Math.PI / 180;
+    const y = Math.sin(rad(lon2 - lon1)) * Math.cos(rad(lat2));
+    const x = Math.cos(rad(lat1)) * Math.sin(rad(lat2)) -
+      Math.sin(rad(lat1)) * Math.cos(rad(lat2)) * Math.cos(rad(lon2 - lon1));
+    return (Math.atan2(y, x) * 180 / Math.PI + 360) % 360;
+  }
+
+  const COMPASS = ['北', '北東', '東', '南東', '南', '南西', '西', '北西'];
+  function compassLabel(deg) {
+    return COMPASS[Math.round(deg / 45) % 8];
+  }
+
+  /** 相手に向かう速度成分（m/s）。方向が分からない端末は寄与なしとする */
+  function approachSpeed(m, bearingToTarget) {
+    if (!(m.speed > 0) || !Number.isFinite(m.heading)) return 0;
+    return m.speed * Math.cos((m.heading - bearingToTarget) * Math.PI / 180);
+  }
+
+  /** 自分から見た距離・方位・到着予想（位置が分からなければ null） */
+  function relativeTo(id) {
+    const me = markers[myId];
+    const other = markers[id];
+    if (id === myId || !me || !other || me.lat === undefined || other.lat === undefined) return null;
+    const distance = distanceMeters(me.lat, me.lon, other.lat, other.lon);
+    const bearing = bearingDegrees(me.lat, me.lon, other.lat, other.lon);
+    // 互いに近づく速さの合計から到着までの時間を見積もる（歩く速さ未満は出さない）
+    const closing = approachSpeed(me, bearing) + approachSpeed(other, (bearing + 180) % 360);
+    const eta = closing > 0.5 ? distance / closing : null;
+    return { distance, bearing, eta };
+  }
+
+  /** 到着予想時間を表示用の文字列に */
+  function formatEta(sec) {
+    const min = Math.round(sec / 60);
+    return min < 1 ? 'まもなく' : min < 60 ? `約${min}分` : `約${Math.floor(min / 60)}時間${min % 60}分`;
+  }
+
+  /** 接近通知：設定した半径の内側に入った参加者を知らせる */
+  function checkProximity() {
+    for (const id of Object.keys(markers)) {
+      const rel = relativeTo(id);
+      const inside = proximityRadius > 0 && rel && rel.distance <= proximityRadius;
+      if (!inside) { nearby.delete(id); continue; }
+      if (nearby.has(id)) continue;
+      nearby.add(id);
+      const text = `${displayName(id, markers[id].name)} さんが ${formatDistance(rel.distance)} 以内に近づきました`;
+      appendMessage({ from: null, name: '', text, time: Date.now(), system: true });
+      if (notificationsEnabled && Notification.permission === 'granted') {
+        try { new Notification('接近通知', { body: text }); } catch {}
+      }
+    }
+  }
+
+  /** 距離を表示用の文字列に */
+  function formatDistance(m) {
+    return m < 1000 ? `${Math.round(m)} m` : `${(m / 1000).toFixed(1)} km`;
+  }
+
+  /** 表示名（同名の参加者がいる場合はIDの末尾を付けて区別する） */
+  function displayName(id, name) {
+    let same = 0;
+    for (const other of Object.keys(markers)) {
+      if (markers[other].name === name) same++;
+    }
+    const label = same > 1 && id ? `${name} #${id.slice(-4)}` : name;
+    return id && id === myId ? `${label}（自分）` : label;
+  }
+
+  /** 参加者一覧の表示を更新 */
+  function updateUserList() {
+    if (!userListEl) return;
+    const rel = {};
+    for (const id of Object.keys(markers)) rel[id] = relativeTo(id);
+    const byName = (a, b) => markers[a].name.localeCompare(markers[b].name, 'ja') || a.localeCompare(b);
+    // 距離順では自分を先頭、位置不明の参加者を末尾にする
+    const byDistance = (a, b) => {
+      const da = a === myId ? -1 : rel[a] ? rel[a].distance : Infinity;
+      const db = b === myId ? -1 : rel[b] ? rel[b].distance : Infinity;
+      return da - db || byName(a, b);
+    };
+    const ids = Object.keys(markers).sort(userSort === 'distance' ? byDistance : byName);
+    userListEl.innerHTML = '';
+    for (const id of ids) {
+      const label = displayName(id, markers[id].name);
+      const state = markers[id].state || 'online';
+      const pill = document.createElement('div');
+      pill.className = `user-list-item presence-${state}`;
+      pill.textContent = label;
+      if (rel[id]) {
+        const info = document.createElement('span');
+        info.className = 'user-distance';
+        const eta = rel[id].eta !== null ? ` ${formatEta(rel[id].eta)}` : '';
+        info.textContent = ` ${formatDistance(rel[id].distance)} ${compassLabel(rel[id].bearing)}${eta}`;
+        pill.appendChild(info);
+      }
+      if (markers[id].lastSeen) pill.title = `${PRESENCE_LABELS[state] || state}（最終確認 ${formatTime(markers[id].lastSeen)}）`;
+      // モデレーターと発言禁止中の印
+      if (roles.moderators.includes(id)) {
+        const badge = document.createElement('span');
+        badge.className = 'role-badge';
+        badge.textContent = '★';
+        badge.title = 'モデレーター';
+        pill.prepend(badge);
+      }
+      const mute = roles.muted.find((m) => m.id === id);
+      if (mute) {
+        const badge = document.createElement('span');
+        badge.className = 'role-badge muted';
+        badge.textContent = '🔇';
+        badge.title = mute.until ? `発言禁止（${formatUntil(mute.until)} まで）` : '発言禁止';
+        pill.appendChild(badge);
+      }
+      // 他の参加者の名前を押すとダイレクトメッセージを開く（もう一度押すと全体に戻る）
+      if (id !== myId) {
+        pill.classList.add('clickable');
+        if (id === dmPeer) pill.classList.add('active');
+        if (unreadDm[id]) {
+          const badge = document.createElement('span');
+          badge.className = 'unread';
+          badge.textContent = unreadDm[id];
+          pill.appendChild(badge);
+        }
+        pill.addEventListener('click', () => openConversation(id === dmPeer ? '' : id));
+        if (canModerate()) {
+          const btn = document.createElement('button');
+          btn.className = 'mod-btn';
+          btn.textContent = '…';
+          btn.title = 'モデレーション';
+          btn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            openModMenu(id, btn);
+          });
+          pill.appendChild(btn);
+        }
+      }
+      userListEl.appendChild(pill);
+      // 同名の参加者が増減したらポップアップも合わせる
+      if (markers[id].layer) markers[id].layer.setPopupContent(textElement(label));
+    }
+  }
+
+  const PRESENCE_LABELS = { online: 'オンライン', idle: '離席中', offline: 'オフライン' };
+
+  /** 在席状態に応じてマーカーを薄く表示 */
+  function applyPresenceStyle(entry) {
+    if (entry.layer && entry.layer.setOpacity) {
+      entry.layer.setOpacity(!entry.state || entry.state === 'online' ? 1 : 0.45);
+    }
+  }
+
+  /** 在席状態を更新（位置未共有の参加者も一覧に載せる） */
+  function updatePresence(info) {
+    const entry = markers[info.id] || (markers[info.id] = { name: info.name, layer: null });
+    entry.name = info.name;
+    entry.state = info.state;
+    entry.lastSeen = info.lastSeen;
+    applyPresenceStyle(entry);
+    updateUserList();
+  }
+
+  /** マーカーを更新、初回のみ自動センタリング */
+  function updateMarker(id, name, lat, lon, motion = {}) {
+    const entry = markers[id] || (markers[id] = { name, layer: null });
+    entry.name = name;
+    entry.lat = lat;
+    entry.lon = lon;
+    entry.speed = motion.speed;
+    entry.heading = motion.heading;
+    if (!map) {
+      updateUserList();
+      return;
+    }
+    if (entry.layer) {
+      entry.layer.setLatLng([lat, lon]);
+    } else if (typeof L !== 'undefined') {
+      entry.layer = L.marker([lat, lon]).addTo(map);
+      entry.layer.bindPopup(textElement(displayName(id, name)));
+      applyPresenceStyle(entry);
+    }
+    // 自分のマーカー更新時は最初の1回のみセンタリング
+    if (id === myId && !hasCentered) {
+      const currentZoom = map.getZoom();
+      const desiredZoom = currentZoom < 12 ? 12 : currentZoom;
+      map.setView([lat, lon], desiredZoom);
+      hasCentered = true;
+    }
+    updateUserList();
+  }
+
+  /** 軌跡の線を描き直す */
+  function drawTrail(entry) {
+    if (!map || typeof L === 'undefined' || !entry.trail) return;
+    if (entry.trailLayer) entry.trailLayer.setLatLngs(entry.trail);
+    else entry.trailLayer = L.polyline(entry.trail, { weight: 3, opacity: 0.6 }).addTo(map);
+  }
+
+  /** 軌跡に点を追加（同じ地点の連続は無視） */
+  function addTrailPoint(id, lat, lon) {
+    const entry = markers[id];
+    if (!entry) return;
+    const trail = entry.trail || (entry.trail = []);
+    const last = trail[trail.length - 1];
+    if (last && last[0] === lat && last[1] === lon) return;
+    trail.push([lat, lon]);
+    if (trail.length > TRAIL_POINTS) trail.splice(0, trail.length - TRAIL_POINTS);
+    if (trailsVisible) drawTrail(entry);
+  }
+
+  /** 軌跡の線を地図から外す */
+  function hideTrails() {
+    for (const id of Object.keys(markers)) {
+      const entry = markers[id];
+      if (entry.trailLayer && map) map.removeLayer(entry.trailLayer);
+      entry.trailLayer = null;
+    }
+  }
+
+  /** サーバに保存された軌跡を取得して描画 */
+  async function loadTrails() {
+    if (!roomName) return;
+    try {
+      const resp = await api(`/tracks?room=${encodeURIComponent(roomName)}&format=geojson`);
+      if (!resp.ok) return;
+      const { features } = await resp.json();
+      for (const f of features) {
+        const entry = markers[f.properties.id];
+        if (!entry || f.geometry.type !== 'LineString') continue;
+        entry.trail = f.geometry.coordinates.slice(-TRAIL_POINTS).map(([lon, lat]) => [lat, lon]);
+      }
+    } catch {}
+    if (!trailsVisible) return;
+    for (const id of Object.keys(markers)) drawTrail(markers[id]);
+  }
+
+  /** ゾーンを地図に表示（作成者かオーナーはポップアップから削除できる） */
+  function updateZone(zone) {
+    removeZone(zone.id);
+    const entry = zones[zone.id] = { zone, layer: null };
+    if (!map || typeof L === 'undefined') return;
+    const style = { color: '#e91e63', weight: 2, fillOpacity: 0.1 };
+    entry.layer = zone.type === 'circle'
+      ? L.circle([zone.lat, zone.lon], { ...style, radius: zone.radius })
+      : L.polygon(zone.points.map((p) => [p.lat, p.lon]), style);
+    const popup = document.createElement('div');
+    popup.textContent = zone.name;
+    const delBtn = document.createElement('button');
+    delBtn.textContent = '削除';
+    delBtn.addEventListener('click', () => deleteZone(zone));
+    popup.appendChild(document.createElement('br'));
+    popup.appendChild(delBtn);
+    entry.layer.bindPopup(popup).addTo(map);
+  }
+
+  /** ゾーンを地図から外す */
+  function removeZone(id) {
+    const entry = zones[id];
+    if (!entry) return;
+    if (entry.layer && map) map.removeLayer(entry.layer);
+    delete zones[id];
+  }
+
+  /** ゾーンを作成 */
+  async function createZone(body) {
+    try {
+      const resp = await postJson('/zones', { room: roomName, ...body });
+      if (!resp.ok) throw new Error(String(resp.status));
+    } catch {
+      alert('ゾーンを作成できませんでした');
+    }
+  }
+
+  /** ゾーンを削除 */
+  async function deleteZone(zone) {
+    if (!confirm(`ゾーン「${zone.name}」を削除しますか？`)) return;
+    const resp = await postJson('/zones/delete', { room: roomName, id: zone.id }).catch(() => null);
+    if (resp && resp.status === 403) alert('作成者かルームのオーナーのみ削除できます');
+    else if (!resp || !resp.ok) alert('ゾーンを削除できませんでした');
+  }
+
+  /** ゾーン作成モードの表示を更新 */
+  function setZoneMode(mode) {
+    zoneMode = mode;
+    zoneDraft = [];
+    if (zoneDraftLayer && map) map.removeLayer(zoneDraftLayer);
+    zoneDraftLayer = null;
+    if (zoneBtn) zoneBtn.textContent = mode === 'circle' ? 'ゾーン:円' : mode === 'polygon' ? 'ゾーン:多角形' : 'ゾーン';
+  }
+
+  /** 作成モード中の地図タップ：円は中心、多角形は頂点を指定 */
+  function onMapClick(e) {
+    if (!zoneMode || !roomName) return;
+    const { lat, lng } = e.latlng;
+    if (zoneMode === 'circle') {
+      const name = prompt('ゾーン名');
+      if (!name) return;
+      const radius = Number(prompt('半径（メートル）', '100'));
+      if (!(radius > 0)) return;
+      setZoneMode(null);
+      createZone({ zoneName: name, type: 'circle', lat, lon: lng, radius });
+      return;
+    }
+    zoneDraft.push([lat, lng]);
+    if (zoneDraftLayer) zoneDraftLayer.setLatLngs(zoneDraft);
+    else zoneDraftLayer = L.polyline(zoneDraft, { color: '#e91e63', dashArray: '4' }).addTo(map);
+    if (zoneDraft.length >= 3 && zoneBtn) zoneBtn.textContent = '確定';
+  }
+
+  /** 文字列のまま Leaflet に渡すと HTML として描画されるので、参加者が決めたテキストは要素に包んで渡す */
+  function textElement(text) {
+    const el = document.createElement('span');
+    el.textContent = text;
+    return el;
+  }
+
+  /** ピンのポップアップ（各参加者からの距離と操作ボタン） */
+  function pinPopupContent(pin) {
+    const el = document.createElement('div');
+    el.className = 'pin-popup';
+    const title = document.createElement('strong');
+    title.textContent = pin.title;
+    el.appendChild(title);
+    const list = document.createElement('ul');
+    for (const id of Object.keys(markers)) {
+      const m = markers[id];
+      if (m.lat === undefined) continue;
+      const li = document.createElement('li');
+      li.textContent = `${displayName(id, m.name)}: ${formatDistance(distanceMeters(m.lat, m.lon, pin.lat, pin.lon))}`;
+      list.appendChild(li);
+    }
+    el.appendChild(list);
+    const buttons = [
+      ['名前変更', () => renamePin(pin)],
+      ['削除', () => deletePin(pin)],
+      ['チャット', () => showPinMessage(pin.id)],
+    ];
+    for (const [label, onClick] of buttons) {
+      const btn = document.createElement('button');
+      btn.textContent = label;
+      btn.addEventListener('click', onClick);
+      el.appendChild(btn);
+    }
+    return el;
+  }
+
+  /** ピンを表示・更新（ドラッグで移動できる） */
+  function updatePin(pin) {
+    const entry = pins[pin.id] || (pins[pin.id] = { pin, layer: null });
+    entry.pin = pin;
+    if (!map || typeof L === 'undefined') return;
+    if (entry.layer) {
+      entry.layer.setLatLng([pin.lat, pin.lon]);
+      entry.layer.setTooltipContent(textElement(pin.title));
+      return;
+    }
+    entry.layer = L.marker([pin.lat, pin.lon], {
+      draggable: true,
+      icon: L.divIcon({ className: 'pin-icon', html: '📍', iconSize: [24, 24], iconAnchor: [12, 24] }),
+    }).addTo(map);
+    entry.layer.bindTooltip(textElement(pin.title), { direction: 'top', offset: [0, -20] });
+    // 距離は開くたびに計算し直す
+    entry.layer.bindPopup(() => pinPopupContent(pins[pin.id].pin));
+    entry.layer.on('dragend', () => {
+      const { lat, lng } = entry.layer.getLatLng();
+      postJson('/pins/update', { room: roomName, id: pin.id, lat, lon: lng }).catch(() => {});
+    });
+  }
+
+  /** ピンを地図から外す */
+  function removePin(id) {
+    const entry = pins[id];
+    if (!entry) return;
+    if (entry.layer && map) map.removeLayer(entry.layer);
+    delete pins[id];
+  }
+
+  /** ピンへ地図を移動してポップアップを開く */
+  function focusPin(id) {
+    const entry = pins[id];
+    if (!entry || !entry.layer) return;
+    map.setView(entry.layer.getLatLng(), Math.max(map.getZoom(), 15));
+    entry.layer.openPopup();
+  }
+
+  /** ピンを追加したメッセージまでチャットをスクロール */
+  function showPinMessage(id) {
+    const el = messagesEl.querySelector(`[data-pin="${id}"]`);
+    if (!el) return;
+    el.scrollIntoView({ block: 'center' });
+    el.classList.add('highlight');
+    setTimeout(() => el.classList.remove('highlight'), 2000);
+  }
+
+  function renamePin(pin) {
+    const title = prompt('集合場所の名前', pin.title);
+    if (!title || title === pin.title) return;
+    postJson('/pins/update', { room: roomName, id: pin.id, title }).catch(() => {});
+  }
+
+  function deletePin(pin) {
+    if (!confirm(`集合場所「${pin.title}」を削除しますか？`)) return;
+    postJson('/pins/delete', { room: roomName, id: pin.id }).catch(() => {});
+  }
+
+  /** 地図の長押し（右クリック）で集合場所ピンを作成 */
+  function onMapLongPress(e) {
+    if (!roomName || zoneMode) return;
+    const title = prompt('集合場所の名前', '集合場所');
+    if (!title) return;
+    const { lat, lng } = e.latlng;
+    postJson('/pins', { room: roomName, title, lat, lon: lng }).catch(() => {});
+  }
+
+  /** マーカーを削除 */
+  function removeMarker(id) {
+    const entry = markers[id];
+    if (!entry) return;
+    if (entry.layer && map && map.removeLayer) map.removeLayer(entry.layer);
+    if (entry.trailLayer && map && map.removeLayer) map.removeLayer(entry.trailLayer);
+    delete markers[id];
+    updateUserList();
+  }
+
+  /** メッセージ送信（attachment はアップロード済みの添付ファイル） */
+  function sendMessage(attachment) {
+    if (!userName || !roomName) return;
+    const txt = inputEl.value.trim();
+    if (!txt && !attachment) return;
+
+    // 届くまでは送信待ちとして表示し、サーバから戻ってきたら確定する
+    const body = { room: roomName, clientId: newClientId() };
+    if (txt) body.text = txt;
+    if (attachment) body.attachment = attachment.id;
+    if (dmPeer) body.to = dmPeer;
+    // 別の会話のメッセージには返信しない（ダイレクトメッセージの引用を全体に流さないため）
+    if (replyTarget && messagePeer(replyTarget) === dmPeer) body.replyTo = replyTarget.id;
+    const replyTo = body.replyTo ? { id: replyTarget.id, name: replyTarget.name, text: quoteText(replyTarget) } : undefined;
+    appendMessage({ from: myId, name: userName, text: txt, time: Date.now(), clientId: body.clientId, to: body.to, replyTo, attachment });
+    setMessageState(body.clientId, 'pending');
+    enqueue('message', body);
+    inputEl.value = '';
+    cancelReply();
+  }
+
+  /** ファイルをアップロードしてメッセージに添付する（入力中の本文も一緒に送る） */
+  async function sendFile(file) {
+    if (!userName || !roomName) return;
+    const path = `/upload?room=${encodeURIComponent(roomName)}&filename=${encodeURIComponent(file.name)}`;
+    attachBtn.disabled = true;
+    try {
+      const resp = await api(path, {
+        method: 'POST',
+        headers: { 'Content-Type': file.type || 'application/octet-stream' },
+        body: file,
+      });
+      // 流量制限は api() が待ち時間を表示する
+      if (resp.status === 429) return;
+      if (!resp.ok) {
+        const err = await resp.json().catch(() => ({}));
+        alert(resp.status === 413
+          ? `ファイルを送信できません（${err.message === 'Room attachment quota exceeded' ? 'ルームの保存容量の上限です' : 'ファイルが大きすぎます'}）`
+          : 'ファイルを送信できませんでした');
+        return;
+      }
+      sendMessage(await resp.json());
+    } catch {
+      alert('ファイルを送信できませんでした（通信エラー）');
+    } finally {
+      attachBtn.disabled = false;
+    }
+  }
+
+  // 送信イベントの二重送信防止・IME確定中ガード
+  let lastSendAt = 0;
+  function safeSend() {
+    const now = Date.now();
+    if (now - lastSendAt < 350) return;
+    lastSendAt = now;
+    sendMessage();
+  }
+
+  /** 座標を meters 四方の格子の中心に丸める（サーバの snapToGrid と同じ計算） */
+  function fuzzPosition(lat, lon, meters) {
+    if (!meters) return { lat, lon };
+    const latStep = meters / 111320;
+    const sLat = Math.max(-90, Math.min(90, (Math.floor(lat / latStep) + 0.5) * latStep));
+    const lonStep = meters / (111320 * Math.max(Math.cos(sLat * Math.PI / 180), 0.01));
+    const sLon = Math.max(-180, Math.min(180, (Math.floor(lon / lonStep) + 0.5) * lonStep));
+    return { lat: sLat, lon: sLon };
+  }
+
+  /** 位置を送信（精度を落とす場合は端末上で丸めてから送る） */
+  function sendFix(coords) {
+    const { latitude, longitude, speed, heading } = coords;
+    const precision = Math.max(sharePrecision, roomMinPrecision);
+    const body = { room: roomName, ...fuzzPosition(latitude, longitude, precision) };
+    // 速度・方向は正確な位置を共有しているときだけ送る
+    // （静止中や非対応端末では null / NaN になるので送らない）
+    if (!precision) {
+      if (Number.isFinite(speed) && speed >= 0) body.speed = speed;
+      if (Number.isFinite(heading) && heading >= 0) body.heading = heading;
+    }
+    body.clientId = newClientId();
+    enqueue('location', body);
+  }
+
+  /** 共有ボタン・一時停止ボタンの表示を更新 */
+  function updateShareButtons() {
+    if (watchId == null) {
+      shareBtn.textContent = '位置共有開始';
+      if (pauseBtn) pauseBtn.style.display = 'none';
+      return;
+    }
+    const left = shareUntil ? Math.max(1, Math.ceil((shareUntil - Date.now()) / 60000)) : 0;
+    shareBtn.textContent = left ? `共有停止（残り${left}分）` : '共有停止';
+    if (pauseBtn) {
+      pauseBtn.style.display = 'inline-block';
+      pauseBtn.textContent = sharePaused ? '再開' : '一時停止';
+    }
+  }
+
+  /** 位置情報共有を開始 */
+  function startSharing() {
+    if (!userName || !roomName) return;
+    if (!navigator.geolocation) {
+      alert('このブラウザは位置情報に対応していません');
+      return;
+    }
+    sharePaused = false;
+    lastFix = null;
+    watchId = navigator.geolocation.watchPosition(
+      (pos) => {
+        lastFix = pos.coords;
+        if (!sharePaused) sendFix(pos.coords);
+      },
+      () => {},
+      { enableHighAccuracy: true, maximumAge: 0, timeout: 20000 }
+    );
+    // 時間指定の共有は期限で自動停止（残り時間の表示も更新する）
+    const minutes = shareDurationSelect ? Number(shareDurationSelect.value) : 0;
+    shareUntil = minutes > 0 ? Date.now() + minutes * 60000 : 0;
+    shareTimerId = setInterval(() => {
+      if (shareUntil && Date.now() >= shareUntil) stopSharing();
+      else updateShareButtons();
+    }, 15000);
+    updateShareButtons();
+  }
+
+  /** 位置情報共有を停止（notify なら他の参加者の地図からも自分のマーカーを消す） */
+  function stopSharing(notify = true) {
+    if (watchId == null) return;
+    navigator.geolocation.clearWatch(watchId);
+    watchId = null;
+    clearInterval(shareTimerId);
+    shareTimerId = null;
+    shareUntil = 0;
+    sharePaused = false;
+    lastFix = null;
+    updateShareButtons();
+    if (notify && roomName) postJson('/location/stop', { room: roomName }).catch(() => {});
+  }
+
+  /** 位置の送信を一時停止・再開（再開時は最新の位置をすぐ送る） */
+  function togglePause() {
+    if (watchId == null) return;
+    sharePaused = !sharePaused;
+    if (!sharePaused && lastFix) sendFix(lastFix);
+    updateShareButtons();
+  }
+
+  /** 共有を止めた参加者のマーカーと軌跡を消す（一覧には残す） */
+  function hideMarker(id) {
+    const entry = markers[id];
+    if (!entry) return;
+    if (entry.layer && map) map.removeLayer(entry.layer);
+    if (entry.trailLayer && map) map.removeLayer(entry.trailLayer);
+    entry.layer = null;
+    entry.trailLayer = null;
+    entry.trail = [];
+    delete entry.lat;
+    delete entry.lon;
+    updateUserList();
+  }
+
+  /**
+   * WebSocket の接続を EventSource と同じ使い方（addEventListener・onopen・onerror・close）で包む。
+   * サーバの { event, data, id } は data を JSON 文字列、id を lastEventId にしたイベントとして配り、
+   * send() の結果（reply イベント）は ref で対応する呼び出しに Response として返す。
+   */
+  function openSocket(url) {
+    const target = new EventTarget();
+    const ws = new WebSocket(url);
+    const waiting = new Map();
+    let nextRef = 1;
+    const socket = {
+      kind: 'websocket',
+      opened: false,
+      onopen: null,
+      onerror: null,
+      addEventListener: (type, fn) => target.addEventListener(type, fn),
+      send(type, body) {
+        return new Promise((resolve, reject) => {
+          if (ws.readyState !== WebSocket.OPEN) { reject(new TypeError('WebSocket is not open')); return; }
+          const ref = nextRef++;
+          waiting.set(ref, { resolve, reject });
+          ws.send(JSON.stringify({ ...body, type, ref }));
+        });
+      },
+      close() {
+        ws.onclose = null;
+        ws.close();
+        failWaiting();
+      },
+    };
+    // 返事の来ていない送信は通信エラーとして扱う（送信待ちキューに残って再送される）
+    function failWaiting() {
+      for (const { reject } of waiting.values()) reject(new TypeError('WebSocket closed'));
+      waiting.clear();
+    }
+    ws.onopen = () => {
+      socket.opened = true;
+      if (socket.onopen) socket.onopen();
+    };
+    ws.onmessage = (e) => {
+      let frame;
+      try { frame = JSON.parse(e.data); } catch { return; }
+      if (frame.event === 'reply') {
+        const { ref, status, retryAfter, ...result } = frame.data;
+        const call = waiting.get(ref);
+        if (!call) return;
+        waiting.delete(ref);
+        const headers = retryAfter ? { 'Retry-After': String(retryAfter) } : {};
+        call.resolve(new Response(JSON.stringify(result), { status, headers }));
+        return;
+      }
+      target.dispatchEvent(new MessageEvent(frame.event, {
+        data: JSON.stringify(frame.data),
+        lastEventId: frame.id != null ? String(frame.id) : '',
+      }));
+    };
+    ws.onclose = () => {
+      failWaiting();
+      if (socket.onerror) socket.onerror();
+    };
+    return socket;
+  }
+
+  /** サーバとの接続を開始（WebSocket を優先し、繋がらなければ EventSource） */
+  function startConnection() {
+    if (!roomName) return;
+
+    // 既存接続を閉じて再接続処理を初期化
+    if (connection) { connection.close(); connection = null; }
+    if (reconnectTimeoutId) {
+      clearTimeout(reconnectTimeoutId);
+      reconnectTimeoutId = null;
+    }
+
+    // WebSocket・EventSource はヘッダを付けられないためセッショントークンはクエリで渡す
+    const baseQuery = `room=${encodeURIComponent(roomName)}&session=${encodeURIComponent(sessionToken)}`;
+
+    /** 受信したイベントIDを記録 */
+    function trackId(e) {
+      if (e.lastEventId) lastEventId = e.lastEventId;
+    }
+
+    // ハートビートが途絶えたら（電波断で close が届かない場合など）張り直す
+    let watchdogId = null;
+    function armWatchdog() {
+      clearTimeout(watchdogId);
+      const es = connection;
+      watchdogId = setTimeout(() => {
+        if (!es || es !== connection) return;
+        es.close();
+        connection = null;
+        if (connectionStatusEl) connectionStatusEl.textContent = '再接続中…';
+        scheduleReconnect();
+      }, HEARTBEAT_TIMEOUT_MS);
+    }
+
+    function connect() {
+      if (!roomName) return;
+
+      // 手動で再接続するため Last-Event-ID はクエリで渡す
+      const query = lastEventId ? `${baseQuery}&lastEventId=${encodeURIComponent(lastEventId)}` : baseQuery;
+      try {
+        if (socketUnavailable) {
+          connection = new EventSource(`/events?${query}`);
+        } else {
+          const scheme = location.protocol === 'https:' ? 'wss:' : 'ws:';
+          connection = openSocket(`${scheme}//${location.host}/ws?${query}`);
+        }
+      } catch (err) {
+        scheduleReconnect();
+        return;
+      }
+
+      connection.onopen = () => {
+        reconnectDelay = 1000;
+        armWatchdog();
+        if (connectionStatusEl) connectionStatusEl.textContent = '接続中';
+        flushOutbox();
+      };
+
+      connection.onerror = async () => {
+        if (connectionStatusEl) connectionStatusEl.textContent = '再接続中…';
+        const failed = connection;
+        if (connection) {
+          connection.close();
+          connection = null;
+        }
+        // セッション切れなら再接続せずログイン画面へ
+        try {
+          const resp = await api('/session');
+          if (resp.status === 401) return;
+          // サーバには届くのに WebSocket が一度も繋がらなければ EventSource に切り替える
+          if (failed && failed.kind === 'websocket' && !failed.opened) socketUnavailable = true;
+        } catch {}
+        scheduleReconnect();
+      };
+
+      // ルームが削除された
+      connection.addEventListener('deleted', () => {
+        const name = roomName;
+        resetSession();
+        alert(`ルーム「${name}」は削除されました`);
+        fetchRooms();
+      });
+
+      // モデレーターに退室・入室禁止にされた（セッションは無効になっている）
+      connection.addEventListener('kicked', (e) => {
+        let info = {};
+        try { info = JSON.parse(e.data); } catch {}
+        const name = roomName;
+        resetSession();
+        if (info.reason === 'ban') {
+          alert(`ルーム「${name}」への入室が禁止されました${info.until ? `（${formatUntil(info.until)} まで）` : ''}`);
+        } else {
+          alert(`ルーム「${name}」から退室させられました`);
+        }
+        fetchRooms();
+      });
+
+      // モデレーターと発言禁止中の参加者
+      connection.addEventListener('roles', (e) => {
+        trackId(e);
+        try {
+          roles = JSON.parse(e.data);
+          updateInputState();
+          updateUserList();
+        } catch {}
+      });
+
+      // モデレーション操作（内容はお知らせメッセージとしても届く）
+      connection.addEventListener('moderation', trackId);
+
+      // 履歴送信完了（以降はこのIDから再開）
+      connection.addEventListener('sync', (e) => {
+        trackId(e);
+        if (trailsVisible) loadTrails();
+        // 履歴の後ろに未送信のメッセージを並べ、送れるものは送る
+        showOutbox().then(flushOutbox);
+      });
+
+      // メッセージの編集・削除・リアクション
+      connection.addEventListener('message-edit', (e) => {
+        trackId(e);
+        try {
+          const { id, text, editedAt } = JSON.parse(e.data);
+          updateMessage(id, { text, editedAt });
+        } catch {}
+      });
+
+      connection.addEventListener('message-delete', (e) => {
+        trackId(e);
+        try {
+          updateMessage(JSON.parse(e.data).id, { deleted: true });
+        } catch {}
+      });
+
+      connection.addEventListener('reaction', (e) => {
+        trackId(e);
+        try {
+          const { id, reactions } = JSON.parse(e.data);
+          updateMessage(id, { reactions });
+        } catch {}
+      });
+
+      // サーバ側で差分を再送できない場合は表示をリセット
+      connection.addEventListener('reset', () => {
+        clearRoomView();
+      });
+
+      // メッセージ受信
+      connection.addEventListener('message', (e) => {
+        trackId(e);
+        try {
+          const msg = JSON.parse(e.data);
+          // 自分が送ったメッセージは送信待ちの表示を確定させ、ID を付けて描き直す
+          const pending = msg.from === myId && msg.clientId && findMessageByClientId(msg.clientId);
+          if (pending) {
+            renderMessage(pending, msg);
+            setMessageState(msg.clientId, 'sent');
+            return;
+          }
+          appendMessage(msg);
+          // 開いていない会話に届いたダイレクトメッセージは未読として数える
+          const peer = messagePeer(msg);
+          if (peer && peer !== dmPeer && msg.from !== myId) {
+            unreadDm[peer] = (unreadDm[peer] || 0) + 1;
+            updateUserList();
+          }
+          // 通知を表示
+          if (notificationsEnabled && Notification.permission === 'granted') {
+            if (document.hidden || !document.hasFocus()) {
+              const title = msg.system ? 'お知らせ' : msg.to ? `${msg.name}（ダイレクト）` : msg.name;
+              try {
+                new Notification(`${title} (${formatTime(msg.time)})`, { body: msg.text });
+              } catch {}
+            }
+          }
+        } catch {}
+      });
+
+      // 位置更新受信
+      connection.addEventListener('location', (e) => {
+        trackId(e);
+        try {
+          const loc = JSON.parse(e.data);
+          updateMarker(loc.id, loc.name, loc.lat, loc.lon, loc);
+          addTrailPoint(loc.id, loc.lat, loc.lon);
+          checkProximity();
+        } catch {}
+      });
+
+      // 参加者が離脱
+      connection.addEventListener('remove', (e) => {
+        trackId(e);
+        try {
+          const data = JSON.parse(e.data);
+          removeMarker(data.id);
+        } catch {}
+      });
+
+      // ゾーンの追加・削除
+      connection.addEventListener('zone', (e) => {
+        trackId(e);
+        try {
+          updateZone(JSON.parse(e.data));
+        } catch {}
+      });
+      connection.addEventListener('zone-remove', (e) => {
+        trackId(e);
+        try {
+          removeZone(JSON.parse(e.data).id);
+        } catch {}
+      });
+
+      // 集合場所ピンの追加・変更・削除
+      connection.addEventListener('pin', (e) => {
+        trackId(e);
+        try {
+          updatePin(JSON.parse(e.data));
+        } catch {}
+      });
+      connection.addEventListener('pin-remove', (e) => {
+        trackId(e);
+        try {
+          removePin(JSON.parse(e.data).id);
+        } catch {}
+      });
+
+      // ゾーンへの出入り（チャットにはお知らせメッセージとして届く）
+      connection.addEventListener('geofence', trackId);
+
+      // 位置共有を止めた参加者
+      connection.addEventListener('location-stop', (e) => {
+        trackId(e);
+        try {
+          hideMarker(JSON.parse(e.data).id);
+        } catch {}
+      });
+
+      // ルーム設定（位置情報の最低精度）
+      connection.addEventListener('settings', (e) => {
+        trackId(e);
+        try {
+          const settings = JSON.parse(e.data);
+          const changed = settings.minPrecision !== roomMinPrecision;
+          roomMinPrecision = settings.minPrecision || 0;
+          if (sharePrecisionSelect) {
+            sharePrecisionSelect.title = roomMinPrecision ? `このルームでは ${formatDistance(roomMinPrecision)} 単位に丸めて共有されます` : '';
+          }
+          // 精度が変わったら丸め直した位置を送り直す
+          if (changed && lastFix && !sharePaused) sendFix(lastFix);
+        } catch {}
+      });
+
+      // 在席状態の変化
+      connection.addEventListener('presence', (e) => {
+        trackId(e);
+        try {
+          updatePresence(JSON.parse(e.data));
+        } catch {}
+      });
+
+      // サーバからのハートビート
+      connection.addEventListener('ping', armWatchdog);
+    }
+
+    function scheduleReconnect() {
+      if (reconnectTimeoutId) return;
+      reconnectTimeoutId = setTimeout(() => {
+        reconnectTimeoutId = null;
+        reconnectDelay = Math.min(reconnectDelay * 2, 30000);
+        connect();
+      }, reconnectDelay);
+    }
+
+    connect();
+  }
+
+  /** チャット欄と参加者マーカーを全て消去 */
+  function clearRoomView() {
+    messagesEl.innerHTML = '';
+    for (const id of Object.keys(messageData)) delete messageData[id];
+    cancelReply();
+    for (const id of Object.keys(markers)) removeMarker(id);
+    for (const id of Object.keys(zones)) removeZone(id);
+    for (const id of Object.keys(pins)) removePin(id);
+    nearby.clear();
+    for (const id of Object.keys(unreadDm)) delete unreadDm[id];
+    openConversation('');
+  }
+
+  /** セッションのリセット（ログアウト等に使用） */
+  function resetSession() {
+    // 接続を停止
+    if (connection) { connection.close(); connection = null; }
+    // 再接続タイマーをクリア
+    if (reconnectTimeoutId) {
+      clearTimeout(reconnectTimeoutId);
+      reconnectTimeoutId = null;
+    }
+    // 位置共有停止（ログアウト・ルーム削除ではサーバ側でマーカーが消える）
+    stopSharing(false);
+    roomMinPrecision = 0;
+    // チャット欄と参加者マーカーをクリア（次の入室先に残さない）
+    clearRoomView();
+    // 状態変数をクリア
+    userName = '';
+    myId = '';
+    roomName = '';
+    sessionToken = '';
+    lastEventId = null;
+    amOwner = false;
+    roles = { moderators: [], muted: [] };
+    closeModMenu();
+    updateInputState();
+    // ログインUIを表示、ログアウトボタンを非表示
+    loginOverlay.style.display = 'flex';
+    logoutBtn.style.display = 'none';
+    if (roomPassBtn) roomPassBtn.style.display = 'none';
+    if (roomPrecisionBtn) roomPrecisionBtn.style.display = 'none';
+    // ルーム表示をクリア
+    if (roomDisplay) roomDisplay.textContent = '';
+    // 接続ステータスを更新
+    if (connectionStatusEl) connectionStatusEl.textContent = '未接続';
+    // 参加者リストをクリア・センタリングフラグをリセット
+    if (userListEl) userListEl.innerHTML = '';
+    hasCentered = false;
+  }
+
+  // ====== ログイン・ログアウト ======
+
+  loginBtn.addEventListener('click', async () => {
+    const nameVal = loginNameInput.value.trim();
+    const roomVal = loginRoomInput.value.trim();
+    const passVal = loginPassInput.value;
+    if (!nameVal || !roomVal) {
+      alert('名前とルーム名を入力してください');
+      return;
+    }
+
+    let result = null;
+    // パスワード未入力で保存済みセッションと同じ入室先なら、そのセッションを再利用
+    if (!passVal && savedSession && savedSession.room === roomVal && savedSession.name === nameVal) {
+      try {
+        const resp = await fetch('/session', { headers: { Authorization: `Bearer ${savedSession.token}` } });
+        if (resp.ok) result = { ...(await resp.json()), token: savedSession.token };
+      } catch {}
+    }
+    if (!result) {
+      // パスワード未入力で招待先のルームに入る場合はチケットを使う
+      const ticket = (!passVal && inviteGrant && inviteGrant.room === roomVal) ? inviteGrant.ticket : '';
+      try {
+        const resp = await fetch('/login', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ room: roomVal, name: nameVal, password: passVal, ticket, ownerKey: loadOwnerKeys()[roomVal] }),
+        });
+        if (resp.status === 403) {
+          const err = await resp.json().catch(() => ({}));
+          if (err.error === 'banned') {
+            alert(`このルームへの入室は禁止されています${err.until ? `（${formatUntil(err.until)} まで）` : ''}`);
+          } else {
+            alert('パスワードが違います');
+          }
+          return;
+        }
+        if (!resp.ok) {
+          alert('入室に失敗しました');
+          return;
+        }
+        result = await resp.json();
+      } catch {
+        alert('入室中にエラーが発生しました');
+        return;
+      }
+      if (result.ownerKey) saveOwnerKey(roomVal, result.ownerKey);
+    }
+
+    userName = nameVal;
+    roomName = roomVal;
+    sessionToken = result.token;
+    myId = result.participantId || '';
+    inviteGrant = null;
+    loginPassInput.value = '';
+    amOwner = !!result.owner;
+    if (roomPassBtn) roomPassBtn.style.display = result.owner ? 'inline-block' : 'none';
+    if (roomPrecisionBtn) roomPrecisionBtn.style.display = result.owner ? 'inline-block' : 'none';
+
+    loginOverlay.style.display = 'none';
+    logoutBtn.style.display = 'block';
+    if (roomDisplay) roomDisplay.textContent = 'ルーム: ' + roomName;
+
+    saveLogin();
+    startConnection();
+    if (notificationsEnabled) subscribePush();
+  });
+
+  logoutBtn.addEventListener('click', () => {
+    if (roomName && userName) {
+      // サーバ側でセッションも破棄される（WebSocket では remove を送る）
+      sendAction('remove', '/logout', { room: roomName }).catch(() => {});
+    }
+    forgetSavedSession();
+    resetSession();
+  });
+
+  // ====== ルームのオーナー操作 ======
+
+  /** 保存済みのオーナーキー一覧 */
+  function loadOwnerKeys() {
+    try {
+      return JSON.parse(localStorage.getItem('kotachat-owner-keys') || '{}');
+    } catch {
+      return {};
+    }
+  }
+
+  /** ルーム作成時に受け取ったオーナーキーを保存（null で削除） */
+  function saveOwnerKey(room, key) {
+    const keys = loadOwnerKeys();
+    if (key) keys[room] = key; else delete keys[room];
+    try {
+      localStorage.setItem('kotachat-owner-keys', JSON.stringify(keys));
+    } catch {}
+  }
+
+  // ルーム削除ボタン（ログイン画面の入力内容で削除）
+  deleteRoomBtn.addEventListener('click', async () => {
+    const roomVal = loginRoomInput.value.trim();
+    const passVal = loginPassInput.value;
+    if (!roomVal) {
+      alert('削除するルーム名を入力してください');
+      return;
+    }
+    if (!confirm(`ルーム「${roomVal}」を削除しますか？\n参加者は全員退出になります。`)) return;
+    try {
+      // パスワードはログインで一度だけ送り、削除はセッションで行う
+      const login = await fetch('/login', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          room: roomVal,
+          name: loginNameInput.value.trim() || 'owner',
+          password: passVal,
+          ownerKey: loadOwnerKeys()[roomVal],
+          create: false,
+        }),
+      });
+      if (login.status === 404) {
+        alert('ルームが存在しません');
+        return;
+      }
+      if (!login.ok) {
+        alert('パスワードが違います');
+        return;
+      }
+      const { token } = await login.json();
+      const resp = await fetch(`/deleteRoom?room=${encodeURIComponent(roomVal)}`, {
+        headers: { Authorization: `Bearer ${token}` },
+      });
+      if (resp.ok) {
+        saveOwnerKey(roomVal, null);
+        alert('ルームを削除しました');
+        await fetchRooms();
+      } else {
+        // 削除のためだけに作ったセッションは残さない
+        fetch('/logout', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+          body: JSON.stringify({ room: roomVal }),
+        }).catch(() => {});
+        alert('ルームを削除できるのは作成者のみです');
+      }
+    } catch {
+      alert('ルーム削除中にエラーが発生しました');
+    }
+  });
+
+  // パスワード変更ボタン（オーナーのみ表示）
+  if (roomPassBtn) {
+    roomPassBtn.addEventListener('click', async () => {
+      if (!roomName) return;
+      const newPass = prompt('新しいルームパスワードを入力してください（空欄でパスワードなし）', '');
+      if (newPass === null) return;
+      try {
+        const resp = await postJson(`/changePassword?room=${encodeURIComponent(roomName)}`, { newPassword: newPass });
+        if (!resp.ok) {
+          alert('パスワードを変更できるのは作成者のみです');
+          return;
+        }
+        alert('パスワードを変更しました');
+      } catch {
+        alert('パスワード変更中にエラーが発生しました');
+      }
+    });
+  }
+
+  // 位置情報の最低精度（オーナーのみ）
+  if (roomPrecisionBtn) {
+    roomPrecisionBtn.addEventListener('click', async () => {
+      if (!roomName) return;
+      const input = prompt('位置情報の最低精度（メートル、0 で制限なし）', String(roomMinPrecision));
+      if (input === null) return;
+      const minPrecision = Number(input);
+      if (!Number.isFinite(minPrecision) || minPrecision < 0) return;
+      try {
+        const resp = await postJson(`/roomSettings?room=${encodeURIComponent(roomName)}`, { minPrecision });
+        if (!resp.ok) alert('精度を変更できるのは作成者のみです');
+      } catch {
+        alert('精度の変更中にエラーが発生しました');
+      }
+    });
+  }
+
+  /** 期限・残り回数の表示文字列 */
+  function describeInvite(inv) {
+    const until = new Date(inv.expiresAt).toLocaleString([], { month: 'numeric', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+    const uses = inv.maxUses ? `${inv.uses}/${inv.maxUses}回` : `${inv.uses}回（無制限）`;
+    return `${until}まで・${uses}`;
+  }
+
+  /** 有効な招待の一覧を再読み込み */
+  async function refreshInviteList() {
+    inviteListEl.innerHTML = '';
+    try {
+      const resp = await api(`/invite/list?room=${encodeURIComponent(roomName)}`);
+      if (!resp.ok) return;
+      const list = await resp.json();
+      if (!list.length) {
+        const li = document.createElement('li');
+        li.className = 'empty';
+        li.textContent = '有効な招待はありません';
+        inviteListEl.appendChild(li);
+        return;
+      }
+      for (const inv of list) {
+        const li = document.createElement('li');
+        const label = document.createElement('span');
+        label.textContent = describeInvite(inv);
+        const revokeBtn = document.createElement('button');
+        revokeBtn.textContent = '取り消し';
+        revokeBtn.addEventListener('click', async () => {
+          if (!confirm('この招待リンクを取り消しますか？')) return;
+          try {
+            await api(`/invite/revoke?room=${encodeURIComponent(roomName)}&token=${encodeURIComponent(inv.token)}`);
+          } catch {}
+          refreshInviteList();
+        });
+        li.appendChild(label);
+        li.appendChild(revokeBtn);
+        inviteListEl.appendChild(li);
+      }
+    } catch {}
+  }
+
+  // 招待ボタン：招待リンク管理を開く
+  inviteBtn.addEventListener('click', () => {
+    if (!roomName) {
+      alert('ルームに入室してから招待リンクを生成してください');
+      return;
+    }
+    inviteOverlay.style.display = 'flex';
+    refreshInviteList();
+  });
+
+  inviteCloseBtn.addEventListener('click', () => {
+    inviteOverlay.style.display = 'none';
+  });
+
+  // 招待リンク生成
+  inviteCreateBtn.addEventListener('click', async () => {
+    if (!roomName) return;
+    try {
+      const params = `expiry=${encodeURIComponent(inviteExpiry.value)}&maxUses=${encodeURIComponent(inviteMaxUses.value)}`;
+      const resp = await api(`/invite/create?room=${encodeURIComponent(roomName)}&${params}`, { method: 'GET' });
+      if (!resp.ok) {
+        alert('招待リンク生成に失敗しました');
+        return;
+      }
+      const data = await resp.json();
+      const link = `${window.location.origin}${data.link}`;
+      try {
+        await navigator.clipboard.writeText(link);
+        alert(`招待リンクをコピーしました:\n${link}`);
+      } catch {
+        prompt('招待リンク（コピーして共有してください）', link);
+      }
+      refreshInviteList();
+    } catch {
+      alert('招待リンク生成中にエラーが発生しました');
+    }
+  });
+
+  // 送信ボタンとキーイベント
+  sendBtn.addEventListener('click', safeSend);
+  // ファイル添付
+  if (attachBtn && fileInput) {
+    attachBtn.addEventListener('click', () => fileInput.click());
+    fileInput.addEventListener('change', () => {
+      const file = fileInput.files[0];
+      fileInput.value = '';
+      if (file) sendFile(file);
+    });
+  }
+  inputEl.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter' && !e.isComposing && e.keyCode !== 229) {
+      e.preventDefault();
+      safeSend();
+    }
+  });
+  inputEl.addEventListener('focus', () => {
+    setTimeout(() => {
+      try {
+        inputEl.scrollIntoView({ block: 'center' });
+      } catch {}
+    }, 250);
+  });
+
+  // 通知トグル
+  if (notifyToggle) {
+    notifyToggle.addEventListener('change', async () => {
+      if (notifyToggle.checked) {
+        if (Notification.permission === 'granted') {
+          notificationsEnabled = true;
+          subscribePush();
+        } else if (Notification.permission !== 'denied') {
+          try {
+            notificationsEnabled = (await Notification.requestPermission()) === 'granted';
+          } catch {
+            notificationsEnabled = false;
+          }
+          if (!notificationsEnabled) notifyToggle.checked = false;
+          else subscribePush();
+        } else {
+          alert('ブラウザの設定で通知がブロックされています');
+          notificationsEnabled = false;
+          notifyToggle.checked = false;
+        }
+      } else {
+        notificationsEnabled = false;
+        unsubscribePush();
+      }
+    });
+  }
+
+  // ゾーン作成：押すたびに 円 → 多角形 → 終了（多角形は3点以上で確定）
+  if (zoneBtn) {
+    zoneBtn.addEventListener('click', () => {
+      if (!roomName || !map) return;
+      if (!zoneMode) { setZoneMode('circle'); return; }
+      if (zoneMode === 'circle') { setZoneMode('polygon'); return; }
+      const points = zoneDraft.map(([lat, lon]) => ({ lat, lon }));
+      setZoneMode(null);
+      if (points.length < 3) return;
+      const name = prompt('ゾーン名');
+      if (name) createZone({ zoneName: name, type: 'polygon', points });
+    });
+  }
+
+  // 参加者一覧の並び順
+  if (userSortSelect) {
+    userSortSelect.addEventListener('change', () => {
+      userSort = userSortSelect.value;
+      updateUserList();
+    });
+  }
+
+  // 接近通知の半径
+  if (proximitySelect) {
+    proximitySelect.addEventListener('change', () => {
+      proximityRadius = Number(proximitySelect.value) || 0;
+      nearby.clear();
+      checkProximity();
+    });
+  }
+
+  // 軌跡の表示切替
+  if (trailToggle) {
+    trailToggle.addEventListener('change', () => {
+      trailsVisible = trailToggle.checked;
+      if (trailsVisible) loadTrails();
+      else hideTrails();
+    });
+  }
+
+  // ルーム全員の軌跡を GPX でダウンロード
+  if (trailExportBtn) {
+    trailExportBtn.addEventListener('click', async () => {
+      if (!roomName) return;
+      try {
+        const resp = await api(`/tracks?room=${encodeURIComponent(roomName)}&format=gpx`);
+        if (!resp.ok) throw new Error(String(resp.status));
+        const url = URL.createObjectURL(await resp.blob());
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `${roomName}.gpx`;
+        document.body.appendChild(a);
+        a.click();
+        a.remove();
+        URL.revokeObjectURL(url);
+      } catch {
+        alert('軌跡の書き出しに失敗しました');
+      }
+    });
+  }
+
+  // ルーム選択ドロップダウン
+  if (roomsSelect) {
+    roomsSelect.addEventListener('change', () => {
+      const val = roomsSelect.value;
+      if (val) loginRoomInput.value = val;
+    });
+  }
+
+  // 既存ルーム一覧取得
+  async function fetchRooms() {
+    if (!roomsSelect) return;
+    try {
+      const resp = await fetch('/rooms');
+      if (!resp.ok) return;
+      const list = await resp.json();
+      while (roomsSelect.options.length > 1) roomsSelect.remove(1);
+      list.forEach((room) => {
+        const opt = document.createElement('option');
+        opt.value = room;
+        opt.textContent = room;
+        roomsSelect.appendChild(opt);
+      });
+    } catch {}
+  }
+
+  // 入室情報保存
+  function saveLogin() {
+    if (!rememberLoginCheckbox) return;
+    if (rememberLoginCheckbox.checked) {
+      try {
+        // パスワードは保存せず、セッショントークンのみ保存する
+        localStorage.setItem('kotachat-login', JSON.stringify({ name: userName, room: roomName, token: sessionToken }));
+        savedSession = { name: userName, room: roomName, token: sessionToken };
+      } catch {}
+    } else {
+      try {
+        localStorage.removeItem('kotachat-login');
+      } catch {}
+    }
+  }
+
+  // 保存済みセッションを破棄（ニックネームとルーム名は残す）
+  function forgetSavedSession() {
+    savedSession = null;
+    try {
+      const stored = JSON.parse(localStorage.getItem('kotachat-login') || 'null');
+      if (stored && stored.token) {
+        delete stored.token;
+        localStorage.setItem('kotachat-login', JSON.stringify(stored));
+      }
+    } catch {}
+  }
+
+  // 保存済み入室情報読み込み
+  function loadSavedLogin() {
+    if (!rememberLoginCheckbox) return;
+    try {
+      const stored = localStorage.getItem('kotachat-login');
+      if (stored) {
+        const data = JSON.parse(stored);
+        if (data.name) loginNameInput.value = data.name;
+        if (data.room) loginRoomInput.value = data.room;
+        if (data.token) savedSession = { name: data.name, room: data.room, token: data.token };
+        // 以前のバージョンが保存した平文パスワードは破棄する
+        if (data.pass) localStorage.setItem('kotachat-login', JSON.stringify({ name: data.name, room: data.room }));
+        rememberLoginCheckbox.checked = true;
+      }
+    } catch {}
+  }
+
+  // 招待トークン付きURLを処理
+  async function checkInviteToken() {
+    const params = new URLSearchParams(window.location.search);
+    const token = params.get('token');
+    if (!token) return;
+    try {
+      const resp = await fetch(`/invite/join?token=${encodeURIComponent(token)}`);
+      if (!resp.ok) {
+        alert('招待リンクが無効または期限切れです');
+        return;
+      }
+      const data = await resp.json();
+      if (data.room) loginRoomInput.value = data.room;
+      // パスワードは受け取らず、入室チケットで入室する
+      inviteGrant = { room: data.room, ticket: data.ticket };
+      loginPassInput.value = '';
+      if (rememberLoginCheckbox) rememberLoginCheckbox.checked = false;
+      alert('招待リンクを適用しました。ニックネームを入力して入室してください。');
+    } catch {
+      alert('招待リンクの適用に失敗しました');
+    }
+  }
+
+  // ====== 起動時処理 ======
+  window.addEventListener('load', async () => {
+    // Leaflet初期化
+    try {
+      if (typeof L !== 'undefined') {
+        map = L.map('map').setView([35.0, 135.0], 3);
+        L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
+          attribution: '© OpenStreetMap contributors',
+          // CORS で取得すると service worker がサイズを把握してキャッシュできる
+          crossOrigin: true,
+        }).addTo(map);
+        map.on('click', onMapClick);
+        // モバイルの長押しも contextmenu として届く
+        map.on('contextmenu', onMapLongPress);
+      } else {
+        console.warn('Leafletが読み込まれていないため地図機能は無効です');
+      }
+    } catch (err) {
+      console.error('Leafletの初期化に失敗しました:', err);
+      map = null;
+    }
+    // オフライン時の再送（Background Sync）に使う
+    if ('serviceWorker' in navigator) {
+      navigator.serviceWorker.register('/service-worker.js').catch(() => {});
+      // service worker がキューを送った後は表示を更新する
+      navigator.serviceWorker.addEventListener('message', (e) => {
+        if (e.data && e.data.type === 'outbox' && roomName) showOutbox();
+        // 開いているページでプッシュ通知が押された
+        if (e.data && e.data.type === 'open-room') openRoomFromNotification(e.data.room);
+      });
+    }
+    loadSavedLogin();
+    // プッシュ通知から開かれた場合は ?room= のルームに入る
+    openRoomFromNotification(new URLSearchParams(window.location.search).get('room'));
+    updateStorageUsage();
+    await checkInviteToken();
+    await fetchRooms();
+  });
+
+  // 表示中の範囲の地図をオフライン用に保存
+  if (tileDownloadBtn) tileDownloadBtn.addEventListener('click', downloadArea);
+
+  if (replyCancelBtn) replyCancelBtn.addEventListener('click', cancelReply);
+
+  // メニューの外を押したらモデレーションメニューを閉じる
+  document.addEventListener('click', (e) => {
+    if (modMenuEl && !modMenuEl.hidden && !modMenuEl.contains(e.target)) closeModMenu();
+  });
+
+  // ダイレクトメッセージから全体チャットへ戻る
+  if (conversationBackBtn) conversationBackBtn.addEventListener('click', () => openConversation(''));
+
+  // 通信が戻ったら送信待ちを送る
+  window.addEventListener('online', flushOutbox);
+
+  // 位置共有ボタン
+  shareBtn.addEventListener('click', () => {
+    if (watchId == null) startSharing();
+    else stopSharing();
+  });
+  if (pauseBtn) pauseBtn.addEventListener('click', togglePause);
+  if (sharePrecisionSelect) {
+    sharePrecisionSelect.addEventListener('change', () => {
+      sharePrecision = Number(sharePrecisionSelect.value) || 0;
+      if (lastFix && !sharePaused) sendFix(lastFix);
+    });
+  }
+})();
@@ -0,0 +1,324 @@
+// Simple service worker for offline caching of static assets
+// Bump the cache version to ensure clients fetch the latest assets when the
+// service worker is updated. Changing this name will cause the install
+// event to run again and replace any previously cached resources.
+// Bump the cache version again because we updated main.js with a
+// global error handler. Incrementing this value ensures clients
+// download the latest script instead of using a cached one. Each
+// release should increment this value to invalidate old assets.
+// Bump the cache again because we updated main.js to center the map on
+// the user's location. Changing the cache name forces the service worker
+// to reinstall and fetch the latest assets.
+// Bump the cache again because we refined fetch handling. Changing the
+// version triggers the service worker to reinstall and ensure clients
+// receive the latest code.
+// Bump the cache version again because we switched Leaflet to jsdelivr.
+// Updating the cache name forces clients to fetch the latest assets,
+// including the new CDN URLs.
+// Bump cache again because we removed SRI attributes from Leaflet resources to
+// prevent CDN integrity mismatches. Changing the cache name forces
+// clients to download the updated index.html.
+// Bump cache version because we've added room functionality, login overlay,
+// and other features. Updating the cache name forces clients to fetch the
+// latest assets, ensuring the new UI and logic are loaded.
+// Bump cache version again because we added room persistence, room list
+// display, and renamed the application to KOTACHAT. Incrementing
+// the cache name forces clients to refresh cached assets and load the
+// latest index.html, manifest.json and main.js files with the new
+// features and app title.
+// Bump cache version because we've added invite functionality, notification toggles,
+// status bar, reconnection logic and login persistence. Incrementing the cache
+// name forces clients to refresh cached assets and load the latest versions
+// of index.html, style.css, main.js and service-worker.js with these new
+// features.
+// Bump the cache version because we've added file upload functionality and
+// adjusted the UI layout (status bar positioning and additional buttons).
+// Incrementing the cache name forces clients to refresh cached assets and
+// load the latest versions of index.html, style.css, main.js and
+// service-worker.js with these new features.
+// Bump the cache version because we added file upload UI and adjusted overscroll
+// behavior to prevent pull-to-refresh on mobile. Changing the cache name
+// forces clients to fetch the latest assets (index.html, style.css, main.js).
+// Bump the cache version again because we modified service worker registration
+// logic in main.js to forcibly unregister old service workers. Changing the
+// cache name ensures browsers fetch this updated service worker and cache.
+// Bump cache version again because the file upload feature was removed.
+// Updating the cache name forces clients to fetch assets without the
+// upload UI and scripts.
+// Bump cache version because main.js now resumes the SSE stream from the
+// last received event ID and handles the server's history replay.
+// Bump cache version for the invite management dialog (expiry, usage
+// limits, revocation) and ticket-based joining in main.js/index.html.
+// Bump cache version: the delete-room button now works, room owners can
+// change the password and clients leave cleanly when a room is deleted.
+// Bump cache version because main.js now logs in once and uses a session
+// token for every request instead of sending the room password.
+// Bump cache version: messages, locations and logout are now sent as JSON
+// POST requests.
+// Bump cache version because markers are now keyed by participant ID and
+// the user list tells apart participants who share a nickname.
+// Bump cache version for presence states in the user list and the
+// heartbeat watchdog on the event stream.
+// Bump cache version for location trails and the GPX export button.
+// Bump cache version for geofence zones and system messages in the chat.
+// Bump cache version for shared meeting-point pins.
+// Bump cache version for distance, bearing and ETA in the user list.
+// Bump cache version for location privacy controls (timed sharing, pause,
+// precision).
+// Bump cache version for the offline outbox and its background sync.
+// Bump cache version for offline map tiles (kept in their own cache below).
+// Bump cache version for Web Push subscriptions.
+// Bump cache version for direct messages between participants.
+// Bump cache version for replies, reactions, edits and deletes.
+// Bump cache version: file attachments are back, now uploaded to and served
+// by the server (/upload, /attachments/) instead of the old client-only UI.
+// Bump cache version for the rate-limit cooldown hint and outbox retry on 429.
+// Bump cache version for moderation (kick, ban, mute) in the user list.
+// Bump cache version for the WebSocket transport with EventSource fallback.
+// Bump cache version: the server now serves these files from public/ and
+// index.html links them with a ?v=<content hash> suffix (see fetch below).
+// Bump cache version: pin titles are no longer rendered as HTML in tooltips.
+// Bump cache version: nicknames in marker popups are rendered as text too.
+// Bump cache version: deleting a room no longer leaves its login session behind.
+// Bump cache version: other participants' client IDs no longer break message rendering.
+const CACHE_NAME = 'location-chat-cache-v44';
+// Map tiles live in a separate cache that survives version bumps. Its size is
+// capped and the least recently used tiles are evicted first; sizes and access
+// times are tracked in IndexedDB because the Cache API has no such metadata.
+const TILE_CACHE = 'location-chat-tiles';
+const TILE_CACHE_MAX_BYTES = 50 * 1024 * 1024;
+// List of resources to pre‑cache for offline use
+const STATIC_ASSETS = [
+  '/',
+  '/index.html',
+  '/style.css',
+  '/main.js',
+  '/manifest.json',
+  '/icon-512.png',
+  // Use jsdelivr CDN for Leaflet assets instead of unpkg. The unpkg
+  // domain is blocked in some deployment environments, preventing the
+  // map from loading. jsdelivr is accessible and serves the same
+  // files.
+  'https://cdn.jsdelivr.net/npm/leaflet@1.9.4/dist/leaflet.css',
+  'https://cdn.jsdelivr.net/npm/leaflet@1.9.4/dist/leaflet.js',
+];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(CACHE_NAME).then((cache) => {
+      return cache.addAll(STATIC_ASSETS);
+    })
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys().then((keys) => {
+      return Promise.all(
+        keys
+          .filter((key) => key !== CACHE_NAME && key !== TILE_CACHE)
+          .map((key) => caches.delete(key))
+      );
+    })
+  );
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  // Only handle GET requests; let other requests pass through
+  if (request.method !== 'GET') {
+    return;
+  }
+  const url = new URL(request.url);
+  if (isTileRequest(url)) {
+    event.respondWith(tileResponse(request, url));
+    return;
+  }
+  // Apart from map tiles, only intercept same‑origin requests. This prevents the service worker
+  // from interfering with requests to other domains (e.g., unpkg.com or
+  // openstreetmap.org). Without this check, the service worker can cause
+  // unrelated pages to load our cached responses or appear blocked.
+  if (url.origin !== self.location.origin) {
+    return;
+  }
+  // index.html refers to its assets as /main.js?v=<hash> and so on; the hash
+  // only busts the HTTP cache, so look those up under the plain path we
+  // pre-cached. A new release changes CACHE_NAME and re-fetches them anyway.
+  const lookup = url.searchParams.has('v') ? url.pathname : request;
+  event.respondWith(
+    caches.match(lookup).then((cached) => {
+      if (cached) {
+        return cached;
+      }
+      return fetch(request).then((response) => {
+        // Optionally put fetched files in cache
+        return response;
+      });
+    })
+  );
+});
+// Offline outbox replay. main.js queues outgoing messages and location fixes
+// in IndexedDB (each with a client-generated ID) and registers a background
+// sync when it cannot reach the server. The server drops repeated client IDs,
+// so sending an item the page already delivered is harmless.
+// The database schema must match openDb() in main.js.
+const DB_NAME = 'kotachat';
+const DB_VERSION = 2;
+const OUTBOX_STORE = 'outbox';
+const TILE_STORE = 'tiles';
+const OUTBOX_SYNC_TAG = 'kotachat-outbox';
+
+function openDb() {
+  return new Promise((resolve, reject) => {
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = () => {
+      const db = req.result;
+      if (!db.objectStoreNames.contains(OUTBOX_STORE)) db.createObjectStore(OUTBOX_STORE, { keyPath: 'clientId' });
+      if (!db.objectStoreNames.contains(TILE_STORE)) db.createObjectStore(TILE_STORE, { keyPath: 'url' });
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+function dbRequest(db, store, mode, fn) {
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(store, mode);
+    const req = fn(tx.objectStore(store));
+    tx.oncomplete = () => resolve(req ? req.result : undefined);
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+async function flushOutbox() {
+  const db = await openDb();
+  const items = (await dbRequest(db, OUTBOX_STORE, 'readonly', (s) => s.getAll()))
+    .filter((item) => item.state === 'pending')
+    .sort((a, b) => a.createdAt - b.createdAt);
+  try {
+    for (const item of items) {
+      // A network error rejects here, which makes the browser retry the sync later
+      const response = await fetch(item.path, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${item.token}` },
+        body: JSON.stringify(item.body),
+      });
+      if (response.ok) {
+        await dbRequest(db, OUTBOX_STORE, 'readwrite', (s) => s.delete(item.clientId));
+      } else if (response.status >= 500 || response.status === 429) {
+        // Server trouble or rate limiting: leave the rest for the next sync
+        throw new Error(`Server responded ${response.status}`);
+      } else {
+        // Client errors (bad body, expired session) will not succeed on retry
+        item.state = 'failed';
+        await dbRequest(db, OUTBOX_STORE, 'readwrite', (s) => s.put(item));
+      }
+    }
+  } finally {
+    // Let open pages refresh the pending/failed marks on their messages
+    const windows = await self.clients.matchAll({ type: 'window' });
+    for (const client of windows) client.postMessage({ type: 'outbox' });
+  }
+}
+
+self.addEventListener('sync', (event) => {
+  if (event.tag === OUTBOX_SYNC_TAG) {
+    event.waitUntil(flushOutbox());
+  }
+});
+
+// Offline map tiles: cache-first, falling back to the network and storing the
+// result. Leaflet spreads requests over the a/b/c subdomains, so tiles are
+// keyed by a subdomain-free URL and the "download this area" action in main.js
+// fills the same entries.
+function isTileRequest(url) {
+  return /(^|\.)tile\.openstreetmap\.org$/.test(url.hostname);
+}
+
+function tileKey(url) {
+  return `https://tile.openstreetmap.org${url.pathname}`;
+}
+
+async function tileResponse(request, url) {
+  const key = tileKey(url);
+  const cache = await caches.open(TILE_CACHE);
+  const cached = await cache.match(key);
+  if (cached) {
+    touchTile(key).catch(() => {});
+    return cached;
+  }
+  const response = await fetch(request);
+  // Opaque (no-cors) responses hide their size, so only CORS responses are kept
+  if (response.ok && response.type === 'cors') {
+    storeTile(cache, key, response.clone()).catch(() => {});
+  }
+  return response;
+}
+
+async function touchTile(key) {
+  const db = await openDb();
+  const meta = await dbRequest(db, TILE_STORE, 'readonly', (s) => s.get(key));
+  if (!meta) return;
+  meta.lastUsed = Date.now();
+  await dbRequest(db, TILE_STORE, 'readwrite', (s) => s.put(meta));
+}
+
+async function storeTile(cache, key, response) {
+  const blob = await response.blob();
+  await cache.put(key, new Response(blob, { headers: { 'Content-Type': blob.type || 'image/png' } }));
+  const db = await openDb();
+  await dbRequest(db, TILE_STORE, 'readwrite', (s) => s.put({ url: key, size: blob.size, lastUsed: Date.now() }));
+  await evictTiles(db, cache);
+}
+
+// Drop least recently used tiles until the cache fits in its quota
+async function evictTiles(db, cache) {
+  const tiles = await dbRequest(db, TILE_STORE, 'readonly', (s) => s.getAll());
+  let total = tiles.reduce((sum, t) => sum + t.size, 0);
+  if (total <= TILE_CACHE_MAX_BYTES) return;
+  tiles.sort((a, b) => a.lastUsed - b.lastUsed);
+  for (const tile of tiles) {
+    if (total <= TILE_CACHE_MAX_BYTES) break;
+    await cache.delete(tile.url);
+    await dbRequest(db, TILE_STORE, 'readwrite', (s) => s.delete(tile.url));
+    total -= tile.size;
+  }
+}
+
+// Web Push: the server sends { room, title, body, tag, url, mention } for new
+// messages while the app is closed.
+self.addEventListener('push', (event) => {
+  let data = {};
+  try {
+    data = event.data ? event.data.json() : {};
+  } catch (err) {
+    data = { title: 'Location Chat', body: event.data ? event.data.text() : '' };
+  }
+  event.waitUntil(
+    self.registration.showNotification(data.title || 'Location Chat', {
+      body: data.body || '',
+      tag: data.tag,
+      icon: '/icon-512.png',
+      // Mentions alert again even if a notification for the room is showing
+      renotify: !!(data.mention && data.tag),
+      data: { room: data.room, url: data.url || '/' },
+    })
+  );
+});
+
+// Reopen the room the notification belongs to: reuse an open window if there
+// is one, otherwise open the app with ?room= so main.js enters that room.
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  const { room, url } = event.notification.data || {};
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then((windows) => {
+      const client = windows.find((w) => new URL(w.url).origin === self.location.origin);
+      if (client) {
+        client.postMessage({ type: 'open-room', room });
+        return client.focus();
+      }
+      return self.clients.openWindow(url || '/');
+    })
+  );
+});
@@ -1,14 +1,170 @@
 const http = require('http');
 const fs = require('fs');
 const path = require('path');
+const os = require('os');
+const crypto = require('crypto');
 const { URL } = require('url');
+const { createMemoryStore, createFileStore } = require('./lib/storage');
+const { validate, fromQuery } = require('./lib/validate');
+const { toGeoJSON, toGpx } = require('./lib/track');
+const { insideZone, snapToGrid } = require('./lib/geo');
+const { generateVapidKeys, subscriptionKeyError, createPushSender } = require('./lib/webpush');
+const { createBlobStore } = require('./lib/attachments');
+const { createRateLimiter } = require('./lib/ratelimit');
+const { handshakeError, rejectUpgrade, upgrade } = require('./lib/websocket');
+const { createMemoryBroker, createRedisBroker } = require('./lib/broker');
+const { createRegistry, createRateMeter } = require('./lib/metrics');
+const { createStaticHandler } = require('./lib/static');
 
 const PORT = process.env.PORT || 3000;
+// ルームごとに保持するメッセージ履歴の上限
+const MESSAGE_HISTORY_LIMIT = 200;
+// 参加者ごとに保持する移動軌跡の点数と、保存時のルーム全体の上限
+const TRACK_LIMIT = 500;
+const ROOM_TRACK_LIMIT = 10000;
+// 再送の重複を見分けるため、ルームごとに覚えておくクライアントIDの数
+const CLIENT_ID_LIMIT = 1000;
+// 1つのメッセージに付けられるリアクションの種類数
+const REACTION_KINDS_LIMIT = 20;
+// リアクションに使える文字（絵文字と、その修飾・結合用の文字のみ）
+const EMOJI_PATTERN = /^(?=.*\p{Extended_Pictographic})[\p{Extended_Pictographic}\p{Emoji_Component}\u200d\ufe0f]+$/u;
+// 再接続時の差分再送に使うイベントログの上限
+const EVENT_LOG_LIMIT = 1000;
+// イベントの通し番号を保存する間隔（配信のたびには書かない）
+const SEQ_SAVE_MS = Number(process.env.SEQ_SAVE_MS) || 5000;
+// 保存の間に異常終了しても同じ ID を払い出さないよう、復元時に通し番号をこれだけ進める
+const SEQ_RESTORE_GAP = 10000;
+// 招待リンクの既定の有効期限（時間）と上限
+const INVITE_DEFAULT_HOURS = 24;
+const INVITE_MAX_HOURS = 24 * 30;
+// 招待の引換で発行する入室チケットの有効期間
+const TICKET_TTL_MS = 12 * 60 * 60 * 1000;
+// セッションの有効期間（利用のたびに延長される）
+const SESSION_TTL_MS = 2 * 60 * 60 * 1000;
+// JSON リクエストボディの上限
+const MAX_BODY_BYTES = 16 * 1024;
+// 在席管理：ハートビート間隔、操作がなければ idle にするまでの時間、
+// オフラインの参加者のマーカーを消すまでの時間（いずれも環境変数で変更可）
+const HEARTBEAT_MS = Number(process.env.HEARTBEAT_MS) || 25 * 1000;
+const IDLE_AFTER_MS = Number(process.env.IDLE_AFTER_MS) || 5 * 60 * 1000;
+const MARKER_TIMEOUT_MS = Number(process.env.MARKER_TIMEOUT_MS) || 10 * 60 * 1000;
+// Web Push：VAPID の連絡先と、http のエンドポイントを許すか（ローカルの代替プッシュサービス用）
+const PUSH_SUBJECT = process.env.PUSH_SUBJECT || 'mailto:admin@example.com';
+const PUSH_ALLOW_INSECURE = process.env.PUSH_ALLOW_INSECURE === '1';
+// 添付ファイル：1ファイルの上限とルームごとの合計の上限（バイト）
+const ATTACHMENT_MAX_BYTES = Number(process.env.ATTACHMENT_MAX_BYTES) || 10 * 1024 * 1024;
+const ROOM_ATTACHMENT_QUOTA = Number(process.env.ROOM_ATTACHMENT_QUOTA) || 100 * 1024 * 1024;
+// まだどのメッセージにも添付されていないファイル：参加者ごとの合計の上限（バイト）と、削除するまでの時間
+const ATTACHMENT_PENDING_BYTES = Number(process.env.ATTACHMENT_PENDING_BYTES) || 2 * ATTACHMENT_MAX_BYTES;
+const ATTACHMENT_PENDING_MS = Number(process.env.ATTACHMENT_PENDING_MS) || 10 * 60 * 1000;
+// 添付ファイルの保存先（未指定なら DATA_FILE と同じ場所、それもなければ一時ディレクトリ）
+const ATTACHMENT_DIR = process.env.ATTACHMENT_DIR || (process.env.DATA_FILE
+  ? path.join(path.dirname(process.env.DATA_FILE), 'attachments')
+  : path.join(os.tmpdir(), 'kotachat-attachments'));
+// 流量制限（トークンバケット）。チャット（投稿・編集・リアクション・添付・ピン・ゾーン）と
+// 位置情報（更新・共有停止）は別の枠で、送信元 IP・参加者・ルームの全てに余裕があるときだけ受け付ける
+// capacity は続けて送れる回数、perSecond は1秒あたりの回復量
+const RATE_LIMITS = {
+  chat: {
+    ip: { capacity: 60, perSecond: 2 },
+    session: { capacity: 10, perSecond: 0.5 },
+    room: { capacity: 100, perSecond: 5 },
+  },
+  location: {
+    ip: { capacity: 120, perSecond: 10 },
+    session: { capacity: 10, perSecond: 1 },
+    room: { capacity: 300, perSecond: 30 },
+  },
+};
+// X-Forwarded-For の先頭を送信元 IP とみなすか（リバースプロキシの後ろで動かす場合に 1）
+const TRUST_PROXY = process.env.TRUST_PROXY === '1';
+// 複数のインスタンスでルームを共有する場合のブローカー（redis://host:port、未指定ならこのプロセスだけ）
+// 添付ファイルの保存先（ATTACHMENT_DIR）と VAPID 鍵は全インスタンスで同じものを使うこと
+const BROKER_URL = process.env.BROKER_URL || '';
+const BROKER_CHANNEL = process.env.BROKER_CHANNEL || 'kotachat';
+// 静的ファイルとして配信するディレクトリ（この中のファイルだけを返す）
+const PUBLIC_DIR = path.join(__dirname, 'public');
+// 管理用 API（/admin/rooms）のパスワード（未指定なら管理用 API は無効）
+const ADMIN_PASSWORD = process.env.ADMIN_PASSWORD || '';
+// ブラウザでそのまま表示させる種類（それ以外はダウンロードさせる）
+const INLINE_TYPES = new Set(['image/png', 'image/jpeg', 'image/gif', 'image/webp']);
 
 // ルーム情報の管理
 const rooms = Object.create(null);
+// 通し番号がまだ保存されていないルーム名
+const unsavedSeq = new Set();
 // 招待トークン管理
 const invites = Object.create(null);
+// 招待引換で発行した入室チケット（パスワードの代わりに使える）
+const tickets = Object.create(null);
+// ログインで発行したセッション（キーはトークンのハッシュ）
+const sessions = Object.create(null);
+// プッシュ通知の購読（キーはルーム名とエンドポイントのハッシュ）
+const pushSubscriptions = Object.create(null);
+// VAPID 鍵（環境変数 VAPID_PUBLIC_KEY / VAPID_PRIVATE_KEY がなければ生成して保存）
+let vapidKeys = null;
+// このインスタンスの ID（環境変数 INSTANCE_ID がなければ生成して保存）
+// イベントIDに含め、他のインスタンスが採番したIDからの再開を見分ける
+let instanceId = null;
+
+// 永続化先（DATA_FILE を指定するとファイルに保存し、再起動後に復元する）
+const localStore = process.env.DATA_FILE
+  ? createFileStore(process.env.DATA_FILE)
+  : createMemoryStore();
+const broker = BROKER_URL ? createRedisBroker(BROKER_URL) : createMemoryBroker();
+// 書き込みはブローカーで他のインスタンスにも伝え、同じ状態を保つ（設定だけはインスタンスごと）
+const store = {
+  load: () => localStore.load(),
+  set(collection, key, value) {
+    localStore.set(collection, key, value);
+    if (collection !== 'config') publish({ type: 'store', op: { op: 'set', c: collection, k: key, v: value } });
+  },
+  delete(collection, key) {
+    localStore.delete(collection, key);
+    publish({ type: 'store', op: { op: 'del', c: collection, k: key } });
+  },
+  push(collection, key, item, limit) {
+    localStore.push(collection, key, item, limit);
+    publish({ type: 'store', op: { op: 'push', c: collection, k: key, v: item, n: limit || 0 } });
+  },
+  close: () => localStore.close(),
+};
+// 添付ファイルの中身（内容のハッシュで保存し、同じファイルは共有する）
+const blobs = createBlobStore(ATTACHMENT_DIR);
+const limiters = {
+  chat: createRateLimiter(RATE_LIMITS.chat),
+  location: createRateLimiter(RATE_LIMITS.location),
+};
+
+// /metrics で公開する値（インスタンスごと。件数はこのインスタンスが受け付けたもの）
+const metrics = createRegistry();
+const rates = { messages: createRateMeter(), locations: createRateMeter() };
+metrics.gauge('kotachat_rooms', 'Rooms known to this instance', () => Object.keys(rooms).length);
+metrics.gauge('kotachat_active_rooms', 'Rooms with at least one online or idle participant',
+  () => Object.values(rooms).filter((r) => participantCount(r) > 0).length);
+metrics.gauge('kotachat_clients', 'Event stream connections to this instance by room and transport', () => {
+  const samples = [];
+  for (const r of Object.values(rooms)) {
+    const counts = { sse: 0, websocket: 0 };
+    for (const client of r.clients) counts[client.transport === 'websocket' ? 'websocket' : 'sse']++;
+    for (const [transport, n] of Object.entries(counts)) {
+      if (n) samples.push([{ room: r.name, transport }, n]);
+    }
+  }
+  return samples;
+});
+const counters = {
+  messages: metrics.counter('kotachat_messages_total', 'Chat messages accepted'),
+  locations: metrics.counter('kotachat_location_updates_total', 'Location updates accepted'),
+  invitesCreated: metrics.counter('kotachat_invites_created_total', 'Invite links created'),
+  invitesRedeemed: metrics.counter('kotachat_invites_redeemed_total', 'Invite links redeemed for an entry ticket'),
+  httpErrors: metrics.counter('kotachat_http_errors_total', 'HTTP 4xx and 5xx responses by route and status', { labeled: true }),
+};
+metrics.gauge('kotachat_messages_per_second', 'Chat messages accepted per second over the last minute',
+  () => rates.messages.perSecond());
+metrics.gauge('kotachat_location_updates_per_second', 'Location updates accepted per second over the last minute',
+  () => rates.locations.perSecond());
+metrics.gauge('kotachat_broker_connected', 'Whether the broker connection is up (1) or not (0)', () => (broker.connected ? 1 : 0));
 
 // SSE用ヘッダ
 function sseHeaders() {
@@ -20,30 +176,1375 @@ function sseHeaders() {
   };
 }
 
-// SSE送信
-function sseSend(res, event, data) {
+// SSE送信（id を渡すと Last-Event-ID による再開に使われる）
+function sseSend(res, event, data, id) {
+  if (id != null) res.write(`id: ${id}\n`);
   res.write(`event: ${event}\n`);
   res.write(`data: ${JSON.stringify(data)}\n\n`);
 }
 
-// 静的ファイル配信
-function serveStatic(filePath, res) {
-  fs.readFile(filePath, (err, buf) => {
-    if (err) { res.writeHead(404); res.end('Not Found'); return; }
-    const ext = path.extname(filePath);
-    const type =
-      ext === '.html' ? 'text/html' :
-      ext === '.css'  ? 'text/css' :
-      ext === '.js'   ? 'text/javascript' :
-      'application/octet-stream';
-    res.writeHead(200, { 'Content-Type': type });
-    res.end(buf);
+// 接続へイベントを送る（WebSocket では { event, data, id } の JSON を1メッセージで送る）
+// id はルームの通し番号（ブローカーを使う場合は送るときにインスタンスIDを付ける）
+function sendEvent(client, event, data, id) {
+  const eventId = id == null ? undefined : formatEventId(id);
+  if (client.transport === 'websocket') client.send(JSON.stringify({ event, data, id: eventId }));
+  else sseSend(client, event, data, eventId);
+}
+
+// 通し番号はインスタンスごとなので、他のインスタンスが採番したIDから再開しないよう
+// 複数インスタンスで動かすときは "インスタンスID.番号" にする
+function formatEventId(seq) {
+  return BROKER_URL ? `${instanceId}.${seq}` : seq;
+}
+
+// クライアントから戻ってきたイベントIDの通し番号（なければ NaN）
+// 他のインスタンスが採番したIDは -1 にして、再開させずに reset と全量を送らせる
+function parseEventId(raw) {
+  if (!BROKER_URL) return parseInt(raw, 10);
+  const m = /^(.+)\.(\d+)$/.exec(String(raw || ''));
+  if (!m) return NaN;
+  return m[1] === instanceId ? Number(m[2]) : -1;
+}
+
+// 接続を閉じる
+function closeClient(client) {
+  if (client.transport === 'websocket') client.close(1000);
+  else client.end();
+}
+
+// ルーム生成
+// passwordHash はパスワードのハッシュ、ownerHash はルーム作成者に渡したオーナーキーのハッシュ（null なら作成者不明）
+function createRoom(name, passwordHash, ownerHash = null) {
+  return {
+    name, passwordHash, ownerHash,
+    clients: new Set(), markers: new Map(), presence: new Map(), tracks: new Map(),
+    zones: new Map(), inside: new Map(), pins: new Map(), attachments: new Map(), messages: [], log: [], seq: 0,
+    // 受け付け済みのクライアントID（参加者ID:クライアントID）
+    clientIds: new Set(),
+    // 位置情報の最低精度（メートル、0 なら制限なし）
+    minPrecision: 0,
+    // モデレーター（参加者ID）、入室禁止と発言禁止
+    moderators: new Set(), bans: [], mutes: new Map(),
+    // 最後にイベントを配信した時刻
+    lastActivity: Date.now(),
+  };
+}
+
+// ルームの基本情報を保存
+function saveRoom(r) {
+  store.set('rooms', r.name, roomRecord(r));
+}
+
+function roomRecord(r) {
+  return {
+    passwordHash: r.passwordHash, ownerHash: r.ownerHash, seq: r.seq, minPrecision: r.minPrecision, lastActivity: r.lastActivity,
+  };
+}
+
+// パスワードを scrypt でハッシュ化（"scrypt$salt$hash" 形式）
+function hashPassword(pass) {
+  const salt = crypto.randomBytes(16);
+  const hash = crypto.scryptSync(String(pass), salt, 32);
+  return `scrypt$${salt.toString('base64')}$${hash.toString('base64')}`;
+}
+
+// 照合結果の記憶（パスワード付きの GET などは毎回届くので、同じ組み合わせで scrypt をやり直さない）
+// キーはプロセスごとの秘密鍵による HMAC で、パスワードそのものは残さない。ハッシュが変われば自然に外れる
+const PASSWORD_CACHE_LIMIT = 1000;
+const passwordCacheKey = crypto.randomBytes(32);
+const verifiedPasswords = new Map();
+
+// パスワードの照合
+function verifyPassword(r, pass) {
+  const key = crypto.createHmac('sha256', passwordCacheKey).update(`${r.passwordHash}\0${pass}`).digest('base64');
+  if (verifiedPasswords.has(key)) return verifiedPasswords.get(key);
+  const [, salt, hash] = String(r.passwordHash).split('$');
+  if (!salt || !hash) return false;
+  const expected = Buffer.from(hash, 'base64');
+  const actual = crypto.scryptSync(String(pass), Buffer.from(salt, 'base64'), expected.length);
+  const ok = crypto.timingSafeEqual(actual, expected);
+  verifiedPasswords.set(key, ok);
+  // 古いものから捨てる
+  if (verifiedPasswords.size > PASSWORD_CACHE_LIMIT) verifiedPasswords.delete(verifiedPasswords.keys().next().value);
+  return ok;
+}
+
+// オーナーキーのハッシュ
+function hashKey(key) {
+  return crypto.createHash('sha256').update(String(key)).digest('hex');
+}
+
+// ルーム取得（存在しなければ作成し、ownerKey があれば作成者として記録）
+function getOrCreateRoom(room, pass, ownerKey) {
+  if (!rooms[room]) {
+    rooms[room] = createRoom(room, hashPassword(pass || ''), ownerKey ? hashKey(ownerKey) : null);
+    saveRoom(rooms[room]);
+  }
+  return rooms[room];
+}
+
+// オーナーキーの照合（作成者不明のルームはメンバー全員をオーナー扱い）
+function checkOwnerKey(r, key) {
+  if (!r.ownerHash) return true;
+  const a = Buffer.from(hashKey(key || ''));
+  const b = Buffer.from(r.ownerHash);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+// 管理用 API のパスワード（Bearer か Basic 認証のパスワード部分）の照合
+function checkAdminPassword(req) {
+  if (!ADMIN_PASSWORD) return false;
+  const [scheme, value = ''] = String(req.headers['authorization'] || '').split(' ');
+  let pass = '';
+  if (/^bearer$/i.test(scheme)) pass = value;
+  else if (/^basic$/i.test(scheme)) pass = Buffer.from(value, 'base64').toString('utf8').split(':').slice(1).join(':');
+  const a = Buffer.from(hashKey(pass));
+  const b = Buffer.from(hashKey(ADMIN_PASSWORD));
+  return crypto.timingSafeEqual(a, b);
+}
+
+// ルームのオーナーか（セッションはログイン時の判定を使う）
+function isOwner(r, params, auth) {
+  if (auth && auth.session) return auth.session.owner;
+  return checkOwnerKey(r, params.ownerKey);
+}
+
+// ルームを削除し、接続中のクライアントへ最後のイベントを送って切断する
+function deleteRoom(r) {
+  closeClients(r, null, 'deleted', { room: r.name });
+  delete rooms[r.name];
+  store.delete('rooms', r.name);
+  store.delete('markers', r.name);
+  store.delete('messages', r.name);
+  store.delete('tracks', r.name);
+  store.delete('zones', r.name);
+  store.delete('pins', r.name);
+  store.delete('attachments', r.name);
+  store.delete('moderation', r.name);
+  for (const att of r.attachments.values()) {
+    if (!blobInUse(att.hash)) blobs.remove(att.hash);
+  }
+  for (const token of Object.keys(invites)) {
+    if (invites[token].room === r.name) revokeInvite(token);
+  }
+  for (const t of Object.keys(tickets)) {
+    if (tickets[t].room === r.name) {
+      delete tickets[t];
+      store.delete('tickets', t);
+    }
+  }
+  for (const key of Object.keys(sessions)) {
+    if (sessions[key].room === r.name) revokeSession(key);
+  }
+  for (const key of Object.keys(pushSubscriptions)) {
+    if (pushSubscriptions[key].room === r.name) removePushSubscription(key);
+  }
+}
+
+// ルーム内のクライアントへ配信し、再送用ログに記録する
+// audience（参加者IDの配列）を指定するとその参加者の接続にだけ届ける
+// 他のインスタンスにもブローカーで伝え、そこに接続しているクライアントへ配信してもらう
+function broadcast(r, event, data, audience = null) {
+  publish({ type: 'event', room: r.name, event, data, audience });
+  return deliver(r, event, data, audience);
+}
+
+// このインスタンスに接続しているクライアントへの配信（番号はインスタンスごとに採番する）
+function deliver(r, event, data, audience) {
+  const id = ++r.seq;
+  r.lastActivity = Date.now();
+  r.log.push({ id, event, data, audience });
+  if (r.log.length > EVENT_LOG_LIMIT) r.log.splice(0, r.log.length - EVENT_LOG_LIMIT);
+  // 採番状態と最終アクティビティの時刻は saveSeq でまとめて保存する
+  unsavedSeq.add(r.name);
+  for (const client of r.clients) {
+    if (canSee(client.participantId, audience)) sendEvent(client, event, data, id);
+  }
+  return id;
+}
+
+// 通し番号が進んだルームの採番状態を保存（定期的とプロセス終了時）
+// 他のインスタンスには伝えず、最終アクティビティの時刻も各インスタンスが自分で配信した時刻で持つ
+function saveSeq() {
+  for (const name of unsavedSeq) {
+    if (rooms[name]) localStore.set('rooms', name, roomRecord(rooms[name]));
+  }
+  unsavedSeq.clear();
+}
+
+// 最後のイベントを送って接続を閉じる（participantId が null ならルームの全員）
+// 他のインスタンスに接続しているクライアントも同じように閉じてもらう
+function closeClients(r, participantId, event, data) {
+  publish({ type: 'close', room: r.name, participantId, event, data });
+  closeLocalClients(r, participantId, event, data);
+}
+
+function closeLocalClients(r, participantId, event, data) {
+  for (const client of [...r.clients]) {
+    if (participantId !== null && client.participantId !== participantId) continue;
+    sendEvent(client, event, data);
+    // 切断の完了を待たずに配信先から外す（以降の broadcast で閉じた接続へ書かない）
+    r.clients.delete(client);
+    closeClient(client);
+  }
+}
+
+function canSee(participantId, audience) {
+  return !audience || audience.includes(participantId);
+}
+
+// メッセージの宛先（ダイレクトメッセージなら送信者と受信者のみ）
+function messageAudience(msg) {
+  return msg.to ? [msg.from, msg.to] : null;
+}
+
+// 保存済みの状態からルーム・マーカー・履歴・招待を復元
+function restore() {
+  const state = store.load();
+  const saved = state.rooms || {};
+  for (const name of Object.keys(saved)) {
+    // 旧形式（平文パスワード）のデータはここでハッシュに移行する
+    const passwordHash = saved[name].passwordHash || hashPassword(saved[name].password || '');
+    const r = rooms[name] = createRoom(name, passwordHash, saved[name].ownerHash || null);
+    if (!saved[name].passwordHash) saveRoom(r);
+    r.seq = saved[name].seq ? saved[name].seq + SEQ_RESTORE_GAP : 0;
+    r.minPrecision = saved[name].minPrecision || 0;
+    r.lastActivity = saved[name].lastActivity || 0;
+    for (const collection of ROOM_COLLECTIONS) {
+      if (state[collection] && state[collection][name]) loadRoomData(r, collection, state[collection][name]);
+    }
+    // 復元したマーカーの持ち主はオフライン扱いとし、戻らなければ時間経過で消す
+    for (const [id, pos] of r.markers) {
+      r.presence.set(id, { name: pos.name, state: 'offline', lastSeen: Date.now(), lastActive: 0, connections: 0 });
+    }
+  }
+  for (const [collection, target] of Object.entries(SHARED_RECORDS)) Object.assign(target, state[collection] || {});
+  vapidKeys = (state.config || {}).vapid || null;
+  instanceId = process.env.INSTANCE_ID || (state.config || {}).instance || null;
+}
+
+// ルームごとに保存しているデータ（キーはルーム名）
+const ROOM_COLLECTIONS = ['markers', 'messages', 'tracks', 'zones', 'pins', 'attachments', 'moderation'];
+// キーごとにそのまま持つデータ
+const SHARED_RECORDS = { invites, tickets, sessions, push: pushSubscriptions };
+
+// 保存形式のルームのデータをメモリに読み込む（起動時の復元と、他のインスタンスの書き込みの反映に使う）
+function loadRoomData(r, collection, value) {
+  if (collection === 'markers') {
+    r.markers.clear();
+    for (const id of Object.keys(value)) {
+      // 旧形式（名前がキー）のマーカーは名前から導いた参加者IDに移す
+      if (value[id].name === undefined) r.markers.set(legacyParticipantId(r.name, id), { name: id, ...value[id] });
+      else r.markers.set(id, value[id]);
+    }
+    updateInside(r);
+  } else if (collection === 'messages') {
+    r.messages = value.slice(-MESSAGE_HISTORY_LIMIT);
+    for (const m of r.messages) {
+      if (m.clientId) seenClientId(r, m.from, m.clientId);
+    }
+  } else if (collection === 'tracks') {
+    r.tracks.clear();
+    for (const p of value) addTrackPoint(r, p.id, p.name, p);
+  } else if (collection === 'zones') {
+    r.zones = new Map(Object.values(value).map((zone) => [zone.id, zone]));
+    updateInside(r);
+  } else if (collection === 'pins') {
+    r.pins = new Map(Object.values(value).map((pin) => [pin.id, pin]));
+  } else if (collection === 'attachments') {
+    r.attachments = new Map(Object.values(value).map((att) => [att.id, att]));
+  } else if (collection === 'moderation') {
+    r.moderators = new Set(value.moderators);
+    r.bans = value.bans;
+    r.mutes = new Map(Object.entries(value.mutes));
+  }
+}
+
+// 各参加者がどのゾーンの中にいるか（到着・出発の判定用）を今の位置で決め直す
+function updateInside(r) {
+  r.inside.clear();
+  for (const [id, pos] of r.markers) r.inside.set(id, zonesAt(r, pos));
+}
+
+// ====== 複数インスタンスの同期 ======
+
+function publish(message) {
+  broker.publish(BROKER_CHANNEL, { origin: instanceId, ...message });
+}
+
+// 他のインスタンスの書き込みを自分のストアとメモリに反映する
+function applyStoreOp(op) {
+  const { c: collection, k: key } = op;
+  if (collection === 'rooms') {
+    let r = rooms[key];
+    if (op.op === 'del') {
+      // 接続中のクライアントは close メッセージで閉じ済み
+      if (r) closeLocalClients(r, null, 'deleted', { room: key });
+      delete rooms[key];
+      localStore.delete('rooms', key);
+      return;
+    }
+    if (!r) r = rooms[key] = createRoom(key, op.v.passwordHash, op.v.ownerHash);
+    r.passwordHash = op.v.passwordHash;
+    r.ownerHash = op.v.ownerHash;
+    r.minPrecision = op.v.minPrecision || 0;
+    // 通し番号はインスタンスごとなので自分の値を残す
+    localStore.set('rooms', key, roomRecord(r));
+    return;
+  }
+  if (op.op === 'set') localStore.set(collection, key, op.v);
+  else if (op.op === 'del') localStore.delete(collection, key);
+  else localStore.push(collection, key, op.v, op.n);
+  if (SHARED_RECORDS[collection]) {
+    if (op.op === 'set') SHARED_RECORDS[collection][key] = op.v;
+    else delete SHARED_RECORDS[collection][key];
+    return;
+  }
+  const r = rooms[key];
+  if (!r || !ROOM_COLLECTIONS.includes(collection)) return;
+  if (op.op === 'push' && collection === 'messages') {
+    r.messages.push(op.v);
+    if (r.messages.length > MESSAGE_HISTORY_LIMIT) r.messages.splice(0, r.messages.length - MESSAGE_HISTORY_LIMIT);
+    if (op.v.clientId) seenClientId(r, op.v.from, op.v.clientId);
+  } else if (op.op === 'push' && collection === 'tracks') {
+    addTrackPoint(r, op.v.id, op.v.name, op.v);
+  } else if (op.op === 'set') {
+    loadRoomData(r, collection, op.v);
+  }
+}
+
+// 他のインスタンスのイベントのうち、保存しない状態（在席状態）を反映する
+function applyRemoteEvent(r, event, data) {
+  if (event === 'presence') {
+    const p = r.presence.get(data.id);
+    // このインスタンスに接続がある参加者はここで管理する
+    if (p && p.connections > 0) return;
+    r.presence.set(data.id, {
+      name: data.name, state: data.state, lastSeen: data.lastSeen, lastActive: data.lastSeen, connections: 0, remote: true,
+    });
+  } else if (event === 'remove') {
+    r.presence.delete(data.id);
+    r.inside.delete(data.id);
+  }
+}
+
+broker.subscribe(BROKER_CHANNEL, (message) => {
+  if (message.origin === instanceId) return;
+  if (message.type === 'store') { applyStoreOp(message.op); return; }
+  const r = rooms[message.room];
+  if (!r) return;
+  if (message.type === 'event') {
+    applyRemoteEvent(r, message.event, message.data);
+    deliver(r, message.event, message.data, message.audience);
+  } else if (message.type === 'close') {
+    closeLocalClients(r, message.participantId, message.event, message.data);
+  } else if (message.type === 'active') {
+    const p = r.presence.get(message.id);
+    if (p && !p.remote) markActive(r, message.id, message.name);
+  }
+});
+
+// 推測困難なトークンを生成
+function randomToken(bytes = 18) {
+  return crypto.randomBytes(bytes).toString('base64url');
+}
+
+// 有効な招待を返す（期限切れ・使用回数超過なら破棄して null）
+function activeInvite(token) {
+  const info = invites[token];
+  if (!info) return null;
+  const expired = info.expiresAt && info.expiresAt <= Date.now();
+  const usedUp = info.maxUses && info.uses >= info.maxUses;
+  if (expired || usedUp) {
+    delete invites[token];
+    store.delete('invites', token);
+    return null;
+  }
+  return info;
+}
+
+// 招待を取り消し、そこから発行したチケットも無効にする
+function revokeInvite(token) {
+  delete invites[token];
+  store.delete('invites', token);
+  for (const t of Object.keys(tickets)) {
+    if (tickets[t].invite === token) {
+      delete tickets[t];
+      store.delete('tickets', t);
+    }
+  }
+}
+
+// 公開用の招待情報
+function inviteInfo(token, info) {
+  return { token, createdAt: info.createdAt, expiresAt: info.expiresAt, maxUses: info.maxUses, uses: info.uses };
+}
+
+// 有効な入室チケットか
+function checkTicket(r, ticket) {
+  const t = tickets[ticket];
+  if (!t || t.room !== r.name) return false;
+  if (t.expiresAt <= Date.now()) {
+    delete tickets[ticket];
+    store.delete('tickets', ticket);
+    return false;
+  }
+  return true;
+}
+
+// セッションを使わない（パスワード・チケットでの）アクセスの参加者ID
+// 同じルーム・同じ名前なら常に同じIDになる
+function legacyParticipantId(room, name) {
+  return 'n_' + hashKey(`${room}\n${name}`).slice(0, 16);
+}
+
+// セッション発行（参加者IDは表示名とは別にここで払い出す）
+function createSession(room, name, owner) {
+  const token = randomToken(24);
+  const now = Date.now();
+  const session = { room, name, owner, participantId: 'p_' + randomToken(9), createdAt: now, expiresAt: now + SESSION_TTL_MS };
+  sessions[hashKey(token)] = session;
+  store.set('sessions', hashKey(token), session);
+  return { token, session };
+}
+
+// セッション破棄（key はトークンのハッシュ）
+function revokeSession(key) {
+  delete sessions[key];
+  store.delete('sessions', key);
+}
+
+// トークンからセッションを取得し、有効期限を延長する
+function getSession(token) {
+  const key = hashKey(token);
+  const session = sessions[key];
+  if (!session) return null;
+  const now = Date.now();
+  if (session.expiresAt <= now) {
+    revokeSession(key);
+    return null;
+  }
+  // 参加者IDのない古いセッションにはここで払い出す
+  if (!session.participantId) {
+    session.participantId = 'p_' + randomToken(9);
+    store.set('sessions', key, session);
+  }
+  // 保存回数を抑えるため、延長は1分単位で行う
+  if (now + SESSION_TTL_MS - session.expiresAt >= 60 * 1000) {
+    session.expiresAt = now + SESSION_TTL_MS;
+    store.set('sessions', key, session);
+  }
+  return session;
+}
+
+// リクエストのセッショントークン（Authorization ヘッダ、EventSource 用にパラメータも可）
+function sessionToken(req, params) {
+  const header = String(req.headers['authorization'] || '');
+  if (header.startsWith('Bearer ')) return header.slice(7).trim();
+  return typeof params.session === 'string' ? params.session : '';
+}
+
+// ルームへのアクセスを確認し、認証情報を返す（失敗時は null）
+// セッションを基本とし、スクリプト等からの利用のため入室チケット・パスワードも受け付ける
+function authenticate(r, req, params) {
+  const token = sessionToken(req, params);
+  if (token) {
+    const session = getSession(token);
+    if (!session || session.room !== r.name) return null;
+    // 入室禁止はオーナーとモデレーター以外に適用する（同じ IP から入っていても締め出さない）
+    const exempt = ownerSession(r, session) || r.moderators.has(session.participantId);
+    if (!exempt && findBan(r, session.participantId, session.name, clientIp(req))) return null;
+    return { session, token, id: session.participantId, name: session.name };
+  }
+  const name = typeof params.name === 'string' ? params.name : '';
+  const legacy = { id: legacyParticipantId(r.name, name), name };
+  if (!r.moderators.has(legacy.id) && findBan(r, legacy.id, name, clientIp(req))) return null;
+  if (typeof params.ticket === 'string' && params.ticket) return checkTicket(r, params.ticket) ? legacy : null;
+  return verifyPassword(r, typeof params.password === 'string' ? params.password : '') ? legacy : null;
+}
+
+// 認証済みの接続がまだ有効か（パスワードやチケットは確かめ直さず、セッションの期限と入室禁止だけを見る）
+function stillAuthorized(r, auth, ip) {
+  if (auth.session) {
+    const session = getSession(auth.token);
+    if (!session || session.room !== r.name) return false;
+    if (ownerSession(r, session) || r.moderators.has(session.participantId)) return true;
+  } else if (r.moderators.has(auth.id)) {
+    return true;
+  }
+  return !findBan(r, auth.id, auth.name, ip);
+}
+
+// エラー応答（JSON 形式で統一）
+const ERROR_CODES = {
+  400: 'bad_request',
+  401: 'unauthorized',
+  403: 'forbidden',
+  404: 'not_found',
+  409: 'conflict',
+  413: 'payload_too_large',
+  429: 'too_many_requests',
+};
+function sendError(res, status, message, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify({ error: ERROR_CODES[status] || 'error', message: message || http.STATUS_CODES[status] }));
+}
+
+// メトリクスのルート名（ID を含むパスはまとめ、どのルートにも当たらなかったものは other）
+function routeLabel(pathname) {
+  if (pathname.startsWith('/attachments/')) return '/attachments/:id';
+  if (pathname.startsWith('/moderation/')) return '/moderation/:action';
+  return pathname;
+}
+
+// 4xx・5xx の応答をルートごとに数える
+function countResponse(route, status) {
+  if (status >= 400) counters.httpErrors.inc({ route, code: String(status) });
+}
+
+// 認証失敗の応答（無効なセッションは 401 で再ログインを促す）
+function deny(res, req, params) {
+  if (sessionToken(req, params)) { sendError(res, 401, 'Session expired or invalid'); return; }
+  sendError(res, 403, 'Forbidden');
+}
+
+function clientIp(req) {
+  const forwarded = TRUST_PROXY && req.headers['x-forwarded-for'];
+  return forwarded ? forwarded.split(',')[0].trim() : req.socket.remoteAddress;
+}
+
+// 流量制限を超えていれば失敗の内容（429 と待つ秒数）を返す
+function rateLimit(kind, ip, r, auth) {
+  const wait = limiters[kind].take({ ip, session: auth.id, room: r.name });
+  if (!wait) return null;
+  const seconds = Math.ceil(wait / 1000);
+  return { status: 429, message: `Too many requests, retry in ${seconds} s`, retryAfter: seconds };
+}
+
+// 流量制限を超えていれば 429 と Retry-After（秒）を返して true
+function rateLimited(kind, req, res, r, auth) {
+  const failure = rateLimit(kind, clientIp(req), r, auth);
+  if (failure) sendFailure(res, failure);
+  return !!failure;
+}
+
+// HTTP と WebSocket で共通の処理が返す失敗（{ status, message } と、あれば error・until・retryAfter）を応答する
+function sendFailure(res, failure) {
+  if (failure.error) { sendRestricted(res, failure.error, failure.message, failure.until); return; }
+  sendError(res, failure.status, failure.message, failure.retryAfter ? { 'Retry-After': String(failure.retryAfter) } : {});
+}
+
+// JSON ボディを読み取ってコールバックに渡す（不正な JSON は 400、上限超過は 413）
+function readJson(req, res, callback) {
+  if (Number(req.headers['content-length']) > MAX_BODY_BYTES) {
+    sendError(res, 413, `Body must not exceed ${MAX_BODY_BYTES} bytes`, { Connection: 'close' });
+    req.resume();
+    return;
+  }
+  const chunks = [];
+  let size = 0;
+  let failed = false;
+  req.on('data', (chunk) => {
+    if (failed) return;
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) {
+      failed = true;
+      sendError(res, 413, `Body must not exceed ${MAX_BODY_BYTES} bytes`, { Connection: 'close' });
+      return;
+    }
+    chunks.push(chunk);
+  });
+  req.on('end', () => {
+    if (failed) return;
+    let body;
+    try {
+      body = JSON.parse(Buffer.concat(chunks).toString('utf8') || '{}');
+    } catch {
+      sendError(res, 400, 'Body must be valid JSON'); return;
+    }
+    if (!body || typeof body !== 'object' || Array.isArray(body)) { sendError(res, 400, 'Body must be a JSON object'); return; }
+    callback(body);
+  });
+}
+
+// GET はクエリ、POST は JSON ボディからパラメータを読み、スキーマで検証してから渡す
+function readParams(req, res, url, schema, callback) {
+  const check = (params) => {
+    const error = validate(params, schema);
+    if (error) { sendError(res, 400, error); return; }
+    callback(params);
+  };
+  if (req.method === 'POST') {
+    readJson(req, res, (body) => {
+      // セッショントークンなどクエリで渡されたものも参照できるようにする
+      check({ ...fromQuery(url.searchParams, schema), ...body });
+    });
+  } else {
+    check(fromQuery(url.searchParams, schema));
+  }
+}
+
+// 認証用の共通フィールド
+const AUTH_FIELDS = {
+  room: { type: 'string', required: true, minLength: 1, maxLength: 64 },
+  password: { type: 'string', maxLength: 256 },
+  ticket: { type: 'string', maxLength: 128 },
+  session: { type: 'string', maxLength: 128 },
+  name: { type: 'string', maxLength: 32 },
+};
+// clientId はオフライン時の送信待ちキューが付ける ID（再送時の重複排除に使う）
+const MESSAGE_SCHEMA = {
+  ...AUTH_FIELDS,
+  // 添付ファイルがあれば本文は省略できる
+  text: { type: 'string', minLength: 1, maxLength: 2000 },
+  clientId: { type: 'string', minLength: 1, maxLength: 64 },
+  // /upload で受け取った添付ファイルの ID
+  attachment: { type: 'string', minLength: 1, maxLength: 32 },
+  // ダイレクトメッセージの宛先（参加者ID）
+  to: { type: 'string', minLength: 1, maxLength: 64 },
+  // 返信先のメッセージID
+  replyTo: { type: 'string', minLength: 1, maxLength: 32 },
+};
+const UPLOAD_SCHEMA = {
+  ...AUTH_FIELDS,
+  filename: { type: 'string', required: true, minLength: 1, maxLength: 200 },
+};
+// モデレーション：duration は秒（省略すると解除するまで）、ip は送信元 IP も入室禁止にするか
+const MODERATION_SCHEMA = {
+  ...AUTH_FIELDS,
+  participant: { type: 'string', required: true, minLength: 1, maxLength: 64 },
+  duration: { type: 'number', min: 60, max: 30 * 24 * 60 * 60 },
+  ip: { type: 'boolean' },
+};
+const MODERATOR_SCHEMA = {
+  ...AUTH_FIELDS,
+  participant: { type: 'string', required: true, minLength: 1, maxLength: 64 },
+  enabled: { type: 'boolean', required: true },
+};
+const UNBAN_SCHEMA = {
+  ...AUTH_FIELDS,
+  ban: { type: 'string', required: true, maxLength: 32 },
+};
+const MESSAGE_EDIT_SCHEMA = {
+  ...AUTH_FIELDS,
+  id: { type: 'string', required: true, maxLength: 32 },
+  text: { type: 'string', required: true, minLength: 1, maxLength: 2000 },
+};
+const MESSAGE_DELETE_SCHEMA = {
+  ...AUTH_FIELDS,
+  id: { type: 'string', required: true, maxLength: 32 },
+};
+const REACTION_SCHEMA = {
+  ...AUTH_FIELDS,
+  id: { type: 'string', required: true, maxLength: 32 },
+  emoji: { type: 'string', required: true, minLength: 1, maxLength: 16 },
+};
+const LOCATION_SCHEMA = {
+  ...AUTH_FIELDS,
+  lat: { type: 'number', required: true, min: -90, max: 90 },
+  lon: { type: 'number', required: true, min: -180, max: 180 },
+  // 端末が報告する速度（m/s）と進行方向（真北から時計回りの度）
+  speed: { type: 'number', min: 0, max: 1000 },
+  heading: { type: 'number', min: 0, max: 360 },
+  clientId: { type: 'string', minLength: 1, maxLength: 64 },
+};
+const LOGOUT_SCHEMA = { ...AUTH_FIELDS };
+const LOGIN_SCHEMA = {
+  room: { type: 'string', required: true, minLength: 1, maxLength: 64 },
+  name: { type: 'string', required: true, minLength: 1, maxLength: 32 },
+  password: { type: 'string', maxLength: 256 },
+  ticket: { type: 'string', maxLength: 128 },
+  ownerKey: { type: 'string', maxLength: 128 },
+  create: { type: 'boolean' },
+};
+const PASSWORD_SCHEMA = {
+  newPassword: { type: 'string', required: true, maxLength: 256 },
+};
+const SETTINGS_SCHEMA = {
+  minPrecision: { type: 'number', required: true, min: 0, max: 50000 },
+};
+const ZONE_SCHEMA = {
+  ...AUTH_FIELDS,
+  zoneName: { type: 'string', required: true, minLength: 1, maxLength: 40 },
+  type: { type: 'string', required: true },
+  lat: { type: 'number', min: -90, max: 90 },
+  lon: { type: 'number', min: -180, max: 180 },
+  radius: { type: 'number', min: 1, max: 100000 },
+  points: {
+    type: 'array', minItems: 3, maxItems: 100,
+    items: {
+      lat: { type: 'number', required: true, min: -90, max: 90 },
+      lon: { type: 'number', required: true, min: -180, max: 180 },
+    },
+  },
+};
+const PUSH_SUBSCRIBE_SCHEMA = {
+  ...AUTH_FIELDS,
+  endpoint: { type: 'string', required: true, minLength: 1, maxLength: 1024 },
+  keys: {
+    type: 'object', required: true,
+    properties: {
+      p256dh: { type: 'string', required: true, minLength: 1, maxLength: 256 },
+      auth: { type: 'string', required: true, minLength: 1, maxLength: 64 },
+    },
+  },
+};
+const PUSH_UNSUBSCRIBE_SCHEMA = {
+  ...AUTH_FIELDS,
+  endpoint: { type: 'string', required: true, minLength: 1, maxLength: 1024 },
+};
+const ZONE_DELETE_SCHEMA = {
+  ...AUTH_FIELDS,
+  id: { type: 'string', required: true, maxLength: 32 },
+};
+const PIN_SCHEMA = {
+  ...AUTH_FIELDS,
+  title: { type: 'string', required: true, minLength: 1, maxLength: 40 },
+  lat: { type: 'number', required: true, min: -90, max: 90 },
+  lon: { type: 'number', required: true, min: -180, max: 180 },
+};
+const PIN_UPDATE_SCHEMA = {
+  ...AUTH_FIELDS,
+  id: { type: 'string', required: true, maxLength: 32 },
+  title: { type: 'string', minLength: 1, maxLength: 40 },
+  lat: { type: 'number', min: -90, max: 90 },
+  lon: { type: 'number', min: -180, max: 180 },
+};
+const PIN_DELETE_SCHEMA = { ...ZONE_DELETE_SCHEMA };
+
+// マーカーを保存
+function saveMarkers(r) {
+  store.set('markers', r.name, Object.fromEntries(r.markers));
+}
+
+// lastId 以降のイベントをログから欠落なく再送できるか
+function canResume(r, lastId) {
+  if (lastId > r.seq) return false;
+  if (lastId === r.seq) return true;
+  return r.log.length > 0 && r.log[0].id <= lastId + 1;
+}
+
+// ルームにいる（または位置を残している）参加者の表示名。いなければ null
+function participantName(r, id) {
+  const p = r.presence.get(id) || r.markers.get(id);
+  return p ? p.name : null;
+}
+
+// 接続している（online か idle の）参加者の数（他のインスタンスに接続している参加者も含む）
+function participantCount(r) {
+  let n = 0;
+  for (const p of r.presence.values()) {
+    if (p.state !== 'offline') n++;
+  }
+  return n;
+}
+
+// 在席状態の公開用データ
+function presenceInfo(id, p) {
+  return { id, name: p.name, state: p.state, lastSeen: p.lastSeen };
+}
+
+// 在席状態を更新し、状態が変わったら presence イベントを配信
+function updatePresence(r, id, name, update) {
+  const now = Date.now();
+  let p = r.presence.get(id);
+  if (!p) {
+    p = { name, state: 'offline', lastSeen: now, lastActive: now, connections: 0 };
+    r.presence.set(id, p);
+  }
+  const prev = p.state;
+  p.name = name;
+  update(p, now);
+  if (p.state !== prev) broadcast(r, 'presence', presenceInfo(id, p));
+}
+
+// 投稿・位置送信などの操作があった
+function markActive(r, id, name) {
+  // 他のインスタンスに接続している参加者の在席状態はそちらで更新してもらう
+  const current = r.presence.get(id);
+  if (current && current.remote) { publish({ type: 'active', room: r.name, id, name }); return; }
+  updatePresence(r, id, name, (p, now) => {
+    p.lastActive = now;
+    p.lastSeen = now;
+    if (p.connections > 0) p.state = 'online';
   });
 }
 
+// 参加者を在席管理とマーカーから外し、remove を配信
+function dropParticipant(r, id, name) {
+  r.presence.delete(id);
+  r.inside.delete(id);
+  if (r.markers.delete(id)) saveMarkers(r);
+  broadcast(r, 'remove', { id, name });
+}
+
+function saveModeration(r) {
+  store.set('moderation', r.name, {
+    moderators: [...r.moderators], bans: r.bans, mutes: Object.fromEntries(r.mutes),
+  });
+}
+
+// 期限内か（until が null なら解除されるまで有効）
+function inEffect(restriction, now = Date.now()) {
+  return restriction.until === null || restriction.until > now;
+}
+
+function sameName(a, b) {
+  return !!a && !!b && a.trim().toLowerCase() === b.trim().toLowerCase();
+}
+
+// 参加者ID・ニックネーム・送信元 IP のいずれかが当てはまる入室禁止
+function findBan(r, id, name, ip) {
+  return r.bans.find((b) => inEffect(b)
+    && (b.participantId === id || sameName(b.name, name) || (b.ip !== null && b.ip === ip))) || null;
+}
+
+// 参加者ID かニックネームが当てはまる発言禁止
+function findMute(r, id, name) {
+  for (const [mutedId, m] of r.mutes) {
+    if (inEffect(m) && (mutedId === id || sameName(m.name, name))) return m;
+  }
+  return null;
+}
+
+// 全員に公開する役割（モデレーターと発言禁止中の参加者）
+function rolesInfo(r) {
+  return {
+    moderators: [...r.moderators],
+    muted: [...r.mutes].map(([id, m]) => ({ id, name: m.name, until: m.until })),
+  };
+}
+
+// 期限切れの入室禁止・発言禁止を取り除く
+function expireRestrictions(r) {
+  const now = Date.now();
+  const bans = r.bans.filter((b) => inEffect(b, now));
+  let changed = bans.length !== r.bans.length;
+  r.bans = bans;
+  let unmuted = false;
+  for (const [id, m] of r.mutes) {
+    if (!inEffect(m, now)) { r.mutes.delete(id); unmuted = true; }
+  }
+  if (changed || unmuted) saveModeration(r);
+  if (unmuted) broadcast(r, 'roles', rolesInfo(r));
+}
+
+// 作成者として入室禁止や退室から守られるセッションか
+// 作成者不明のルームは全員がオーナー扱いなので、誰も守らない（守ると誰も退室させられなくなる）
+function ownerSession(r, session) {
+  return !!r.ownerHash && session.owner;
+}
+
+// オーナーのセッションで入室している参加者か
+function isOwnerParticipant(r, id) {
+  return Object.values(sessions).some((s) => s.room === r.name && s.participantId === id && ownerSession(r, s));
+}
+
+// モデレーション操作の権限（オーナーかモデレーター）
+function canModerate(r, params, auth) {
+  return isOwner(r, params, auth) || r.moderators.has(auth.id);
+}
+
+// 接続していない参加者もセッションや過去の発言から名前を引けるようにする
+function knownName(r, id) {
+  const name = participantName(r, id);
+  if (name !== null) return name;
+  const session = Object.values(sessions).find((s) => s.room === r.name && s.participantId === id);
+  if (session) return session.name;
+  const msg = r.messages.findLast((m) => m.from === id);
+  return msg ? msg.name : null;
+}
+
+// 参加者の接続元 IP（接続していなければ null）
+function addressOf(r, id) {
+  for (const client of r.clients) {
+    if (client.participantId === id) return client.ip;
+  }
+  return null;
+}
+
+// 参加者を追い出す：接続を閉じ、セッション・プッシュ購読・役割を破棄して一覧から外す
+function expel(r, id, name, info) {
+  closeClients(r, id, 'kicked', { room: r.name, ...info });
+  for (const [key, s] of Object.entries(sessions)) {
+    if (s.room === r.name && s.participantId === id) revokeSession(key);
+  }
+  for (const key of Object.keys(pushSubscriptions)) {
+    if (pushSubscriptions[key].room === r.name && pushSubscriptions[key].participantId === id) removePushSubscription(key);
+  }
+  if (r.moderators.delete(id)) {
+    saveModeration(r);
+    broadcast(r, 'roles', rolesInfo(r));
+  }
+  dropParticipant(r, id, name);
+}
+
+// 期間の表示（お知らせメッセージ用）
+function durationLabel(seconds) {
+  if (seconds % 86400 === 0) return `${seconds / 86400}日間`;
+  if (seconds % 3600 === 0) return `${seconds / 3600}時間`;
+  return `${Math.ceil(seconds / 60)}分間`;
+}
+
+// モデレーション操作を全員に知らせる（イベントとお知らせメッセージ）
+function announceModeration(r, action, target, auth, text, extra = {}) {
+  broadcast(r, 'moderation', { action, id: target.id, name: target.name, by: auth.id, byName: auth.name, ...extra });
+  postSystemMessage(r, text);
+}
+
+// 入室禁止・発言禁止の応答（解除予定時刻つき）
+function sendRestricted(res, error, message, until) {
+  res.writeHead(403, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify({ error, message, until }));
+}
+
+// 発言禁止中なら 403 を返して true（チャットや地図で他の参加者に見える書き込みの前に確認する）
+function muted(res, r, auth) {
+  const mute = findMute(r, auth.id, auth.name);
+  if (mute) sendRestricted(res, 'muted', 'You are muted in this room', mute.until);
+  return !!mute;
+}
+
+// 定期処理：ハートビート送信、idle 判定、オフラインが続く参加者の除去、添付されないままのファイルの削除
+function sweepPresence() {
+  const now = Date.now();
+  for (const r of Object.values(rooms)) {
+    expireRestrictions(r);
+    expireUploads(r, now);
+    for (const client of r.clients) sendEvent(client, 'ping', { time: now });
+    for (const [id, p] of r.presence) {
+      // 他のインスタンスに接続している参加者はそちらが判定する
+      if (p.remote) continue;
+      if (p.state === 'online' && now - p.lastActive > IDLE_AFTER_MS) {
+        updatePresence(r, id, p.name, (q) => { q.state = 'idle'; });
+      } else if (p.connections === 0 && now - p.lastSeen > MARKER_TIMEOUT_MS) {
+        dropParticipant(r, id, p.name);
+      }
+    }
+  }
+}
+
+// 軌跡に点を追加（参加者ごとに TRACK_LIMIT 点まで）
+function addTrackPoint(r, id, name, { lat, lon, time }) {
+  let track = r.tracks.get(id);
+  if (!track) r.tracks.set(id, track = { name, points: [] });
+  track.name = name;
+  track.points.push({ lat, lon, time });
+  if (track.points.length > TRACK_LIMIT) track.points.splice(0, track.points.length - TRACK_LIMIT);
+}
+
+// 参加者の軌跡を破棄（保存分も書き直す）
+function deleteTrack(r, id) {
+  if (!r.tracks.delete(id)) return;
+  const points = [];
+  for (const [tid, t] of r.tracks) {
+    for (const p of t.points) points.push({ id: tid, name: t.name, ...p });
+  }
+  points.sort((a, b) => a.time - b.time);
+  store.set('tracks', r.name, points.slice(-ROOM_TRACK_LIMIT));
+}
+
+// エクスポート用の軌跡一覧（id 指定時はその参加者のみ）
+function exportTracks(r, id) {
+  const list = [];
+  for (const [tid, t] of r.tracks) {
+    if (!id || tid === id) list.push({ id: tid, name: t.name, points: t.points });
+  }
+  return list;
+}
+
+// 同じクライアントIDの送信を既に受け付けたか（未登録なら登録して false）
+function seenClientId(r, participantId, clientId) {
+  if (!clientId) return false;
+  const key = `${participantId}:${clientId}`;
+  if (r.clientIds.has(key)) return true;
+  r.clientIds.add(key);
+  // Set は挿入順なので先頭から古いものを捨てる
+  if (r.clientIds.size > CLIENT_ID_LIMIT) r.clientIds.delete(r.clientIds.values().next().value);
+  return false;
+}
+
+// メッセージを履歴に追加して配信（ID はここで採番する）
+function postMessage(r, msg) {
+  msg.id = 'm_' + randomToken(6);
+  r.messages.push(msg);
+  const dropped = r.messages.length > MESSAGE_HISTORY_LIMIT
+    ? r.messages.splice(0, r.messages.length - MESSAGE_HISTORY_LIMIT) : [];
+  store.push('messages', r.name, msg, MESSAGE_HISTORY_LIMIT);
+  // 履歴から外れたメッセージの添付ファイルは容量を空ける
+  for (const m of dropped) {
+    if (m.attachment) releaseAttachment(r, m.attachment.id);
+  }
+  broadcast(r, 'message', msg, messageAudience(msg));
+  if (!msg.system) pushMessage(r, msg);
+}
+
+// メッセージ投稿（HTTP と WebSocket で共通）。受け付けたら null、断るなら失敗の内容を返す
+function acceptMessage(r, auth, params, ip) {
+  const limited = rateLimit('chat', ip, r, auth);
+  if (limited) return limited;
+  const mute = findMute(r, auth.id, auth.name);
+  if (mute) return { status: 403, error: 'muted', message: 'You are muted in this room', until: mute.until };
+  if (!params.text && !params.attachment) return { status: 400, message: 'text is required' };
+  // 添付できるのは自分がアップロードしたファイルだけ
+  const attachment = params.attachment ? r.attachments.get(params.attachment) : null;
+  if (params.attachment && (!attachment || attachment.from !== auth.id)) return { status: 404, message: 'Attachment not found' };
+  const recipient = params.to ? participantName(r, params.to) : null;
+  if (params.to && recipient === null) return { status: 404, message: 'Participant not found' };
+  const original = params.replyTo ? findMessage(r, params.replyTo, auth.id) : null;
+  if (params.replyTo && !original) return { status: 404, message: 'Message not found' };
+  // ダイレクトメッセージを引用できるのは同じ相手とのダイレクトメッセージだけ
+  const quoted = original && messageAudience(original);
+  if (quoted && !(params.to && quoted.includes(params.to))) return { status: 400, message: 'Cannot quote a direct message here' };
+  // 再送された送信済みメッセージは成功として扱い、配信し直さない
+  if (seenClientId(r, auth.id, params.clientId)) return null;
+  const msg = { from: auth.id, name: auth.name, text: params.text || '', time: Date.now() };
+  if (attachment) msg.attachment = attachmentInfo(attachment);
+  if (params.to) {
+    msg.to = params.to;
+    msg.toName = recipient;
+  }
+  if (original) msg.replyTo = replyQuote(original);
+  if (params.clientId) msg.clientId = params.clientId;
+  postMessage(r, msg);
+  counters.messages.inc();
+  rates.messages.mark();
+  markActive(r, auth.id, auth.name);
+  return null;
+}
+
+// 位置情報の更新（HTTP と WebSocket で共通）。受け付けたら null、断るなら失敗の内容を返す
+function acceptLocation(r, auth, params, ip) {
+  const limited = rateLimit('location', ip, r, auth);
+  if (limited) return limited;
+  const { id, name } = auth;
+  if (seenClientId(r, id, params.clientId)) return null;
+  // ルームの最低精度より細かい位置は格子に丸め、速度・方向も渡さない
+  const coarse = r.minPrecision > 0;
+  const { lat, lon } = coarse ? snapToGrid(params, r.minPrecision) : params;
+  const time = Date.now();
+  // マーカーは参加者IDで管理し、同名の参加者が互いに上書きしないようにする
+  r.markers.set(id, { name, lat, lon });
+  saveMarkers(r);
+  addTrackPoint(r, id, name, { lat, lon, time });
+  store.push('tracks', r.name, { id, name, lat, lon, time }, ROOM_TRACK_LIMIT);
+  // 速度・方向はその時点の値なのでマーカーには保存せず配信のみ
+  const motion = {};
+  if (params.speed !== undefined && !coarse) motion.speed = params.speed;
+  if (params.heading !== undefined && !coarse) motion.heading = params.heading;
+  broadcast(r, 'location', { id, name, lat, lon, time, ...motion });
+  checkGeofences(r, id, name, { lat, lon });
+  counters.locations.inc();
+  rates.locations.mark();
+  markActive(r, id, name);
+  return null;
+}
+
+// 退出（HTTP と WebSocket で共通）：セッションと軌跡・プッシュ購読を破棄して remove を配信
+function leaveRoom(r, auth) {
+  const { id, name } = auth;
+  // セッションでのログアウトはセッション自体も破棄する
+  if (auth.session) revokeSession(hashKey(auth.token));
+  // 明示的に退出した参加者の軌跡とプッシュ購読は残さない
+  deleteTrack(r, id);
+  for (const key of Object.keys(pushSubscriptions)) {
+    if (pushSubscriptions[key].room === r.name && pushSubscriptions[key].participantId === id) removePushSubscription(key);
+  }
+  dropParticipant(r, id, name);
+}
+
+// 編集・削除・リアクションの後に履歴全体を保存し直す
+function saveMessages(r) {
+  store.set('messages', r.name, r.messages);
+}
+
+// 参加者から見えるメッセージを ID で探す（履歴から外れたもの・見えないものは null）
+function findMessage(r, id, participantId) {
+  const msg = r.messages.find((m) => m.id === id);
+  return msg && canSee(participantId, messageAudience(msg)) ? msg : null;
+}
+
+// 返信に載せる引用（本文は先頭だけ、本文のない添付ファイルはファイル名）
+function replyQuote(msg) {
+  const text = msg.text.slice(0, 100) || (msg.attachment ? `📎 ${msg.attachment.name}` : '');
+  return { id: msg.id, from: msg.from, name: msg.name, text: msg.deleted ? '' : text, deleted: !!msg.deleted };
+}
+
+function saveAttachments(r) {
+  store.set('attachments', r.name, Object.fromEntries(r.attachments));
+}
+
+// ルームで使っている添付ファイルの合計サイズ
+function attachmentBytes(r) {
+  let total = 0;
+  for (const att of r.attachments.values()) total += att.size;
+  return total;
+}
+
+// 参加者がアップロードしてまだ添付していないファイルの合計サイズ
+function pendingBytes(r, id) {
+  let total = 0;
+  for (const att of r.attachments.values()) {
+    if (att.from === id && referencedBy(r, att.id).length === 0) total += att.size;
+  }
+  return total;
+}
+
+// アップロードから ATTACHMENT_PENDING_MS 経っても添付されていないファイルを削除する
+function expireUploads(r, now) {
+  for (const att of [...r.attachments.values()]) {
+    if (now - att.time > ATTACHMENT_PENDING_MS) releaseAttachment(r, att.id);
+  }
+}
+
+// 同じ内容のファイルをまだどこかのルームが使っているか
+function blobInUse(hash) {
+  return Object.values(rooms).some((r) => [...r.attachments.values()].some((att) => att.hash === hash));
+}
+
+function referencedBy(r, id) {
+  return r.messages.filter((m) => m.attachment && m.attachment.id === id);
+}
+
+// どのメッセージからも参照されなくなった添付ファイルを削除する
+function releaseAttachment(r, id) {
+  const att = r.attachments.get(id);
+  if (!att || referencedBy(r, id).length > 0) return;
+  r.attachments.delete(id);
+  saveAttachments(r);
+  if (!blobInUse(att.hash)) blobs.remove(att.hash);
+}
+
+// メッセージに載せる添付ファイルの情報
+function attachmentInfo(att) {
+  return { id: att.id, name: att.name, type: att.type, size: att.size };
+}
+
+// アップロードした本人か、添付したメッセージが見える参加者だけが取得できる
+function canDownload(r, att, participantId) {
+  if (att.from === participantId) return true;
+  return referencedBy(r, att.id).some((m) => canSee(participantId, messageAudience(m)));
+}
+
+// 引用している返信の表示も元メッセージに合わせる
+function refreshQuotes(r, msg) {
+  for (const m of r.messages) {
+    if (m.replyTo && m.replyTo.id === msg.id) m.replyTo = replyQuote(msg);
+  }
+}
+
+function pushKey(room, endpoint) {
+  return hashKey(`${room}\n${endpoint}`);
+}
+
+function removePushSubscription(key) {
+  delete pushSubscriptions[key];
+  store.delete('push', key);
+}
+
+// 画面を開いていない参加者へプッシュ通知（@名前 で呼ばれた人にはメンションとして送る）
+function pushMessage(r, msg) {
+  for (const [key, sub] of Object.entries(pushSubscriptions)) {
+    if (sub.room !== r.name || sub.participantId === msg.from) continue;
+    if (msg.to && sub.participantId !== msg.to) continue;
+    const p = r.presence.get(sub.participantId);
+    if (p && p.connections > 0) continue;
+    const mention = !!msg.to || msg.text.includes(`@${sub.name}`);
+    const title = msg.to ? `${msg.name} さんからのダイレクトメッセージ（${r.name}）`
+      : mention ? `${msg.name} さんからのメンション（${r.name}）`
+        : `${msg.name}（${r.name}）`;
+    const payload = {
+      room: r.name,
+      title,
+      body: (msg.text || (msg.attachment ? `📎 ${msg.attachment.name}` : '')).slice(0, 200),
+      tag: `room:${r.name}`,
+      url: `/?room=${encodeURIComponent(r.name)}`,
+      mention,
+    };
+    sendPush(sub, payload, { urgency: mention ? 'high' : 'normal' })
+      .then(({ statusCode }) => {
+        // 購読が失効していたら捨てる
+        if (statusCode === 404 || statusCode === 410) removePushSubscription(key);
+      })
+      .catch((err) => {
+        // 鍵が使えない購読（以前のデータなど）も失効と同じく捨てる
+        if (err.code === 'INVALID_SUBSCRIPTION') removePushSubscription(key);
+        else console.error('push failed:', err.message);
+      });
+  }
+}
+
+// サーバからのお知らせ（到着・出発など）をチャットに流す
+function postSystemMessage(r, text) {
+  postMessage(r, { from: null, name: '', text, time: Date.now(), system: true });
+}
+
+// ゾーンを保存
+function saveZones(r) {
+  store.set('zones', r.name, Object.fromEntries(r.zones));
+}
+
+// 位置が含まれるゾーンIDの集合
+function zonesAt(r, pos) {
+  const ids = new Set();
+  for (const zone of r.zones.values()) {
+    if (insideZone(zone, pos)) ids.add(zone.id);
+  }
+  return ids;
+}
+
+// 位置更新をゾーンと照合し、出入りがあれば geofence イベントとお知らせを配信
+function checkGeofences(r, id, name, pos) {
+  const before = r.inside.get(id) || new Set();
+  const after = zonesAt(r, pos);
+  r.inside.set(id, after);
+  for (const zone of r.zones.values()) {
+    const entered = after.has(zone.id) && !before.has(zone.id);
+    const exited = before.has(zone.id) && !after.has(zone.id);
+    if (!entered && !exited) continue;
+    const transition = entered ? 'enter' : 'exit';
+    broadcast(r, 'geofence', { zoneId: zone.id, zoneName: zone.name, id, name, transition, time: Date.now() });
+    postSystemMessage(r, entered
+      ? `${name} さんが「${zone.name}」に到着しました`
+      : `${name} さんが「${zone.name}」を出発しました`);
+  }
+}
+
+// 集合場所ピンを保存
+function savePins(r) {
+  store.set('pins', r.name, Object.fromEntries(r.pins));
+}
+
+// 接続直後の状態（履歴・ゾーン・ピン・マーカー・在席状態）をまとめて送信
+function sendSnapshot(client, r) {
+  for (const m of r.messages) {
+    if (canSee(client.participantId, messageAudience(m))) sendEvent(client, 'message', m);
+  }
+  sendEvent(client, 'settings', { minPrecision: r.minPrecision });
+  sendEvent(client, 'roles', rolesInfo(r));
+  for (const zone of r.zones.values()) sendEvent(client, 'zone', zone);
+  for (const pin of r.pins.values()) sendEvent(client, 'pin', pin);
+  for (const [id, pos] of r.markers.entries()) {
+    sendEvent(client, 'location', { id, name: pos.name, lat: pos.lat, lon: pos.lon });
+  }
+  for (const [id, p] of r.presence) sendEvent(client, 'presence', presenceInfo(id, p));
+  // 以降の再接続はこの id から再開する
+  sendEvent(client, 'sync', { id: formatEventId(r.seq) }, r.seq);
+}
+
+// 接続を配信先に加え、再開できれば差分、できなければ全量を送ってオンラインにする
+// （SSE と WebSocket で共通。client には participantId と ip を設定しておく）
+function connectClient(r, client, auth, lastId, ownerKey) {
+  r.clients.add(client);
+  // ルームを作成した接続にだけオーナーキーを渡す
+  if (ownerKey) sendEvent(client, 'owner', { room: r.name, ownerKey });
+  if (Number.isInteger(lastId) && canResume(r, lastId)) {
+    for (const e of r.log) {
+      if (e.id > lastId && canSee(client.participantId, e.audience)) sendEvent(client, e.event, e.data, e.id);
+    }
+  } else {
+    // 差分を再送できない場合はクライアントに状態を破棄させてから全量を送る
+    if (Number.isInteger(lastId)) sendEvent(client, 'reset', {});
+    sendSnapshot(client, r);
+  }
+  // 再送の後でオンラインを通知する（再送分と重複させない）
+  // 名前のない接続（閲覧のみのスクリプト等）は在席管理の対象外
+  if (auth.name) {
+    updatePresence(r, auth.id, auth.name, (p, now) => {
+      p.remote = false;
+      p.connections++;
+      p.lastActive = now;
+      p.lastSeen = now;
+      p.state = 'online';
+    });
+  }
+}
+
+// 接続が閉じた：最後の接続ならオフライン（ログアウト済みなら何もしない）
+function disconnectClient(r, client, auth) {
+  r.clients.delete(client);
+  if (auth.name && r.presence.has(auth.id)) {
+    updatePresence(r, auth.id, auth.name, (p, now) => {
+      p.connections = Math.max(0, p.connections - 1);
+      p.lastSeen = now;
+      if (p.connections === 0) p.state = 'offline';
+    });
+  }
+}
+
+// 静的ファイル配信（public/ の中身。ETag・圧縮・キャッシュ指定は lib/static.js）
+const statics = createStaticHandler(PUBLIC_DIR);
+
+restore();
+
+if (process.env.VAPID_PUBLIC_KEY && process.env.VAPID_PRIVATE_KEY) {
+  vapidKeys = { publicKey: process.env.VAPID_PUBLIC_KEY, privateKey: process.env.VAPID_PRIVATE_KEY };
+} else if (!vapidKeys) {
+  vapidKeys = generateVapidKeys();
+  store.set('config', 'vapid', vapidKeys);
+}
+if (!instanceId) {
+  instanceId = randomToken(6);
+  store.set('config', 'instance', instanceId);
+}
+const sendPush = createPushSender({ keys: vapidKeys, subject: PUSH_SUBJECT });
+
+// 成功応答（POST は JSON、GET は従来どおりテキスト）
+function sendOk(req, res) {
+  if (req.method === 'POST') {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ ok: true }));
+  } else {
+    res.writeHead(200, { 'Content-Type': 'text/plain' }); res.end('ok');
+  }
+}
+
 const server = http.createServer((req, res) => {
   const url = new URL(req.url, `http://${req.headers.host}`);
   const pathname = url.pathname;
+  const query = Object.fromEntries(url.searchParams);
+  // どのルートにも当たらなかった応答は res.route = 'other' にして数える
+  res.on('finish', () => countResponse(res.route || routeLabel(pathname), res.statusCode));
+
+  // 死活監視：プロセスが応答できれば 200
+  if (pathname === '/healthz' && req.method === 'GET') {
+    res.writeHead(200, { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' });
+    res.end(JSON.stringify({ status: 'ok' }));
+    return;
+  }
+
+  // 受け入れ可否：待ち受け中で、ブローカーを使う場合はそれにも繋がっていれば 200、でなければ 503
+  if (pathname === '/readyz' && req.method === 'GET') {
+    const checks = { listening: server.listening, broker: broker.connected };
+    const ready = Object.values(checks).every(Boolean);
+    res.writeHead(ready ? 200 : 503, { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' });
+    res.end(JSON.stringify({ status: ready ? 'ok' : 'unavailable', checks }));
+    return;
+  }
+
+  // Prometheus 形式のメトリクス
+  if (pathname === '/metrics' && req.method === 'GET') {
+    res.writeHead(200, { 'Content-Type': metrics.contentType, 'Cache-Control': 'no-store' });
+    res.end(metrics.render());
+    return;
+  }
+
+  // 管理用：ルームごとの在席人数と最終アクティビティ（ADMIN_PASSWORD が必要）
+  if (pathname === '/admin/rooms' && req.method === 'GET') {
+    if (!ADMIN_PASSWORD) { sendError(res, 404, 'Not Found'); return; }
+    if (!checkAdminPassword(req)) { sendError(res, 401, 'Admin password required', { 'WWW-Authenticate': 'Basic realm="admin"' }); return; }
+    const list = Object.values(rooms).map((r) => ({
+      name: r.name,
+      participants: participantCount(r),
+      clients: r.clients.size,
+      messages: r.messages.length,
+      lastActivity: r.lastActivity,
+    }));
+    list.sort((a, b) => b.lastActivity - a.lastActivity);
+    res.writeHead(200, { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' });
+    res.end(JSON.stringify({ rooms: list }));
+    return;
+  }
 
   // ルーム一覧取得
   if (pathname === '/rooms' && req.method === 'GET') {
@@ -52,71 +1553,736 @@ const server = http.createServer((req, res) => {
     return;
   }
 
-  // メッセージ送信
-  if (pathname === '/message' && req.method === 'GET') {
+  // メッセージ送信（POST は JSON ボディ、GET は互換のためクエリ）
+  if (pathname === '/message' && (req.method === 'GET' || req.method === 'POST')) {
+    readParams(req, res, url, MESSAGE_SCHEMA, (params) => {
+      if (!rooms[params.room] && sessionToken(req, params)) { sendError(res, 401, 'Session expired or invalid'); return; }
+      // 最初の投稿がどのクライアントの接続より先でも履歴に残るようルームを作成する
+      const r = getOrCreateRoom(params.room, params.password);
+      const auth = authenticate(r, req, params);
+      if (!auth) { deny(res, req, params); return; }
+      const failure = acceptMessage(r, auth, params, clientIp(req));
+      if (failure) { sendFailure(res, failure); return; }
+      sendOk(req, res);
+    });
+    return;
+  }
+
+  // 自分のメッセージの編集
+  if (pathname === '/message/edit' && req.method === 'POST') {
+    readParams(req, res, url, MESSAGE_EDIT_SCHEMA, (params) => {
+      const r = rooms[params.room];
+      if (!r) { sendError(res, 404, 'Room not found'); return; }
+      const auth = authenticate(r, req, params);
+      if (!auth) { deny(res, req, params); return; }
+      if (rateLimited('chat', req, res, r, auth)) return;
+      const msg = findMessage(r, params.id, auth.id);
+      if (!msg || msg.deleted) { sendError(res, 404, 'Message not found'); return; }
+      if (msg.from !== auth.id) { sendError(res, 403, 'Only the sender can edit this message'); return; }
+      if (muted(res, r, auth)) return;
+      msg.text = params.text;
+      msg.editedAt = Date.now();
+      refreshQuotes(r, msg);
+      saveMessages(r);
+      broadcast(r, 'message-edit', { id: msg.id, text: msg.text, editedAt: msg.editedAt }, messageAudience(msg));
+      markActive(r, auth.id, auth.name);
+      sendOk(req, res);
+    });
+    return;
+  }
+
+  // 自分のメッセージの削除（履歴には削除済みとして残し、返信の引用も消す）
+  if (pathname === '/message/delete' && req.method === 'POST') {
+    readParams(req, res, url, MESSAGE_DELETE_SCHEMA, (params) => {
+      const r = rooms[params.room];
+      if (!r) { sendError(res, 404, 'Room not found'); return; }
+      const auth = authenticate(r, req, params);
+      if (!auth) { deny(res, req, params); return; }
+      if (rateLimited('chat', req, res, r, auth)) return;
+      const msg = findMessage(r, params.id, auth.id);
+      if (!msg || msg.deleted) { sendError(res, 404, 'Message not found'); return; }
+      if (msg.from !== auth.id) { sendError(res, 403, 'Only the sender can delete this message'); return; }
+      msg.text = '';
+      msg.deleted = true;
+      delete msg.reactions;
+      delete msg.pin;
+      const attachment = msg.attachment;
+      delete msg.attachment;
+      refreshQuotes(r, msg);
+      saveMessages(r);
+      if (attachment) releaseAttachment(r, attachment.id);
+      broadcast(r, 'message-delete', { id: msg.id }, messageAudience(msg));
+      markActive(r, auth.id, auth.name);
+      sendOk(req, res);
+    });
+    return;
+  }
+
+  // リアクションの追加・取り消し（同じ絵文字をもう一度送ると取り消す）
+  if (pathname === '/message/react' && req.method === 'POST') {
+    readParams(req, res, url, REACTION_SCHEMA, (params) => {
+      const r = rooms[params.room];
+      if (!r) { sendError(res, 404, 'Room not found'); return; }
+      const auth = authenticate(r, req, params);
+      if (!auth) { deny(res, req, params); return; }
+      if (rateLimited('chat', req, res, r, auth)) return;
+      if (muted(res, r, auth)) return;
+      if (!EMOJI_PATTERN.test(params.emoji)) { sendError(res, 400, 'emoji must be an emoji'); return; }
+      const msg = findMessage(r, params.id, auth.id);
+      if (!msg || msg.deleted) { sendError(res, 404, 'Message not found'); return; }
+      const reactions = msg.reactions || {};
+      const who = reactions[params.emoji] || [];
+      if (who.includes(auth.id)) {
+        reactions[params.emoji] = who.filter((id) => id !== auth.id);
+        if (reactions[params.emoji].length === 0) delete reactions[params.emoji];
+      } else {
+        if (!reactions[params.emoji] && Object.keys(reactions).length >= REACTION_KINDS_LIMIT) {
+          sendError(res, 400, 'Too many different reactions');
+          return;
+        }
+        reactions[params.emoji] = [...who, auth.id];
+      }
+      msg.reactions = reactions;
+      saveMessages(r);
+      broadcast(r, 'reaction', { id: msg.id, reactions }, messageAudience(msg));
+      markActive(r, auth.id, auth.name);
+      sendOk(req, res);
+    });
+    return;
+  }
+
+  // モデレーション（オーナーかモデレーターのみ）
+  if (pathname.startsWith('/moderation/') && req.method === 'POST') {
+    const action = pathname.slice('/moderation/'.length);
+    if (!['kick', 'ban', 'unban', 'mute', 'unmute', 'moderator'].includes(action)) { sendError(res, 404, 'Not found'); return; }
+    const schema = { unban: UNBAN_SCHEMA, moderator: MODERATOR_SCHEMA }[action] || MODERATION_SCHEMA;
+    readParams(req, res, url, schema, (params) => {
+      const r = rooms[params.room];
+      if (!r) { sendError(res, 404, 'Room not found'); return; }
+      const auth = authenticate(r, req, params);
+      if (!auth) { deny(res, req, params); return; }
+      if (!canModerate(r, params, auth)) { sendError(res, 403, 'Only the owner or moderators can do this'); return; }
+      const now = Date.now();
+
+      if (action === 'unban') {
+        const ban = r.bans.find((b) => b.id === params.ban);
+        if (!ban) { sendError(res, 404, 'Ban not found'); return; }
+        r.bans = r.bans.filter((b) => b !== ban);
+        saveModeration(r);
+        announceModeration(r, 'unban', { id: ban.participantId, name: ban.name }, auth, `${ban.name} さんの入室禁止を解除しました`);
+        sendOk(req, res);
+        return;
+      }
+
+      // 操作対象：自分とオーナーは対象にできず、モデレーターを対象にできるのはオーナーだけ
+      const name = knownName(r, params.participant);
+      if (name === null) { sendError(res, 404, 'Participant not found'); return; }
+      const target = { id: params.participant, name };
+      if (target.id === auth.id || isOwnerParticipant(r, target.id)) { sendError(res, 403, 'Cannot moderate this participant'); return; }
+      const owner = isOwner(r, params, auth);
+      if (r.moderators.has(target.id) && !owner) { sendError(res, 403, 'Only the owner can moderate a moderator'); return; }
+      const until = params.duration ? now + params.duration * 1000 : null;
+      const period = params.duration ? durationLabel(params.duration) : '';
+
+      if (action === 'kick') {
+        expel(r, target.id, target.name, { reason: 'kick' });
+        announceModeration(r, 'kick', target, auth, `${target.name} さんを退室させました`);
+      } else if (action === 'ban') {
+        const ip = params.ip ? addressOf(r, target.id) : null;
+        if (params.ip && ip === null) { sendError(res, 409, 'Participant is not connected, so their address is unknown'); return; }
+        const ban = { id: 'b_' + randomToken(6), participantId: target.id, name: target.name, ip, until, by: auth.id, time: now };
+        r.bans.push(ban);
+        saveModeration(r);
+        expel(r, target.id, target.name, { reason: 'ban', until });
+        announceModeration(r, 'ban', target, auth, `${target.name} さんを${period}入室禁止にしました`, { until, ban: ban.id });
+      } else if (action === 'mute') {
+        r.mutes.set(target.id, { name: target.name, until, by: auth.id });
+        saveModeration(r);
+        broadcast(r, 'roles', rolesInfo(r));
+        announceModeration(r, 'mute', target, auth, `${target.name} さんを${period}発言禁止にしました`, { until });
+      } else if (action === 'unmute') {
+        if (!r.mutes.delete(target.id)) { sendError(res, 404, 'Participant is not muted'); return; }
+        saveModeration(r);
+        broadcast(r, 'roles', rolesInfo(r));
+        announceModeration(r, 'unmute', target, auth, `${target.name} さんの発言禁止を解除しました`);
+      } else if (action === 'moderator') {
+        if (!owner) { sendError(res, 403, 'Only the owner can appoint moderators'); return; }
+        if (params.enabled) r.moderators.add(target.id);
+        else r.moderators.delete(target.id);
+        saveModeration(r);
+        broadcast(r, 'roles', rolesInfo(r));
+        announceModeration(r, params.enabled ? 'moderator' : 'unmoderator', target, auth,
+          params.enabled ? `${target.name} さんをモデレーターにしました` : `${target.name} さんのモデレーターを解除しました`);
+      }
+      sendOk(req, res);
+    });
+    return;
+  }
+
+  // モデレーションの状態（入室禁止の一覧はモデレーターにだけ見せ、IP は伏せる）
+  if (pathname === '/moderation' && req.method === 'GET') {
+    const r = rooms[query.room || ''];
+    if (!r) { sendError(res, 404, 'Room not found'); return; }
+    const auth = authenticate(r, req, query);
+    if (!auth) { deny(res, req, query); return; }
+    if (!canModerate(r, query, auth)) { sendError(res, 403, 'Only the owner or moderators can do this'); return; }
+    const bans = r.bans.filter((b) => inEffect(b)).map((b) => ({
+      id: b.id, participantId: b.participantId, name: b.name, byIp: b.ip !== null, until: b.until, time: b.time,
+    }));
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ ...rolesInfo(r), bans }));
+    return;
+  }
+
+  // 添付ファイルのアップロード（本文はファイルそのもの、ファイル名はクエリで渡す）
+  // 受け取りながらディスクへ書き込み、種類は中身から判定する
+  if (pathname === '/upload' && req.method === 'POST') {
+    const params = fromQuery(url.searchParams, UPLOAD_SCHEMA);
+    const reject = (status, message) => {
+      sendError(res, status, message, { Connection: 'close' });
+      req.resume();
+    };
+    const error = validate(params, UPLOAD_SCHEMA);
+    if (error) { reject(400, error); return; }
+    const r = rooms[params.room];
+    if (!r) { reject(404, 'Room not found'); return; }
+    const auth = authenticate(r, req, params);
+    if (!auth) { deny(res, req, params); req.resume(); return; }
+    if (rateLimited('chat', req, res, r, auth)) { req.resume(); return; }
+    const remaining = ROOM_ATTACHMENT_QUOTA - attachmentBytes(r);
+    const pendingRemaining = ATTACHMENT_PENDING_BYTES - pendingBytes(r, auth.id);
+    const declared = Number(req.headers['content-length']);
+    if (declared > ATTACHMENT_MAX_BYTES) { reject(413, `File must not exceed ${ATTACHMENT_MAX_BYTES} bytes`); return; }
+    if (declared > remaining) { reject(413, 'Room attachment quota exceeded'); return; }
+    if (declared > pendingRemaining) { reject(413, 'Too many files waiting to be posted'); return; }
+    const limit = Math.min(ATTACHMENT_MAX_BYTES, remaining, pendingRemaining);
+    blobs.write(req, limit).then(({ hash, size, type }) => {
+      // 同時に届いたアップロードで上限を超えていないか確かめ直す
+      const overQuota = size > ROOM_ATTACHMENT_QUOTA - attachmentBytes(r);
+      const overPending = size > ATTACHMENT_PENDING_BYTES - pendingBytes(r, auth.id);
+      if (size === 0 || overQuota || overPending || !rooms[r.name]) {
+        if (!blobInUse(hash)) blobs.remove(hash);
+        if (size === 0) sendError(res, 400, 'File must not be empty');
+        else if (!rooms[r.name]) sendError(res, 404, 'Room not found');
+        else if (overQuota) sendError(res, 413, 'Room attachment quota exceeded');
+        else sendError(res, 413, 'Too many files waiting to be posted');
+        return;
+      }
+      // パス区切りと制御文字は取り除いて表示名だけを残す
+      const name = path.basename(params.filename.replace(/\\/g, '/')).replace(/[\x00-\x1f\x7f]/g, '') || 'file';
+      const att = { id: 'a_' + randomToken(9), hash, name, type, size, from: auth.id, time: Date.now() };
+      r.attachments.set(att.id, att);
+      saveAttachments(r);
+      markActive(r, auth.id, auth.name);
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(attachmentInfo(att)));
+    }).catch((err) => {
+      if (res.headersSent) return;
+      if (err.code === 'FILE_TOO_LARGE') {
+        if (limit === ATTACHMENT_MAX_BYTES) reject(413, err.message);
+        else reject(413, limit === remaining ? 'Room attachment quota exceeded' : 'Too many files waiting to be posted');
+      } else if (!req.destroyed) {
+        sendError(res, 500, 'Failed to store file');
+      }
+    });
+    return;
+  }
+
+  // 添付ファイルのダウンロード（img 要素から読めるよう session はクエリでも受け付ける）
+  if (pathname.startsWith('/attachments/') && req.method === 'GET') {
+    const r = rooms[query.room || ''];
+    if (!r) { sendError(res, 404, 'Room not found'); return; }
+    const auth = authenticate(r, req, query);
+    if (!auth) { deny(res, req, query); return; }
+    // ID は URL に使える文字だけなのでデコードしない（不正なエスケープでも例外にならない）
+    const att = r.attachments.get(pathname.slice('/attachments/'.length));
+    if (!att || !canDownload(r, att, auth.id)) { sendError(res, 404, 'Attachment not found'); return; }
+    const file = blobs.path(att.hash);
+    fs.stat(file, (err) => {
+      if (err) { sendError(res, 404, 'Attachment not found'); return; }
+      // 内容が変わらないので ETag はハッシュそのもの
+      const etag = `"${att.hash}"`;
+      const headers = {
+        ETag: etag,
+        'Cache-Control': 'private, max-age=31536000, immutable',
+        'X-Content-Type-Options': 'nosniff',
+        'Content-Security-Policy': "default-src 'none'; sandbox",
+      };
+      if (req.headers['if-none-match'] === etag) {
+        res.writeHead(304, headers);
+        res.end();
+        return;
+      }
+      const disposition = INLINE_TYPES.has(att.type) ? 'inline' : 'attachment';
+      res.writeHead(200, {
+        ...headers,
+        'Content-Type': att.type,
+        'Content-Length': att.size,
+        'Content-Disposition': `${disposition}; filename*=UTF-8''${encodeURIComponent(att.name)}`,
+      });
+      fs.createReadStream(file).on('error', () => res.destroy()).pipe(res);
+    });
+    return;
+  }
+
+  // 位置情報送信
+  if (pathname === '/location' && (req.method === 'GET' || req.method === 'POST')) {
+    readParams(req, res, url, LOCATION_SCHEMA, (params) => {
+      if (!rooms[params.room] && sessionToken(req, params)) { sendError(res, 401, 'Session expired or invalid'); return; }
+      const r = getOrCreateRoom(params.room, params.password);
+      const auth = authenticate(r, req, params);
+      if (!auth) { deny(res, req, params); return; }
+      const failure = acceptLocation(r, auth, params, clientIp(req));
+      if (failure) { sendFailure(res, failure); return; }
+      sendOk(req, res);
+    });
+    return;
+  }
+
+  // ログアウト（マーカー削除）
+  if (pathname === '/logout' && (req.method === 'GET' || req.method === 'POST')) {
+    readParams(req, res, url, LOGOUT_SCHEMA, (params) => {
+      const r = rooms[params.room];
+      if (!r) { sendError(res, 403, 'Forbidden'); return; }
+      const auth = authenticate(r, req, params);
+      if (!auth) { deny(res, req, params); return; }
+      leaveRoom(r, auth);
+      if (req.method === 'POST') sendOk(req, res);
+      else { res.writeHead(204); res.end(); }
+    });
+    return;
+  }
+
+  // ルームの存在とパスワードの確認
+  if (pathname === '/checkRoom' && req.method === 'GET') {
     const room = url.searchParams.get('room') || '';
-    const pass = url.searchParams.get('password') || '';
-    const name = url.searchParams.get('name') || '';
-    const text = url.searchParams.get('text') || '';
     const r = rooms[room];
-    if (!r || r.password !== pass) { res.writeHead(403); res.end('Forbidden'); return; }
-    const msg = { name, text, time: Date.now() };
-    for (const client of r.clients) sseSend(client, 'message', msg);
-    res.writeHead(204); res.end(); return;
+    if (!r) { sendError(res, 404, 'Room not found'); return; }
+    const auth = authenticate(r, req, query);
+    if (!auth) { deny(res, req, query); return; }
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ room, hasOwner: !!r.ownerHash, isOwner: isOwner(r, query, auth), minPrecision: r.minPrecision }));
+    return;
   }
 
-  // 位置情報送信
-  if (pathname === '/location' && req.method === 'GET') {
+  // プッシュ通知用の VAPID 公開鍵
+  if (pathname === '/push/key' && req.method === 'GET') {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ publicKey: vapidKeys.publicKey }));
+    return;
+  }
+
+  // プッシュ通知の購読登録（ルームと参加者ごと。同じ端末の再登録は上書き）
+  if (pathname === '/push/subscribe' && req.method === 'POST') {
+    readParams(req, res, url, PUSH_SUBSCRIBE_SCHEMA, (params) => {
+      const r = rooms[params.room];
+      if (!r) { sendError(res, 404, 'Room not found'); return; }
+      const auth = authenticate(r, req, params);
+      if (!auth) { deny(res, req, params); return; }
+      let endpoint;
+      try { endpoint = new URL(params.endpoint); } catch { sendError(res, 400, 'endpoint must be a URL'); return; }
+      if (endpoint.protocol !== 'https:' && !(PUSH_ALLOW_INSECURE && endpoint.protocol === 'http:')) {
+        sendError(res, 400, 'endpoint must use https'); return;
+      }
+      // 使えない鍵は送信時の暗号化で失敗するので、ここで断る
+      const keyError = subscriptionKeyError(params.keys);
+      if (keyError) { sendError(res, 400, keyError); return; }
+      const key = pushKey(r.name, params.endpoint);
+      pushSubscriptions[key] = {
+        room: r.name,
+        participantId: auth.id,
+        name: auth.name,
+        endpoint: params.endpoint,
+        keys: { p256dh: params.keys.p256dh, auth: params.keys.auth },
+        createdAt: Date.now(),
+      };
+      store.set('push', key, pushSubscriptions[key]);
+      sendOk(req, res);
+    });
+    return;
+  }
+
+  // プッシュ通知の購読解除
+  if (pathname === '/push/unsubscribe' && req.method === 'POST') {
+    readParams(req, res, url, PUSH_UNSUBSCRIBE_SCHEMA, (params) => {
+      const r = rooms[params.room];
+      if (!r) { sendError(res, 404, 'Room not found'); return; }
+      const auth = authenticate(r, req, params);
+      if (!auth) { deny(res, req, params); return; }
+      removePushSubscription(pushKey(r.name, params.endpoint));
+      sendOk(req, res);
+    });
+    return;
+  }
+
+  // ゾーン一覧
+  if (pathname === '/zones' && req.method === 'GET') {
     const room = url.searchParams.get('room') || '';
-    const pass = url.searchParams.get('password') || '';
-    const name = url.searchParams.get('name') || '';
-    const lat  = parseFloat(url.searchParams.get('lat'));
-    const lon  = parseFloat(url.searchParams.get('lon'));
     const r = rooms[room];
-    if (!r || r.password !== pass) { res.writeHead(403); res.end('Forbidden'); return; }
-    if (!Number.isFinite(lat) || !Number.isFinite(lon)) { res.writeHead(400); res.end('Bad Request'); return; }
+    if (!r) { sendError(res, 404, 'Room not found'); return; }
+    if (!authenticate(r, req, query)) { deny(res, req, query); return; }
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify([...r.zones.values()]));
+    return;
+  }
 
-    r.markers.set(name, { lat, lon });
-    for (const client of r.clients) sseSend(client, 'location', { name, lat, lon });
-    res.writeHead(204); res.end(); return;
+  // ゾーン作成（円は lat/lon/radius、多角形は points で指定）
+  if (pathname === '/zones' && req.method === 'POST') {
+    readParams(req, res, url, ZONE_SCHEMA, (params) => {
+      const r = rooms[params.room];
+      if (!r) { sendError(res, 404, 'Room not found'); return; }
+      const auth = authenticate(r, req, params);
+      if (!auth) { deny(res, req, params); return; }
+      if (rateLimited('chat', req, res, r, auth)) return;
+      if (muted(res, r, auth)) return;
+      const id = 'z_' + randomToken(6);
+      let zone;
+      if (params.type === 'circle') {
+        if (params.lat === undefined || params.lon === undefined || params.radius === undefined) {
+          sendError(res, 400, 'circle requires lat, lon and radius'); return;
+        }
+        zone = { id, name: params.zoneName, type: 'circle', lat: params.lat, lon: params.lon, radius: params.radius };
+      } else if (params.type === 'polygon') {
+        if (!params.points) { sendError(res, 400, 'polygon requires points'); return; }
+        const points = params.points.map((p) => ({ lat: p.lat, lon: p.lon }));
+        zone = { id, name: params.zoneName, type: 'polygon', points };
+      } else {
+        sendError(res, 400, 'type must be circle or polygon'); return;
+      }
+      zone.createdBy = auth.id;
+      r.zones.set(id, zone);
+      saveZones(r);
+      // 作成時点で中にいる参加者には到着を通知しない
+      for (const [pid, pos] of r.markers) {
+        if (!insideZone(zone, pos)) continue;
+        if (!r.inside.has(pid)) r.inside.set(pid, new Set());
+        r.inside.get(pid).add(id);
+      }
+      broadcast(r, 'zone', zone);
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(zone));
+    });
+    return;
   }
 
-  // ログアウト（マーカー削除）
-  if (pathname === '/logout' && req.method === 'GET') {
+  // ゾーン削除（作成者またはオーナー）
+  if (pathname === '/zones/delete' && req.method === 'POST') {
+    readParams(req, res, url, ZONE_DELETE_SCHEMA, (params) => {
+      const r = rooms[params.room];
+      if (!r) { sendError(res, 404, 'Room not found'); return; }
+      const auth = authenticate(r, req, params);
+      if (!auth) { deny(res, req, params); return; }
+      if (rateLimited('chat', req, res, r, auth)) return;
+      const zone = r.zones.get(params.id);
+      if (!zone) { sendError(res, 404, 'Zone not found'); return; }
+      if (zone.createdBy !== auth.id && !isOwner(r, params, auth)) { sendError(res, 403, 'Forbidden'); return; }
+      r.zones.delete(zone.id);
+      saveZones(r);
+      for (const ids of r.inside.values()) ids.delete(zone.id);
+      broadcast(r, 'zone-remove', { id: zone.id });
+      sendOk(req, res);
+    });
+    return;
+  }
+
+  // 集合場所ピンの一覧
+  if (pathname === '/pins' && req.method === 'GET') {
+    const room = url.searchParams.get('room') || '';
+    const r = rooms[room];
+    if (!r) { sendError(res, 404, 'Room not found'); return; }
+    if (!authenticate(r, req, query)) { deny(res, req, query); return; }
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify([...r.pins.values()]));
+    return;
+  }
+
+  // ピン作成：チャットにもピンを参照するメッセージを流す
+  if (pathname === '/pins' && req.method === 'POST') {
+    readParams(req, res, url, PIN_SCHEMA, (params) => {
+      const r = rooms[params.room];
+      if (!r) { sendError(res, 404, 'Room not found'); return; }
+      const auth = authenticate(r, req, params);
+      if (!auth) { deny(res, req, params); return; }
+      if (rateLimited('chat', req, res, r, auth)) return;
+      if (muted(res, r, auth)) return;
+      const pin = {
+        id: 'w_' + randomToken(6),
+        title: params.title,
+        lat: params.lat,
+        lon: params.lon,
+        createdBy: auth.id,
+        createdByName: auth.name,
+        time: Date.now(),
+      };
+      r.pins.set(pin.id, pin);
+      savePins(r);
+      broadcast(r, 'pin', pin);
+      postMessage(r, { from: auth.id, name: auth.name, text: `集合場所「${pin.title}」を追加しました`, time: pin.time, pin: pin.id });
+      markActive(r, auth.id, auth.name);
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(pin));
+    });
+    return;
+  }
+
+  // ピンの名前変更・移動（メンバーなら誰でも）
+  if (pathname === '/pins/update' && req.method === 'POST') {
+    readParams(req, res, url, PIN_UPDATE_SCHEMA, (params) => {
+      const r = rooms[params.room];
+      if (!r) { sendError(res, 404, 'Room not found'); return; }
+      const auth = authenticate(r, req, params);
+      if (!auth) { deny(res, req, params); return; }
+      if (rateLimited('chat', req, res, r, auth)) return;
+      if (muted(res, r, auth)) return;
+      const pin = r.pins.get(params.id);
+      if (!pin) { sendError(res, 404, 'Pin not found'); return; }
+      if ((params.lat === undefined) !== (params.lon === undefined)) { sendError(res, 400, 'lat and lon must be given together'); return; }
+      if (params.title !== undefined) pin.title = params.title;
+      if (params.lat !== undefined) { pin.lat = params.lat; pin.lon = params.lon; }
+      savePins(r);
+      broadcast(r, 'pin', pin);
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(pin));
+    });
+    return;
+  }
+
+  // ピン削除（メンバーなら誰でも）
+  if (pathname === '/pins/delete' && req.method === 'POST') {
+    readParams(req, res, url, PIN_DELETE_SCHEMA, (params) => {
+      const r = rooms[params.room];
+      if (!r) { sendError(res, 404, 'Room not found'); return; }
+      const auth = authenticate(r, req, params);
+      if (!auth) { deny(res, req, params); return; }
+      if (rateLimited('chat', req, res, r, auth)) return;
+      if (!r.pins.delete(params.id)) { sendError(res, 404, 'Pin not found'); return; }
+      savePins(r);
+      broadcast(r, 'pin-remove', { id: params.id });
+      sendOk(req, res);
+    });
+    return;
+  }
+
+  // 移動軌跡のエクスポート（participant 指定でその参加者のみ、format は geojson / gpx）
+  if (pathname === '/tracks' && req.method === 'GET') {
+    const room = url.searchParams.get('room') || '';
+    const r = rooms[room];
+    if (!r) { sendError(res, 404, 'Room not found'); return; }
+    const auth = authenticate(r, req, query);
+    if (!auth) { deny(res, req, query); return; }
+    const participant = url.searchParams.get('participant') || '';
+    if (participant && !r.tracks.has(participant)) { sendError(res, 404, 'Track not found'); return; }
+    const format = url.searchParams.get('format') || 'geojson';
+    const tracks = exportTracks(r, participant);
+    const filename = `${encodeURIComponent(room)}${participant ? '-' + participant : ''}`;
+    if (format === 'gpx') {
+      res.writeHead(200, {
+        'Content-Type': 'application/gpx+xml; charset=utf-8',
+        'Content-Disposition': `attachment; filename="${filename}.gpx"`,
+      });
+      res.end(toGpx(tracks));
+    } else if (format === 'geojson') {
+      res.writeHead(200, {
+        'Content-Type': 'application/geo+json',
+        'Content-Disposition': `attachment; filename="${filename}.geojson"`,
+      });
+      res.end(JSON.stringify(toGeoJSON(tracks)));
+    } else {
+      sendError(res, 400, 'format must be geojson or gpx');
+    }
+    return;
+  }
+
+  // ルーム削除（オーナーのみ）
+  if (pathname === '/deleteRoom' && req.method === 'GET') {
+    const room = url.searchParams.get('room') || '';
+    const r = rooms[room];
+    if (!r) { sendError(res, 404, 'Room not found'); return; }
+    const auth = authenticate(r, req, query);
+    if (!auth) { deny(res, req, query); return; }
+    if (!isOwner(r, query, auth)) { sendError(res, 403, 'Forbidden'); return; }
+    deleteRoom(r);
+    res.writeHead(200, { 'Content-Type': 'text/plain' }); res.end('deleted'); return;
+  }
+
+  // パスワード変更（オーナーのみ）：新しいパスワードは JSON ボディで受け取る
+  if (pathname === '/changePassword' && req.method === 'POST') {
+    const room = url.searchParams.get('room') || '';
+    const r = rooms[room];
+    if (!r) { sendError(res, 404, 'Room not found'); return; }
+    const auth = authenticate(r, req, query);
+    if (!auth) { deny(res, req, query); return; }
+    if (!isOwner(r, query, auth)) { sendError(res, 403, 'Forbidden'); return; }
+    readJson(req, res, (body) => {
+      const error = validate(body, PASSWORD_SCHEMA);
+      if (error) { sendError(res, 400, error); return; }
+      r.passwordHash = hashPassword(body.newPassword);
+      saveRoom(r);
+      res.writeHead(200, { 'Content-Type': 'text/plain' }); res.end('updated');
+    });
+    return;
+  }
+
+  // 位置情報の共有を止める（マーカーと在席状態は残さず、一覧には残す）
+  if (pathname === '/location/stop' && req.method === 'POST') {
+    readParams(req, res, url, LOGOUT_SCHEMA, (params) => {
+      const r = rooms[params.room];
+      if (!r) { sendError(res, 404, 'Room not found'); return; }
+      const auth = authenticate(r, req, params);
+      if (!auth) { deny(res, req, params); return; }
+      if (rateLimited('location', req, res, r, auth)) return;
+      if (r.markers.delete(auth.id)) saveMarkers(r);
+      r.inside.delete(auth.id);
+      broadcast(r, 'location-stop', { id: auth.id, name: auth.name });
+      sendOk(req, res);
+    });
+    return;
+  }
+
+  // ルーム設定の変更（オーナーのみ）：位置情報の最低精度
+  if (pathname === '/roomSettings' && req.method === 'POST') {
     const room = url.searchParams.get('room') || '';
-    const pass = url.searchParams.get('password') || '';
-    const name = url.searchParams.get('name') || '';
     const r = rooms[room];
-    if (!r || r.password !== pass) { res.writeHead(403); res.end('Forbidden'); return; }
-    r.markers.delete(name);
-    for (const client of r.clients) sseSend(client, 'remove', { name });
-    res.writeHead(204); res.end(); return;
+    if (!r) { sendError(res, 404, 'Room not found'); return; }
+    const auth = authenticate(r, req, query);
+    if (!auth) { deny(res, req, query); return; }
+    if (!isOwner(r, query, auth)) { sendError(res, 403, 'Forbidden'); return; }
+    readJson(req, res, (body) => {
+      const error = validate(body, SETTINGS_SCHEMA);
+      if (error) { sendError(res, 400, error); return; }
+      r.minPrecision = body.minPrecision;
+      saveRoom(r);
+      broadcast(r, 'settings', { minPrecision: r.minPrecision });
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ minPrecision: r.minPrecision }));
+    });
+    return;
+  }
+
+  // ログイン：パスワード（または入室チケット）を一度だけ確認してセッションを発行
+  if (pathname === '/login' && req.method === 'POST') {
+    readJson(req, res, (body) => {
+      const error = validate(body, LOGIN_SCHEMA);
+      if (error) { sendError(res, 400, error); return; }
+      const room = body.room.trim();
+      const name = body.name.trim();
+      if (!room || !name) { sendError(res, 400, 'room and name must not be blank'); return; }
+      let r = rooms[room];
+      let ownerKey = null;
+      if (!r) {
+        // create: false の場合は既存ルームのみ（ルーム削除前の確認など）
+        if (body.create === false) { sendError(res, 404, 'Room not found'); return; }
+        ownerKey = randomToken();
+        r = getOrCreateRoom(room, body.password, ownerKey);
+      } else {
+        const ok = body.ticket
+          ? checkTicket(r, body.ticket)
+          : verifyPassword(r, body.password || '');
+        if (!ok) { sendError(res, 403, 'Forbidden'); return; }
+      }
+      const owner = ownerKey ? true : checkOwnerKey(r, body.ownerKey);
+      const ban = ownerSession(r, { owner }) ? null : findBan(r, null, name, clientIp(req));
+      if (ban) { sendRestricted(res, 'banned', 'You are banned from this room', ban.until); return; }
+      const { token, session } = createSession(room, name, owner);
+      const result = { token, room, name, owner, participantId: session.participantId, expiresAt: session.expiresAt };
+      if (ownerKey) result.ownerKey = ownerKey;
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(result));
+    });
+    return;
   }
 
-  // 招待リンク生成
+  // セッションの確認（保存済みトークンでの再入室用）
+  if (pathname === '/session' && req.method === 'GET') {
+    const token = sessionToken(req, query);
+    const session = token ? getSession(token) : null;
+    if (!session || !rooms[session.room]) { sendError(res, 401, 'Session expired or invalid'); return; }
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({
+      room: session.room,
+      name: session.name,
+      owner: session.owner,
+      participantId: session.participantId,
+      expiresAt: session.expiresAt,
+    }));
+    return;
+  }
+
+  // 招待リンク生成（expiry: 有効時間[h], maxUses: 使用回数上限・0で無制限）
   if (pathname === '/invite/create' && req.method === 'GET') {
     const room = url.searchParams.get('room') || '';
     const pass = url.searchParams.get('password') || '';
-    let r = rooms[room];
-    if (!r) {
-      r = rooms[room] = { password: pass || '', clients: new Set(), markers: new Map(), messages: [] };
-    } else if (pass) {
-      r.password = pass;  // パスワード更新
-    }
-    const token = Math.random().toString(36).slice(2);
-    invites[token] = { room, password: r.password };
+    if (!room) { sendError(res, 400, 'Bad Request'); return; }
+    const expiry = url.searchParams.has('expiry') ? Number(url.searchParams.get('expiry')) : INVITE_DEFAULT_HOURS;
+    const maxUses = url.searchParams.has('maxUses') ? Number(url.searchParams.get('maxUses')) : 0;
+    if (!(expiry > 0 && expiry <= INVITE_MAX_HOURS) || !Number.isInteger(maxUses) || maxUses < 0) {
+      sendError(res, 400, 'Bad Request'); return;
+    }
+    // セッションやチケットは既存のルームにしか使えないので、断る前にルームを作らない
+    if (!rooms[room] && sessionToken(req, query)) { sendError(res, 401, 'Session expired or invalid'); return; }
+    if (!rooms[room] && query.ticket) { sendError(res, 403, 'Forbidden'); return; }
+    // 新規ルームなら作成者にオーナーキーを発行する
+    const ownerKey = rooms[room] ? null : randomToken();
+    // 既存ルームの招待はメンバーのみ作成できる
+    const r = getOrCreateRoom(room, pass, ownerKey);
+    if (!authenticate(r, req, query)) { deny(res, req, query); return; }
+    const token = randomToken();
+    const now = Date.now();
+    invites[token] = { room, createdAt: now, expiresAt: now + expiry * 60 * 60 * 1000, maxUses, uses: 0 };
+    store.set('invites', token, invites[token]);
+    counters.invitesCreated.inc();
     res.writeHead(200, { 'Content-Type': 'application/json' });
-    res.end(JSON.stringify({ link: `/invite?token=${token}` }));
+    const body = { ...inviteInfo(token, invites[token]), link: `/invite?token=${token}` };
+    if (ownerKey) body.ownerKey = ownerKey;
+    res.end(JSON.stringify(body));
     return;
   }
 
-  // 招待トークン引換（JSON）
-  if (pathname === '/invite/join' && req.method === 'GET') {
-    const token = url.searchParams.get('token');
+  // 有効な招待の一覧
+  if (pathname === '/invite/list' && req.method === 'GET') {
+    const room = url.searchParams.get('room') || '';
+    const r = rooms[room];
+    if (!r) { sendError(res, 403, 'Forbidden'); return; }
+    if (!authenticate(r, req, query)) { deny(res, req, query); return; }
+    const list = [];
+    for (const token of Object.keys(invites)) {
+      const info = activeInvite(token);
+      if (info && info.room === room) list.push(inviteInfo(token, info));
+    }
+    list.sort((a, b) => a.createdAt - b.createdAt);
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(list));
+    return;
+  }
+
+  // 招待の取り消し
+  if (pathname === '/invite/revoke' && req.method === 'GET') {
+    const room = url.searchParams.get('room') || '';
+    const token = url.searchParams.get('token') || '';
+    const r = rooms[room];
+    if (!r) { sendError(res, 403, 'Forbidden'); return; }
+    if (!authenticate(r, req, query)) { deny(res, req, query); return; }
     const info = invites[token];
-    if (!token || !info) { res.writeHead(404); res.end('Invalid token'); return; }
+    if (!info || info.room !== room) { sendError(res, 404, 'Invalid token'); return; }
+    revokeInvite(token);
+    res.writeHead(200, { 'Content-Type': 'text/plain' }); res.end('revoked'); return;
+  }
+
+  // 招待トークン引換（JSON）：パスワードの代わりに入室チケットを返す
+  if (pathname === '/invite/join' && req.method === 'GET') {
+    const token = url.searchParams.get('token') || '';
+    const info = activeInvite(token);
+    if (!info || !rooms[info.room]) { sendError(res, 404, 'Invalid token'); return; }
+    info.uses++;
+    store.set('invites', token, info);
+    const ticket = randomToken();
+    tickets[ticket] = { room: info.room, invite: token, expiresAt: Date.now() + TICKET_TTL_MS };
+    store.set('tickets', ticket, tickets[ticket]);
+    counters.invitesRedeemed.inc();
+    // 使い切った招待はここで破棄
+    activeInvite(token);
     res.writeHead(200, { 'Content-Type': 'application/json' });
-    res.end(JSON.stringify({ room: info.room, password: info.password }));
+    res.end(JSON.stringify({ room: info.room, ticket, expiresAt: tickets[ticket].expiresAt }));
     return;
   }
 
@@ -124,7 +2290,7 @@ const server = http.createServer((req, res) => {
   if (pathname === '/invite' && req.method === 'GET') {
     const accept = String(req.headers['accept'] || '');
     if (accept.includes('text/html')) {
-      serveStatic(path.join(__dirname, 'index.html'), res);
+      statics.serve(req, res, '/index.html');
       return;
     }
     // プログラムアクセスの場合は /invite/join へ
@@ -137,41 +2303,136 @@ const server = http.createServer((req, res) => {
   if (pathname === '/events' && req.method === 'GET') {
     const room = url.searchParams.get('room') || '';
     const pass = url.searchParams.get('password') || '';
-    let r = rooms[room];
-    if (!r) {
-      r = rooms[room] = { password: pass || '', clients: new Set(), markers: new Map(), messages: [] };
-    }
-    if (r.password !== pass) { res.writeHead(403); res.end('Forbidden'); return; }
+    const ownerKey = rooms[room] ? null : randomToken();
+    // セッションで接続する場合ルームはログイン時に作成済み
+    if (!rooms[room] && sessionToken(req, query)) { sendError(res, 401, 'Session expired or invalid'); return; }
+    const r = getOrCreateRoom(room, pass, ownerKey);
+    const auth = authenticate(r, req, query);
+    if (!auth) { deny(res, req, query); return; }
+    // 再接続時は Last-Event-ID（またはクエリ）以降の差分のみ送る
+    const lastId = parseEventId(req.headers['last-event-id'] || url.searchParams.get('lastEventId'));
     // ヘッダと接続
     res.writeHead(200, sseHeaders());
     res.write('\n');
-    r.clients.add(res);
-    req.on('close', () => {
-      r.clients.delete(res);
-    });
-    // 既存マーカーを初期送信
-    for (const [name, pos] of r.markers.entries()) {
-      sseSend(res, 'location', { name, lat: pos.lat, lon: pos.lon });
-    }
+    // ダイレクトメッセージの配信先を決めるため接続に参加者IDを覚えておく
+    res.participantId = auth.id;
+    // IP を指定した入室禁止のために接続元を覚えておく
+    res.ip = clientIp(req);
+    req.on('close', () => disconnectClient(r, res, auth));
+    connectClient(r, res, auth, lastId, ownerKey);
     return;
   }
 
-  // 静的ファイル: index.html, style.css, main.js
-  if (pathname === '/' || pathname === '/index.html') {
-    serveStatic(path.join(__dirname, 'index.html'), res); return;
-  }
-  if (pathname === '/style.css') {
-    serveStatic(path.join(__dirname, 'style.css'), res); return;
-  }
-  if (pathname === '/main.js') {
-    serveStatic(path.join(__dirname, 'main.js'), res); return;
-  }
+  // 静的ファイル（public/ にあるものだけ。?v= は HTML からの参照に付く内容のハッシュ）
+  if (statics.serve(req, res, pathname, url.searchParams.get('v'))) return;
 
   // それ以外は404
+  res.route = 'other';
   res.writeHead(404);
   res.end('Not Found');
 });
 
-server.listen(PORT, () => {
-  console.log('Server listening on', PORT);
+// WebSocket で受け付ける操作（type ごとのスキーマと処理）
+// 処理は HTTP の /message・/location・/logout と同じで、結果は reply イベントで返す
+const SOCKET_ACTIONS = {
+  message: { schema: MESSAGE_SCHEMA, run: acceptMessage },
+  location: { schema: LOCATION_SCHEMA, run: acceptLocation },
+  remove: { schema: LOGOUT_SCHEMA, run: (r, auth) => { leaveRoom(r, auth); return null; } },
+};
+
+// WebSocket で届いた操作 { type, ref, ...パラメータ } を処理し、ref を付けて結果を返す
+// 認証は接続時に済ませ、フレームごとにはセッションの期限と入室禁止だけを確かめる（ログアウトや入室禁止の後の操作は通さない）
+function receiveFrame(r, ws, auth, text) {
+  const reply = (ref, status, extra = {}) => sendEvent(ws, 'reply', { ref, status, ...extra });
+  let frame;
+  try {
+    frame = JSON.parse(text);
+  } catch {}
+  if (!frame || typeof frame !== 'object' || Array.isArray(frame)) {
+    reply(null, 400, { error: ERROR_CODES[400], message: 'Frame must be a JSON object' });
+    return;
+  }
+  const { type, ref = null, ...body } = frame;
+  const action = Object.prototype.hasOwnProperty.call(SOCKET_ACTIONS, type) ? SOCKET_ACTIONS[type] : null;
+  if (!action) { reply(ref, 400, { error: ERROR_CODES[400], message: 'Unknown type' }); return; }
+  // ルームは接続したルームに固定する
+  const params = { ...body, room: r.name };
+  const error = validate(params, action.schema);
+  if (error) { reply(ref, 400, { error: ERROR_CODES[400], message: error }); return; }
+  if (rooms[r.name] !== r || !stillAuthorized(r, auth, ws.ip)) {
+    const status = auth.session ? 401 : 403;
+    reply(ref, status, { error: ERROR_CODES[status], message: status === 401 ? 'Session expired or invalid' : 'Forbidden' });
+    ws.close(1008, 'Unauthorized');
+    return;
+  }
+  const failure = action.run(r, auth, params, ws.ip);
+  if (failure) {
+    const { status, ...rest } = failure;
+    reply(ref, status, { error: failure.error || ERROR_CODES[status], ...rest });
+    return;
+  }
+  reply(ref, 200, { ok: true });
+  // 退出した接続は閉じる
+  if (type === 'remove') ws.close(1000);
+}
+
+// WebSocket: /ws（/events と同じイベントを送り、message / location / remove を受け取る）
+server.on('upgrade', (req, socket, head) => {
+  const url = new URL(req.url, `http://${req.headers.host}`);
+  const query = Object.fromEntries(url.searchParams);
+  const refuse = (status, message) => {
+    countResponse(url.pathname === '/ws' ? '/ws' : 'other', status);
+    rejectUpgrade(socket, status, { error: ERROR_CODES[status] || 'error', message });
+  };
+  if (url.pathname !== '/ws') { refuse(404, 'Not Found'); return; }
+  const invalid = handshakeError(req);
+  if (invalid) { refuse(400, invalid); return; }
+  const room = url.searchParams.get('room') || '';
+  if (!room) { refuse(400, 'room is required'); return; }
+  const ownerKey = rooms[room] ? null : randomToken();
+  // 認証と入室は /events と同じ
+  if (!rooms[room] && sessionToken(req, query)) { refuse(401, 'Session expired or invalid'); return; }
+  const r = getOrCreateRoom(room, url.searchParams.get('password') || '', ownerKey);
+  const auth = authenticate(r, req, query);
+  if (!auth) {
+    if (sessionToken(req, query)) refuse(401, 'Session expired or invalid');
+    else refuse(403, 'Forbidden');
+    return;
+  }
+  const lastId = parseEventId(url.searchParams.get('lastEventId'));
+  const ws = upgrade(req, socket, head, { maxPayload: MAX_BODY_BYTES });
+  ws.transport = 'websocket';
+  ws.participantId = auth.id;
+  ws.ip = clientIp(req);
+  ws.on('close', () => disconnectClient(r, ws, auth));
+  ws.on('message', (text) => receiveFrame(r, ws, auth, text));
+  connectClient(r, ws, auth, lastId, ownerKey);
+});
+
+// ハートビートと在席状態の定期処理（プロセス終了を妨げないよう unref）
+const presenceTimer = setInterval(sweepPresence, HEARTBEAT_MS);
+presenceTimer.unref();
+// 通し番号の定期保存
+const seqTimer = setInterval(saveSeq, SEQ_SAVE_MS);
+seqTimer.unref();
+server.on('close', () => {
+  clearInterval(presenceTimer);
+  clearInterval(seqTimer);
+  saveSeq();
+  broker.close();
 });
+
+if (require.main === module) {
+  server.listen(PORT, () => {
+    console.log('Server listening on', server.address().port);
+  });
+  // 終了前に通し番号を保存してから、既定の動作で終了する
+  for (const signal of ['SIGINT', 'SIGTERM']) {
+    process.once(signal, () => {
+      saveSeq();
+      process.kill(process.pid, signal);
+    });
+  }
+}
+
+module.exports = server;
@@ -0,0 +1,152 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Small limits so the size and quota checks are easy to reach
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'kotachat-attachments-'));
+process.env.ATTACHMENT_DIR = dir;
+process.env.ATTACHMENT_MAX_BYTES = '1000';
+process.env.ROOM_ATTACHMENT_QUOTA = '2500';
+const server = require('../server');
+const { sniffMime } = require('../lib/attachments');
+
+let listener;
+let port;
+
+test.before(async () => {
+  await new Promise((resolve) => {
+    listener = server.listen(0, () => {
+      port = listener.address().port;
+      resolve();
+    });
+  });
+});
+
+test.after(() => new Promise((resolve) => listener.close(resolve)));
+
+const PNG = Buffer.concat([Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]), Buffer.alloc(100, 1)]);
+
+test('file types are sniffed from their content', () => {
+  assert.equal(sniffMime(PNG), 'image/png');
+  assert.equal(sniffMime(Buffer.from([0xff, 0xd8, 0xff, 0xe0])), 'image/jpeg');
+  assert.equal(sniffMime(Buffer.from('RIFF\0\0\0\0WEBPVP8 ')), 'image/webp');
+  assert.equal(sniffMime(Buffer.from('%PDF-1.7')), 'application/pdf');
+  assert.equal(sniffMime(Buffer.from('\0\0\0\x18ftypmp42')), 'video/mp4');
+  assert.equal(sniffMime(Buffer.from('こんにちは\n')), 'text/plain');
+  // HTML is not trusted as HTML: it is only ever served as text or a download
+  assert.equal(sniffMime(Buffer.from('<html><script>alert(1)</script>')), 'text/plain');
+  assert.equal(sniffMime(Buffer.from([0, 1, 2, 3])), 'application/octet-stream');
+});
+
+test('attachments are uploaded, limited, shared through messages and released', async () => {
+  const base = `http://localhost:${port}`;
+  const login = async (name) => (await fetch(`${base}/login`, {
+    method: 'POST',
+    body: JSON.stringify({ room: 'files', name, password: 'pass' }),
+  })).json();
+  const alice = await login('Alice');
+  const bob = await login('Bob');
+  const carol = await login('Carol');
+  const upload = (who, filename, body, headers = {}) => fetch(`${base}/upload?room=files&filename=${encodeURIComponent(filename)}`, {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${who.token}`, ...headers },
+    body,
+    duplex: 'half',
+  });
+  const post = (who, body) => fetch(`${base}/message`, {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${who.token}` },
+    body: JSON.stringify({ room: 'files', ...body }),
+  });
+  const download = (who, id, headers = {}) => fetch(`${base}/attachments/${id}?room=files&session=${who.token}`, { headers });
+  const hash = crypto.createHash('sha256').update(PNG).digest('hex');
+
+  // The declared type and the path in the file name are ignored
+  let res = await upload(alice, '../../photo.png', PNG, { 'Content-Type': 'text/html' });
+  assert.equal(res.status, 200);
+  const photo = await res.json();
+  assert.match(photo.id, /^a_/);
+  assert.deepEqual(photo, { id: photo.id, name: 'photo.png', type: 'image/png', size: PNG.length });
+  assert.ok(fs.existsSync(path.join(dir, hash.slice(0, 2), hash)));
+
+  // Identical content is stored once
+  res = await upload(alice, 'copy.png', PNG);
+  const copy = await res.json();
+  assert.notEqual(copy.id, photo.id);
+  assert.deepEqual(fs.readdirSync(path.join(dir, hash.slice(0, 2))), [hash]);
+
+  res = await upload(alice, 'big.bin', Buffer.alloc(1001));
+  assert.equal(res.status, 413);
+  // Without a Content-Length the limit applies while streaming
+  const chunked = new ReadableStream({
+    start(controller) {
+      for (let i = 0; i < 3; i++) controller.enqueue(new Uint8Array(600));
+      controller.close();
+    },
+  });
+  res = await upload(alice, 'stream.bin', chunked);
+  assert.equal(res.status, 413);
+  assert.equal(fs.readdirSync(dir).filter((f) => f.startsWith('.upload-')).length, 0);
+  assert.equal((await upload(alice, 'empty.txt', Buffer.alloc(0))).status, 400);
+  assert.equal((await fetch(`${base}/upload?room=files&filename=x`, { method: 'POST', body: 'x' })).status, 403);
+
+  // Only the uploader can see an attachment until it is posted
+  assert.equal((await download(alice, photo.id)).status, 200);
+  assert.equal((await download(bob, photo.id)).status, 404);
+  assert.equal((await post(bob, { attachment: photo.id })).status, 404);
+  assert.equal((await post(alice, { attachment: photo.id })).status, 200);
+  res = await download(bob, photo.id);
+  assert.equal(res.status, 200);
+  assert.equal(res.headers.get('content-type'), 'image/png');
+  assert.equal(res.headers.get('content-disposition'), "inline; filename*=UTF-8''photo.png");
+  assert.equal(res.headers.get('x-content-type-options'), 'nosniff');
+  assert.deepEqual(Buffer.from(await res.arrayBuffer()), PNG);
+  res = await download(bob, photo.id, { 'If-None-Match': res.headers.get('etag') });
+  assert.equal(res.status, 304);
+
+  // Attachments in direct messages stay between the two participants
+  res = await upload(alice, 'notes.txt', Buffer.from('meet at the north gate'));
+  const notes = await res.json();
+  assert.equal(notes.type, 'text/plain');
+  // Bob has to be in the room (sharing a location) to receive a direct message
+  await fetch(`${base}/location`, {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${bob.token}` },
+    body: JSON.stringify({ room: 'files', lat: 1, lon: 2 }),
+  });
+  assert.equal((await post(alice, { text: 'for you', attachment: notes.id, to: bob.participantId })).status, 200);
+  res = await download(bob, notes.id);
+  assert.equal(res.headers.get('content-disposition'), "attachment; filename*=UTF-8''notes.txt");
+  assert.equal((await download(carol, notes.id)).status, 404);
+  // A malformed escape in the id is just an unknown attachment
+  assert.equal((await download(alice, '%E0%A4%A')).status, 404);
+  assert.equal((await download(alice, encodeURIComponent(notes.id))).status, 200);
+
+  // Two more files bring the room close to its 2500-byte quota
+  for (let i = 0; i < 2; i++) assert.equal((await upload(bob, `fill${i}.bin`, crypto.randomBytes(1000))).status, 200);
+  res = await upload(bob, 'over.bin', crypto.randomBytes(500));
+  assert.equal(res.status, 413);
+  assert.equal((await res.json()).message, 'Room attachment quota exceeded');
+
+  // Deleting the message frees the attachment, but the shared content stays for the copy
+  const stream = await fetch(`${base}/events?room=files&session=${alice.token}`);
+  const reader = stream.body.getReader();
+  let buf = '';
+  while (!buf.includes('event: sync')) buf += new TextDecoder().decode((await reader.read()).value);
+  reader.cancel();
+  const [, posted] = buf.match(new RegExp(`event: message\\ndata: (.*"attachment":\\{"id":"${photo.id}".*)\\n`));
+  const msg = JSON.parse(posted);
+  assert.equal(msg.text, '');
+  assert.deepEqual(msg.attachment, photo);
+  assert.equal((await fetch(`${base}/message/delete`, {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${alice.token}` },
+    body: JSON.stringify({ room: 'files', id: msg.id }),
+  })).status, 200);
+  assert.equal((await download(alice, photo.id)).status, 404);
+  assert.ok(fs.existsSync(path.join(dir, hash.slice(0, 2), hash)));
+  assert.equal((await download(alice, copy.id)).status, 200);
+});
@@ -0,0 +1,220 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const net = require('net');
+const path = require('path');
+const { spawn } = require('child_process');
+const { createMemoryBroker, createRedisBroker } = require('../lib/broker');
+const { createBrokerServer } = require('../lib/broker-server');
+const { eventually, sseReader } = require('./helpers');
+
+let brokerServer;
+let brokerUrl;
+const children = [];
+
+test.before(async () => {
+  brokerServer = createBrokerServer();
+  await new Promise((resolve) => brokerServer.listen(0, '127.0.0.1', resolve));
+  brokerUrl = `redis://127.0.0.1:${brokerServer.address().port}`;
+});
+
+test.after(async () => {
+  for (const child of children) child.kill();
+  await new Promise((resolve) => brokerServer.close(resolve));
+});
+
+// Starts `node server.js` on a free port with the given environment and resolves with its base URL
+function startInstance(env) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, [path.join(__dirname, '..', 'server.js')], {
+      env: { ...process.env, PORT: '0', DATA_FILE: '', ...env },
+      stdio: ['ignore', 'pipe', 'inherit'],
+    });
+    children.push(child);
+    child.on('error', reject);
+    let out = '';
+    child.stdout.on('data', (chunk) => {
+      out += chunk;
+      const m = out.match(/Server listening on (\d+)/);
+      if (m) resolve(`http://127.0.0.1:${m[1]}`);
+    });
+  });
+}
+
+test('the memory broker delivers within the process', () => {
+  const broker = createMemoryBroker();
+  const got = [];
+  const off = broker.subscribe('c', (m) => got.push(m));
+  broker.publish('c', { n: 1 });
+  broker.publish('other', { n: 2 });
+  off();
+  broker.publish('c', { n: 3 });
+  assert.deepEqual(got, [{ n: 1 }]);
+});
+
+test('the Redis broker talks to the bundled stand-in and reconnects after a restart', async () => {
+  const sockets = new Set();
+  brokerServer.on('connection', (socket) => sockets.add(socket));
+  const a = createRedisBroker(brokerUrl);
+  const b = createRedisBroker(brokerUrl);
+  const got = [];
+  b.subscribe('room-events', (m) => got.push(m));
+  await eventually(() => a.connected && brokerServer.subscribers('room-events') === 1);
+  // Published before and after the subscription is ready, in order
+  a.publish('room-events', { text: 'こんにちは', n: 1 });
+  a.publish('room-events', { text: 'line\r\nbreak', n: 2 });
+  await eventually(() => got.length === 2);
+  assert.deepEqual(got, [{ text: 'こんにちは', n: 1 }, { text: 'line\r\nbreak', n: 2 }]);
+
+  // Both connections come back after the broker restarts, and subscriptions are renewed
+  const { port } = brokerServer.address();
+  await new Promise((resolve) => {
+    brokerServer.close(resolve);
+    for (const socket of sockets) socket.destroy();
+  });
+  await eventually(() => !a.connected && !b.connected);
+  brokerServer = createBrokerServer();
+  await new Promise((resolve) => brokerServer.listen(port, '127.0.0.1', resolve));
+  await eventually(() => a.connected && brokerServer.subscribers('room-events') === 1);
+  a.publish('room-events', { n: 3 });
+  await eventually(() => got.length === 3);
+  assert.deepEqual(got[2], { n: 3 });
+  a.close();
+  b.close();
+});
+
+test('the Redis broker is ready only after AUTH succeeds and backs off after errors', async () => {
+  // A server that answers AUTH as told: holds the reply, accepts, or refuses
+  let answer = 'hold';
+  const attempts = [];
+  const held = [];
+  const fake = net.createServer((socket) => {
+    attempts.push(Date.now());
+    socket.on('error', () => {});
+    socket.once('data', () => {
+      if (answer === 'hold') held.push(socket);
+      else socket.write(answer === 'ok' ? '+OK\r\n' : '-ERR invalid password\r\n');
+    });
+  });
+  await new Promise((resolve) => fake.listen(0, '127.0.0.1', resolve));
+  const broker = createRedisBroker(`redis://:secret@127.0.0.1:${fake.address().port}`);
+  await eventually(() => held.length === 2);
+  await new Promise((resolve) => setTimeout(resolve, 50));
+  assert.equal(broker.connected, false);
+  for (const socket of held) socket.write('+OK\r\n');
+  await eventually(() => broker.connected);
+
+  // Refused logins are retried with a growing delay and never count as connected
+  answer = 'error';
+  attempts.length = 0;
+  for (const socket of held) socket.destroy();
+  await eventually(() => attempts.length >= 6);
+  assert.equal(broker.connected, false);
+  // Two connections per attempt: the gaps between attempts keep growing
+  const starts = attempts.filter((t, i) => i % 2 === 0);
+  assert.ok(starts[2] - starts[1] > (starts[1] - starts[0]) * 1.5, `gaps ${starts[1] - starts[0]}, ${starts[2] - starts[1]}`);
+  broker.close();
+  await new Promise((resolve) => fake.close(resolve));
+});
+
+test('the Redis broker survives a peer that does not speak RESP', async () => {
+  // For example BROKER_URL pointing at an HTTP port
+  const attempts = [];
+  const fake = net.createServer((socket) => {
+    attempts.push(Date.now());
+    socket.on('error', () => {});
+    socket.resume();
+    socket.write('HTTP/1.1 400 Bad Request\r\nConnection: close\r\n\r\n');
+  });
+  await new Promise((resolve) => fake.listen(0, '127.0.0.1', resolve));
+  const broker = createRedisBroker(`redis://127.0.0.1:${fake.address().port}`);
+  broker.subscribe('room-events', () => {});
+  broker.publish('room-events', { n: 1 });
+  // Both connections are dropped and retried after a delay
+  await eventually(() => attempts.length >= 4);
+  assert.equal(broker.connected, false);
+  assert.ok(attempts[3] - attempts[0] >= 400);
+  broker.close();
+  await new Promise((resolve) => fake.close(resolve));
+});
+
+test('two instances share rooms, sessions and events through the broker', async () => {
+  const env = { BROKER_URL: brokerUrl, BROKER_CHANNEL: 'instances' };
+  const [a, b] = await Promise.all([
+    startInstance({ ...env, INSTANCE_ID: 'a' }),
+    startInstance({ ...env, INSTANCE_ID: 'b' }),
+  ]);
+  await eventually(() => brokerServer.subscribers('instances') === 2);
+  // Both report ready once the broker connection is up
+  await eventually(async () => (await fetch(`${a}/readyz`)).status === 200 && (await fetch(`${b}/readyz`)).status === 200);
+
+  const login = async (base, name, extra = {}) => (await fetch(`${base}/login`, {
+    method: 'POST',
+    body: JSON.stringify({ room: 'shared', name, password: 'pass', ...extra }),
+  })).json();
+  const post = (base, who, route, body) => fetch(`${base}${route}`, {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${who.token}` },
+    body: JSON.stringify({ room: 'shared', ...body }),
+  });
+
+  // The room created on A exists on B with the same password
+  const alice = await login(a, 'Alice');
+  assert.equal(alice.owner, true);
+  await eventually(async () => (await (await fetch(`${b}/rooms`)).json()).includes('shared'));
+  const bob = await login(b, 'Bob');
+  assert.ok(bob.token);
+  assert.equal((await fetch(`${b}/login`, {
+    method: 'POST',
+    body: JSON.stringify({ room: 'shared', name: 'Eve', password: 'wrong' }),
+  })).status, 403);
+
+  // Alice's session from A is accepted by B
+  const controller = new AbortController();
+  const aliceOnB = await eventually(async () => {
+    const res = await fetch(`${b}/events?room=shared&session=${alice.token}`, { signal: controller.signal });
+    return res.status === 200 ? res : null;
+  });
+  const bobOnB = sseReader(await fetch(`${b}/events?room=shared&session=${bob.token}`, { signal: controller.signal }));
+  await bobOnB.readUntil(/event: sync\n/);
+  const [, syncId] = bobOnB.buf.match(/id: (\S+)\nevent: sync/);
+  assert.match(syncId, /^b\.\d+$/);
+  aliceOnB.body.cancel();
+
+  // Messages and locations posted to A reach SSE clients on B
+  assert.equal((await post(a, alice, '/message', { text: 'hello from A', clientId: 'c1' })).status, 200);
+  const [, posted] = await bobOnB.readUntil(/event: message\ndata: (.*"text":"hello from A".*)\n/);
+  assert.equal(JSON.parse(posted).from, alice.participantId);
+  assert.equal((await post(a, alice, '/location', { lat: 35.6, lon: 139.7 })).status, 200);
+  await bobOnB.readUntil(/event: location\ndata: .*"lat":35.6/);
+
+  // Edits and direct messages keep working across instances
+  const msg = JSON.parse(posted);
+  assert.equal((await post(b, bob, '/message/react', { id: msg.id, emoji: '👍' })).status, 200);
+  assert.equal((await post(a, alice, '/message', { text: 'just for Bob', to: bob.participantId })).status, 200);
+  await bobOnB.readUntil(/"text":"just for Bob"/);
+  // The resent clientId is recognised on B too
+  assert.equal((await post(b, alice, '/message', { text: 'hello from A', clientId: 'c1' })).status, 200);
+
+  // A late joiner on B gets the state built on A in its snapshot
+  const carol = await login(b, 'Carol');
+  const late = sseReader(await fetch(`${b}/events?room=shared&session=${carol.token}`, { signal: controller.signal }));
+  const [snapshot] = await late.readUntil(/[\s\S]*event: sync\n/);
+  assert.equal(snapshot.match(/"text":"hello from A"/g).length, 1);
+  assert.match(snapshot, /"reactions":\{"👍":\[/);
+  assert.doesNotMatch(snapshot, /just for Bob/);
+  assert.match(snapshot, new RegExp(`event: location\\ndata: \\{"id":"${alice.participantId}".*"lat":35.6`));
+
+  // An event id issued by B is not resumed on A: A resets and sends everything
+  const resumed = sseReader(await fetch(`${a}/events?room=shared&session=${carol.token}`, {
+    signal: controller.signal,
+    headers: { 'Last-Event-ID': syncId },
+  }));
+  await resumed.readUntil(/event: reset\n[\s\S]*"text":"hello from A"[\s\S]*event: sync\n/);
+
+  // Deleting the room on A closes the streams on B
+  assert.equal((await fetch(`${a}/deleteRoom?room=shared&session=${alice.token}&ownerKey=${alice.ownerKey}`)).status, 200);
+  await bobOnB.readUntil(/event: deleted\n/);
+  await eventually(async () => !(await (await fetch(`${b}/rooms`)).json()).includes('shared'));
+  assert.equal((await post(b, bob, '/message', { text: 'anyone?' })).status, 401);
+  controller.abort();
+});
@@ -0,0 +1,51 @@
+// Shared helpers for the server tests (no tests of its own)
+
+// Polls until check() returns a truthy value
+async function eventually(check, timeout = 5000) {
+  const until = Date.now() + timeout;
+  for (;;) {
+    const value = await check();
+    if (value) return value;
+    if (Date.now() > until) throw new Error('condition not met in time');
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+}
+
+// Reads an SSE response. Everything received so far is kept in buf, which a test may clear.
+//   readUntil(pattern)  reads until buf contains the string or matches the RegExp, and returns the match
+//   take(pattern)       like readUntil, but also drops buf up to the end of the match
+//   untilEnd()          reads until the server closes the stream
+function sseReader(res) {
+  const reader = res.body.getReader();
+  const dec = new TextDecoder();
+  const stream = { buf: '', ended: false };
+  const find = (pattern) => {
+    if (typeof pattern !== 'string') return stream.buf.match(pattern);
+    const index = stream.buf.indexOf(pattern);
+    return index < 0 ? null : Object.assign([pattern], { index });
+  };
+  const read = async () => {
+    const { done, value } = await reader.read();
+    if (done) stream.ended = true;
+    else stream.buf += dec.decode(value, { stream: true });
+  };
+  stream.readUntil = async (pattern) => {
+    for (;;) {
+      const m = find(pattern);
+      if (m) return m;
+      if (stream.ended) throw new Error(`stream ended before ${pattern}`);
+      await read();
+    }
+  };
+  stream.take = async (pattern) => {
+    const m = await stream.readUntil(pattern);
+    stream.buf = stream.buf.slice(m.index + m[0].length);
+    return m;
+  };
+  stream.untilEnd = async () => {
+    while (!stream.ended) await read();
+  };
+  return stream;
+}
+
+module.exports = { eventually, sseReader };
@@ -0,0 +1,173 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createRegistry, createRateMeter } = require('../lib/metrics');
+
+process.env.ADMIN_PASSWORD = 'admin-secret';
+const server = require('../server');
+
+let listener;
+let port;
+
+test.before(async () => {
+  await new Promise((resolve) => {
+    listener = server.listen(0, () => {
+      port = listener.address().port;
+      resolve();
+    });
+  });
+});
+
+test.after(() => new Promise((resolve) => listener.close(resolve)));
+
+// Parses the Prometheus text format into { 'name{labels}': value }
+function parseMetrics(text) {
+  const values = {};
+  for (const line of text.split('\n')) {
+    if (!line || line.startsWith('#')) continue;
+    const i = line.lastIndexOf(' ');
+    values[line.slice(0, i)] = Number(line.slice(i + 1));
+  }
+  return values;
+}
+
+test('the registry renders counters, gauges and escaped labels', () => {
+  const registry = createRegistry();
+  const plain = registry.counter('demo_total', 'A counter');
+  const labeled = registry.counter('demo_errors_total', 'Errors\nby kind', { labeled: true });
+  registry.gauge('demo_rooms', 'Rooms', () => [[{ room: 'a"b\\c\nd' }, 2]]);
+  plain.inc();
+  plain.inc({}, 2);
+  labeled.inc({ kind: 'x' });
+  assert.equal(registry.render(), [
+    '# HELP demo_total A counter',
+    '# TYPE demo_total counter',
+    'demo_total 3',
+    '# HELP demo_errors_total Errors\\nby kind',
+    '# TYPE demo_errors_total counter',
+    'demo_errors_total{kind="x"} 1',
+    '# HELP demo_rooms Rooms',
+    '# TYPE demo_rooms gauge',
+    'demo_rooms{room="a\\"b\\\\c\\nd"} 2',
+    '',
+  ].join('\n'));
+});
+
+test('the rate meter averages over its window and forgets old seconds', () => {
+  const meter = createRateMeter(10);
+  const t = 1000000;
+  meter.mark(5, t);
+  meter.mark(5, t + 3000);
+  assert.equal(meter.perSecond(t + 3000), 1);
+  // The first second has left the window; its bucket is reused
+  assert.equal(meter.perSecond(t + 10000), 0.5);
+  meter.mark(2, t + 10000);
+  assert.equal(meter.perSecond(t + 10000), 0.7);
+});
+
+test('health and readiness', async () => {
+  const base = `http://localhost:${port}`;
+  const health = await fetch(`${base}/healthz`);
+  assert.equal(health.status, 200);
+  assert.deepEqual(await health.json(), { status: 'ok' });
+  const ready = await fetch(`${base}/readyz`);
+  assert.equal(ready.status, 200);
+  assert.deepEqual(await ready.json(), { status: 'ok', checks: { listening: true, broker: true } });
+});
+
+test('metrics count rooms, clients, messages, locations, invites and errors by route', async () => {
+  const base = `http://localhost:${port}`;
+  const scrape = async () => {
+    const res = await fetch(`${base}/metrics`);
+    assert.equal(res.status, 200);
+    assert.match(res.headers.get('content-type'), /^text\/plain; version=0\.0\.4/);
+    return parseMetrics(await res.text());
+  };
+  const before = await scrape();
+  assert.equal(before.kotachat_messages_total, 0);
+  assert.equal(before.kotachat_invites_created_total, 0);
+
+  const login = async (name) => (await fetch(`${base}/login`, {
+    method: 'POST',
+    body: JSON.stringify({ room: 'metered', name, password: 'pass' }),
+  })).json();
+  const alice = await login('Alice');
+  const post = (route, body) => fetch(`${base}${route}`, {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${alice.token}` },
+    body: JSON.stringify({ room: 'metered', ...body }),
+  });
+  const controller = new AbortController();
+  const stream = await fetch(`${base}/events?room=metered&session=${alice.token}`, { signal: controller.signal });
+  const reader = stream.body.getReader();
+  let buf = '';
+  while (!buf.includes('event: sync\n')) buf += new TextDecoder().decode((await reader.read()).value);
+
+  assert.equal((await post('/message', { text: 'one' })).status, 200);
+  assert.equal((await post('/message', { text: 'two' })).status, 200);
+  assert.equal((await post('/location', { lat: 35, lon: 139 })).status, 200);
+  // Errors are counted under the route they hit
+  assert.equal((await post('/message', {})).status, 400);
+  assert.equal((await fetch(`${base}/message`, { method: 'POST', body: JSON.stringify({ room: 'metered', text: 'x' }) })).status, 403);
+  assert.equal((await fetch(`${base}/attachments/abc?room=metered&session=${alice.token}`)).status, 404);
+  assert.equal((await fetch(`${base}/no/such/${Date.now()}`)).status, 404);
+  const invite = await (await fetch(`${base}/invite/create?room=metered&session=${alice.token}`)).json();
+  assert.equal((await fetch(`${base}/invite/join?token=${invite.token}`)).status, 200);
+
+  const after = await scrape();
+  assert.equal(after.kotachat_messages_total, 2);
+  assert.equal(after.kotachat_location_updates_total, 1);
+  assert.ok(after.kotachat_messages_per_second > 0);
+  assert.ok(after.kotachat_location_updates_per_second > 0);
+  assert.equal(after.kotachat_invites_created_total, 1);
+  assert.equal(after.kotachat_invites_redeemed_total, 1);
+  assert.equal(after['kotachat_clients{room="metered",transport="sse"}'], 1);
+  assert.ok(after.kotachat_rooms >= 1);
+  assert.ok(after.kotachat_active_rooms >= 1);
+  assert.equal(after.kotachat_broker_connected, 1);
+  assert.equal(after['kotachat_http_errors_total{route="/message",code="400"}'], 1);
+  assert.equal(after['kotachat_http_errors_total{route="/message",code="403"}'], 1);
+  assert.equal(after['kotachat_http_errors_total{route="/attachments/:id",code="404"}'], 1);
+  assert.equal(after['kotachat_http_errors_total{route="other",code="404"}'], 1);
+  controller.abort();
+});
+
+test('the admin endpoint lists rooms behind the admin password', async () => {
+  const base = `http://localhost:${port}`;
+  const login = async (room, name) => (await fetch(`${base}/login`, {
+    method: 'POST',
+    body: JSON.stringify({ room, name, password: 'pass' }),
+  })).json();
+  const bob = await login('admin-quiet', 'Bob');
+  await login('admin-busy', 'Carol');
+  const dave = await login('admin-busy', 'Dave');
+  const controller = new AbortController();
+  for (const [room, who] of [['admin-quiet', bob], ['admin-busy', dave]]) {
+    const stream = await fetch(`${base}/events?room=${room}&session=${who.token}`, { signal: controller.signal });
+    const reader = stream.body.getReader();
+    let buf = '';
+    while (!buf.includes('event: sync\n')) buf += new TextDecoder().decode((await reader.read()).value);
+  }
+  await fetch(`${base}/message`, {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${dave.token}` },
+    body: JSON.stringify({ room: 'admin-busy', text: 'hello' }),
+  });
+
+  const refused = await fetch(`${base}/admin/rooms`);
+  assert.equal(refused.status, 401);
+  assert.equal(refused.headers.get('www-authenticate'), 'Basic realm="admin"');
+  assert.equal((await fetch(`${base}/admin/rooms`, { headers: { Authorization: 'Bearer wrong' } })).status, 401);
+
+  const basic = `Basic ${Buffer.from('ops:admin-secret').toString('base64')}`;
+  const res = await fetch(`${base}/admin/rooms`, { headers: { Authorization: basic } });
+  assert.equal(res.status, 200);
+  const { rooms } = await res.json();
+  // Most recently active first
+  const names = rooms.map((r) => r.name);
+  assert.ok(names.indexOf('admin-busy') < names.indexOf('admin-quiet'));
+  const busy = rooms.find((r) => r.name === 'admin-busy');
+  assert.deepEqual({ ...busy, lastActivity: 0 }, { name: 'admin-busy', participants: 1, clients: 1, messages: 1, lastActivity: 0 });
+  assert.ok(Date.now() - busy.lastActivity < 5000);
+  assert.equal((await fetch(`${base}/admin/rooms`, { headers: { Authorization: 'Bearer admin-secret' } })).status, 200);
+  controller.abort();
+});
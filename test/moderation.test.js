@@ -0,0 +1,136 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const server = require('../server');
+const { sseReader } = require('./helpers');
+
+let listener;
+let port;
+
+test.before(async () => {
+  await new Promise((resolve) => {
+    listener = server.listen(0, () => {
+      port = listener.address().port;
+      resolve();
+    });
+  });
+});
+
+test.after(() => new Promise((resolve) => listener.close(resolve)));
+
+test('owner and moderators can mute, kick and ban participants', async () => {
+  const base = `http://localhost:${port}`;
+  const login = (name, ownerKey) => fetch(`${base}/login`, {
+    method: 'POST',
+    body: JSON.stringify({ room: 'mod', name, password: 'pass', ownerKey }),
+  });
+  const owner = await (await login('Owner')).json();
+  assert.equal(owner.owner, true);
+  const alice = await (await login('Alice')).json();
+  let mallory = await (await login('Mallory')).json();
+  const post = (who, path, body) => fetch(`${base}${path}`, {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${who.token}` },
+    body: JSON.stringify({ room: 'mod', ...body }),
+  });
+  const open = async (who) => {
+    const controller = new AbortController();
+    const stream = sseReader(await fetch(`${base}/events?room=mod&session=${who.token}`, { signal: controller.signal }));
+    stream.controller = controller;
+    await stream.readUntil(/event: sync\n/);
+    return stream;
+  };
+  const watcher = await open(owner);
+
+  // Only the owner can appoint moderators, and only moderators can moderate
+  assert.equal((await post(alice, '/moderation/mute', { participant: mallory.participantId })).status, 403);
+  assert.equal((await post(owner, '/moderation/moderator', { participant: alice.participantId, enabled: true })).status, 200);
+  await watcher.readUntil(new RegExp(`event: roles\\ndata: \\{"moderators":\\["${alice.participantId}"\\],"muted":\\[\\]\\}`));
+  assert.equal((await post(alice, '/moderation/mute', { participant: owner.participantId })).status, 403);
+  assert.equal((await post(alice, '/moderation/mute', { participant: 'p_nobody' })).status, 404);
+
+  // Mute: posting is refused until unmuted
+  assert.equal((await post(mallory, '/message', { text: 'spam' })).status, 200);
+  assert.equal((await post(alice, '/moderation/mute', { participant: mallory.participantId, duration: 600 })).status, 200);
+  await watcher.readUntil(/event: moderation\ndata: \{"action":"mute".*"until":\d+\}/);
+  await watcher.readUntil(/"text":"Mallory さんを10分間発言禁止にしました"/);
+  let res = await post(mallory, '/message', { text: 'more spam' });
+  assert.equal(res.status, 403);
+  assert.equal((await res.json()).error, 'muted');
+  // Pins, zones and reactions are refused too (pins also post to the chat)
+  for (const [route, body] of [
+    ['/pins', { title: 'spam', lat: 35, lon: 139 }],
+    ['/pins/update', { id: 'w_any', title: 'spam' }],
+    ['/zones', { zoneName: 'spam', type: 'circle', lat: 35, lon: 139, radius: 100 }],
+    ['/message/react', { id: 'm_any', emoji: '👍' }],
+  ]) {
+    res = await post(mallory, route, body);
+    assert.equal(res.status, 403, route);
+    assert.equal((await res.json()).error, 'muted', route);
+  }
+  assert.equal((await post(mallory, '/moderation/kick', { participant: alice.participantId })).status, 403);
+  assert.equal((await post(alice, '/moderation/unmute', { participant: mallory.participantId })).status, 200);
+  assert.equal((await post(mallory, '/message', { text: 'sorry' })).status, 200);
+
+  // Kick: the stream is closed and the session revoked, but logging in again works
+  const victim = await open(mallory);
+  assert.equal((await post(alice, '/moderation/kick', { participant: mallory.participantId })).status, 200);
+  await victim.readUntil(/event: kicked\ndata: \{"room":"mod","reason":"kick"\}/);
+  await victim.untilEnd();
+  await watcher.readUntil(new RegExp(`event: remove\\ndata: \\{"id":"${mallory.participantId}"`));
+  assert.equal((await post(mallory, '/message', { text: 'back?' })).status, 401);
+  mallory = await (await login('Mallory')).json();
+
+  // Ban by identity: the same nickname cannot come back until unbanned
+  assert.equal((await post(alice, '/moderation/ban', { participant: mallory.participantId, duration: 3600 })).status, 200);
+  res = await login('mallory');
+  assert.equal(res.status, 403);
+  const refused = await res.json();
+  assert.equal(refused.error, 'banned');
+  assert.ok(refused.until > Date.now());
+  assert.equal((await post(mallory, '/message', { text: 'x' })).status, 401);
+  const { bans } = await (await fetch(`${base}/moderation?room=mod`, { headers: { Authorization: `Bearer ${alice.token}` } })).json();
+  assert.equal(bans.length, 1);
+  assert.equal(bans[0].byIp, false);
+  assert.equal(bans[0].ip, undefined);
+  assert.equal((await post(alice, '/moderation/unban', { ban: bans[0].id })).status, 200);
+  assert.equal((await login('Mallory')).status, 200);
+
+  // Ban by address: any new nickname from the same IP is refused, moderators are not locked out
+  const eve = await (await login('Eve')).json();
+  assert.equal((await post(alice, '/moderation/ban', { participant: eve.participantId, ip: true })).status, 409);
+  const eveStream = await open(eve);
+  assert.equal((await post(alice, '/moderation/ban', { participant: eve.participantId, ip: true })).status, 200);
+  await eveStream.readUntil(/event: kicked\ndata: \{"room":"mod","reason":"ban","until":null\}/);
+  assert.equal((await login('Someone')).status, 403);
+  assert.equal((await post(alice, '/message', { text: 'still here' })).status, 200);
+  assert.equal((await login('Owner', owner.ownerKey)).status, 200);
+  watcher.controller.abort();
+});
+
+test('in a room without an owner everyone is owner, and can still be kicked or banned', async () => {
+  const base = `http://localhost:${port}`;
+  // The compatible GET form creates rooms nobody holds an owner key for
+  assert.equal((await fetch(`${base}/message?room=ownerless&name=Old&password=pass&text=hi`)).status, 200);
+  assert.equal((await (await fetch(`${base}/checkRoom?room=ownerless&password=pass`)).json()).hasOwner, false);
+  const login = (name) => fetch(`${base}/login`, {
+    method: 'POST',
+    body: JSON.stringify({ room: 'ownerless', name, password: 'pass' }),
+  });
+  const first = await (await login('First')).json();
+  const second = await (await login('Second')).json();
+  assert.equal(first.owner, true);
+  assert.equal(second.owner, true);
+  // Nobody is handed a key, so nobody can lock the others out of the room
+  assert.equal(first.ownerKey, undefined);
+  assert.equal((await (await fetch(`${base}/checkRoom?room=ownerless&password=pass`)).json()).hasOwner, false);
+
+  const post = (who, path, body) => fetch(`${base}${path}`, {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${who.token}` },
+    body: JSON.stringify({ room: 'ownerless', ...body }),
+  });
+  assert.equal((await post(first, '/moderation/kick', { participant: second.participantId })).status, 200);
+  const back = await (await login('Second')).json();
+  assert.equal((await post(first, '/moderation/ban', { participant: back.participantId })).status, 200);
+  assert.equal((await login('Second')).status, 403);
+});
@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// Short intervals so the sweep runs several times within a test
+process.env.HEARTBEAT_MS = '50';
+process.env.IDLE_AFTER_MS = '200';
+process.env.MARKER_TIMEOUT_MS = '300';
+const server = require('../server');
+const { sseReader } = require('./helpers');
+
+let listener;
+let port;
+
+test.before(async () => {
+  await new Promise((resolve) => {
+    listener = server.listen(0, () => {
+      port = listener.address().port;
+      resolve();
+    });
+  });
+});
+
+test.after(() => new Promise((resolve) => listener.close(resolve)));
+
+async function login(base, name) {
+  const res = await fetch(`${base}/login`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ room: 'presence', password: 'pass', name }),
+  });
+  assert.equal(res.status, 200);
+  return res.json();
+}
+
+function openStream(base, token) {
+  const controller = new AbortController();
+  let stream;
+  return {
+    controller,
+    async ready() {
+      const res = await fetch(`${base}/events?room=presence&session=${token}`, { signal: controller.signal });
+      assert.equal(res.status, 200);
+      stream = sseReader(res);
+    },
+    // Reads until the pattern appears and consumes the buffer up to the match
+    waitFor: (pattern) => stream.take(pattern),
+  };
+}
+
+test('presence goes online, idle and offline and stale markers are removed', async () => {
+  const base = `http://localhost:${port}`;
+  const alice = await login(base, 'Alice');
+  const obs = await login(base, 'Observer');
+
+  const watcher = openStream(base, obs.token);
+  await watcher.ready();
+  await watcher.waitFor(/event: ping\n/);
+
+  const stream = openStream(base, alice.token);
+  await stream.ready();
+  const id = alice.participantId;
+  await watcher.waitFor(new RegExp(`event: presence\\ndata: \\{"id":"${id}","name":"Alice","state":"online"`));
+
+  let res = await fetch(`${base}/location`, {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${alice.token}`, 'Content-Type': 'application/json' },
+    body: JSON.stringify({ room: 'presence', lat: 1, lon: 2 }),
+  });
+  assert.equal(res.status, 200);
+
+  // No activity for IDLE_AFTER_MS
+  await watcher.waitFor(new RegExp(`event: presence\\ndata: \\{"id":"${id}","name":"Alice","state":"idle"`));
+
+  // Closing the stream marks Alice offline, then the marker is dropped
+  stream.controller.abort();
+  const offline = await watcher.waitFor(new RegExp(`event: presence\\ndata: (\\{"id":"${id}","name":"Alice","state":"offline".*)`));
+  assert.ok(JSON.parse(offline[1]).lastSeen > 0);
+  await watcher.waitFor(new RegExp(`event: remove\\ndata: \\{"id":"${id}","name":"Alice"\\}`));
+
+  // A fresh connection no longer sees Alice at all
+  const late = openStream(base, obs.token);
+  await late.ready();
+  const snapshot = await late.waitFor(/([\s\S]*?)event: sync\n/);
+  assert.ok(!snapshot[1].includes(id));
+  late.controller.abort();
+  watcher.controller.abort();
+});
@@ -0,0 +1,177 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const http = require('http');
+
+// Subscriptions point at a local stand-in push service over plain http
+process.env.PUSH_ALLOW_INSECURE = '1';
+const { createPushSender, generateVapidKeys } = require('../lib/webpush');
+const server = require('../server');
+
+let listener;
+let port;
+let pushService;
+let pushPort;
+const deliveries = [];
+let nextStatus = 201;
+
+test.before(async () => {
+  await new Promise((resolve) => {
+    listener = server.listen(0, () => {
+      port = listener.address().port;
+      resolve();
+    });
+  });
+  pushService = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', (c) => chunks.push(c));
+    req.on('end', () => {
+      deliveries.push({ url: req.url, headers: req.headers, body: Buffer.concat(chunks) });
+      res.writeHead(nextStatus);
+      res.end();
+    });
+  });
+  await new Promise((resolve) => pushService.listen(0, resolve));
+  pushPort = pushService.address().port;
+});
+
+test.after(async () => {
+  await new Promise((resolve) => listener.close(resolve));
+  await new Promise((resolve) => pushService.close(resolve));
+});
+
+const hkdf = (salt, ikm, info, len) => Buffer.from(crypto.hkdfSync('sha256', ikm, salt, info, len));
+
+// Decrypts an aes128gcm push body the way a browser would
+function decrypt(body, ua, authSecret) {
+  const salt = body.subarray(0, 16);
+  const idlen = body[20];
+  const asPublic = body.subarray(21, 21 + idlen);
+  const data = body.subarray(21 + idlen);
+  const info = Buffer.concat([Buffer.from('WebPush: info\0'), ua.getPublicKey(), asPublic]);
+  const ikm = hkdf(authSecret, ua.computeSecret(asPublic), info, 32);
+  const cek = hkdf(salt, ikm, Buffer.from('Content-Encoding: aes128gcm\0'), 16);
+  const nonce = hkdf(salt, ikm, Buffer.from('Content-Encoding: nonce\0'), 12);
+  const decipher = crypto.createDecipheriv('aes-128-gcm', cek, nonce);
+  decipher.setAuthTag(data.subarray(data.length - 16));
+  const plain = Buffer.concat([decipher.update(data.subarray(0, data.length - 16)), decipher.final()]);
+  assert.equal(plain[plain.length - 1], 2);
+  return JSON.parse(plain.subarray(0, plain.length - 1).toString());
+}
+
+function verifyVapid(header, publicKey) {
+  const [, jwt, k] = header.match(/^vapid t=([^,]+), k=(.+)$/);
+  assert.equal(k, publicKey);
+  const [h, c, sig] = jwt.split('.');
+  const raw = Buffer.from(k, 'base64url');
+  const key = crypto.createPublicKey({
+    key: { kty: 'EC', crv: 'P-256', x: raw.subarray(1, 33).toString('base64url'), y: raw.subarray(33).toString('base64url') },
+    format: 'jwk',
+  });
+  const ok = crypto.verify('sha256', Buffer.from(`${h}.${c}`), { key, dsaEncoding: 'ieee-p1363' }, Buffer.from(sig, 'base64url'));
+  assert.ok(ok, 'VAPID signature must verify');
+  return JSON.parse(Buffer.from(c, 'base64url').toString());
+}
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+async function waitForDeliveries(n) {
+  for (let i = 0; i < 100 && deliveries.length < n; i++) await wait(20);
+  assert.equal(deliveries.length, n);
+}
+
+test('messages are pushed encrypted to subscribers who are not connected', async () => {
+  const base = `http://localhost:${port}`;
+  const login = async (name) => (await fetch(`${base}/login`, {
+    method: 'POST',
+    body: JSON.stringify({ room: 'push', name, password: 'pass' }),
+  })).json();
+  const alice = await login('Alice');
+  const bob = await login('Bob');
+  const post = (who, path, body) => fetch(`${base}${path}`, {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${who.token}` },
+    body: JSON.stringify({ room: 'push', ...body }),
+  });
+
+  const { publicKey } = await (await fetch(`${base}/push/key`)).json();
+  assert.equal(Buffer.from(publicKey, 'base64url').length, 65);
+
+  const ua = crypto.createECDH('prime256v1');
+  ua.generateKeys();
+  const authSecret = crypto.randomBytes(16);
+  const endpoint = `http://localhost:${pushPort}/sub/bob`;
+  let res = await post(bob, '/push/subscribe', {
+    endpoint,
+    keys: { p256dh: ua.getPublicKey().toString('base64url'), auth: authSecret.toString('base64url') },
+  });
+  assert.equal(res.status, 200);
+  res = await post(bob, '/push/subscribe', { endpoint: 'ftp://example.com/x', keys: { p256dh: 'a', auth: 'b' } });
+  assert.equal(res.status, 400);
+  res = await post(bob, '/push/subscribe', { endpoint, keys: { p256dh: 'a' } });
+  assert.equal(res.status, 400);
+  // Keys that cannot encrypt are refused up front
+  const goodKey = ua.getPublicKey().toString('base64url');
+  const offCurve = Buffer.alloc(65, 1);
+  offCurve[0] = 4;
+  for (const keys of [
+    { p256dh: 'abc', auth: authSecret.toString('base64url') },
+    { p256dh: offCurve.toString('base64url'), auth: authSecret.toString('base64url') },
+    { p256dh: ua.getPublicKey(null, 'compressed').toString('base64url'), auth: authSecret.toString('base64url') },
+    { p256dh: goodKey, auth: 'abc' },
+  ]) {
+    res = await post(bob, '/push/subscribe', { endpoint: `${endpoint}/bad`, keys });
+    assert.equal(res.status, 400, JSON.stringify(keys));
+  }
+
+  // The sender does not get their own message pushed
+  await post(bob, '/message', { text: 'my own' });
+  await post(alice, '/message', { text: 'hello @Bob' });
+  await waitForDeliveries(1);
+  const [delivery] = deliveries;
+  assert.equal(delivery.url, '/sub/bob');
+  assert.equal(delivery.headers['content-encoding'], 'aes128gcm');
+  assert.equal(delivery.headers.urgency, 'high');
+  const claims = verifyVapid(delivery.headers.authorization, publicKey);
+  assert.equal(claims.aud, `http://localhost:${pushPort}`);
+  const payload = decrypt(delivery.body, ua, authSecret);
+  assert.equal(payload.body, 'hello @Bob');
+  assert.equal(payload.mention, true);
+  assert.equal(payload.url, '/?room=push');
+
+  // While Bob has the room open, in-page notifications are used instead
+  const controller = new AbortController();
+  const stream = await fetch(`${base}/events?room=push&session=${bob.token}`, { signal: controller.signal });
+  const reader = stream.body.getReader();
+  let buf = '';
+  while (!buf.includes('event: sync')) buf += new TextDecoder().decode((await reader.read()).value);
+  await post(alice, '/message', { text: 'while open' });
+  await wait(100);
+  assert.equal(deliveries.length, 1);
+  controller.abort();
+  await wait(50);
+
+  // A gone subscription is dropped after the push service reports 410
+  nextStatus = 410;
+  await post(alice, '/message', { text: 'after close' });
+  await waitForDeliveries(2);
+  assert.equal(decrypt(deliveries[1].body, ua, authSecret).mention, false);
+  await post(alice, '/message', { text: 'no one listening' });
+  await wait(100);
+  assert.equal(deliveries.length, 2);
+
+  res = await post(bob, '/push/unsubscribe', { endpoint });
+  assert.equal(res.status, 200);
+});
+
+test('the sender rejects instead of throwing on unusable keys', async () => {
+  const sent = [];
+  const send = createPushSender({
+    keys: generateVapidKeys(),
+    subject: 'mailto:test@example.com',
+    transport: async (endpoint) => { sent.push(endpoint); return { statusCode: 201 }; },
+  });
+  const pending = send({ endpoint: 'https://push.example/x', keys: { p256dh: 'abc', auth: 'abc' } }, { title: 'x' });
+  await assert.rejects(pending, { code: 'INVALID_SUBSCRIPTION' });
+  assert.equal(sent.length, 0);
+});
@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createRateLimiter } = require('../lib/ratelimit');
+const server = require('../server');
+
+let listener;
+let port;
+
+test.before(async () => {
+  await new Promise((resolve) => {
+    listener = server.listen(0, () => {
+      port = listener.address().port;
+      resolve();
+    });
+  });
+});
+
+test.after(() => new Promise((resolve) => listener.close(resolve)));
+
+test('token buckets allow a burst and then refill over time', () => {
+  const limiter = createRateLimiter({
+    ip: { capacity: 3, perSecond: 1 },
+    session: { capacity: 2, perSecond: 0.5 },
+  });
+  const t = 1000000;
+  assert.equal(limiter.take({ ip: 'a', session: 's1' }, t), 0);
+  assert.equal(limiter.take({ ip: 'a', session: 's1' }, t), 0);
+  // The session bucket is empty: one token takes two seconds at 0.5/s
+  assert.equal(limiter.take({ ip: 'a', session: 's1' }, t), 2000);
+  // The refused request did not use up the shared IP bucket
+  assert.equal(limiter.take({ ip: 'a', session: 's2' }, t), 0);
+  assert.equal(limiter.take({ ip: 'a', session: 's3' }, t), 1000);
+  assert.equal(limiter.take({ ip: 'a', session: 's1' }, t + 1000), 1000);
+  assert.equal(limiter.take({ ip: 'a', session: 's1' }, t + 2000), 0);
+  // Units without a key are not limited
+  assert.equal(limiter.take({ ip: 'b', session: undefined }, t), 0);
+});
+
+test('flooding returns 429 with Retry-After per budget', async () => {
+  const base = `http://localhost:${port}`;
+  const login = async (name) => (await fetch(`${base}/login`, {
+    method: 'POST',
+    body: JSON.stringify({ room: 'flood', name, password: 'pass' }),
+  })).json();
+  const spammer = await login('Spammer');
+  const other = await login('Other');
+  const post = (who, path, body) => fetch(`${base}${path}`, {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${who.token}` },
+    body: JSON.stringify({ room: 'flood', ...body }),
+  });
+
+  let res;
+  for (let i = 0; i < 10; i++) {
+    res = await post(spammer, '/message', { text: `spam ${i}` });
+    assert.equal(res.status, 200);
+  }
+  res = await post(spammer, '/message', { text: 'one too many' });
+  assert.equal(res.status, 429);
+  // One token takes two seconds to come back, less the time the loop took
+  assert.ok(['1', '2'].includes(res.headers.get('retry-after')));
+  assert.equal((await res.json()).error, 'too_many_requests');
+  // Reactions and edits come out of the same chat budget
+  assert.equal((await post(spammer, '/message/react', { id: 'm_x', emoji: '👍' })).status, 429);
+  // So do pins and zones, which every member sees
+  for (const [route, body] of [
+    ['/pins', { title: 'spam', lat: 35, lon: 139 }],
+    ['/pins/update', { id: 'w_x', title: 'spam' }],
+    ['/pins/delete', { id: 'w_x' }],
+    ['/zones', { zoneName: 'spam', type: 'circle', lat: 35, lon: 139, radius: 100 }],
+    ['/zones/delete', { id: 'z_x' }],
+  ]) {
+    assert.equal((await post(spammer, route, body)).status, 429, route);
+  }
+
+  // Other participants and the location budget are unaffected
+  assert.equal((await post(other, '/message', { text: 'hello' })).status, 200);
+  assert.equal((await post(spammer, '/location', { lat: 1, lon: 2 })).status, 200);
+});
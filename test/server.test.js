@@ -1,6 +1,8 @@
 const test = require('node:test');
 const assert = require('node:assert/strict');
+const crypto = require('crypto');
 const server = require('../server');
+const { sseReader } = require('./helpers');
 
 let listener;
 let port;
@@ -119,3 +121,649 @@ test('rooms listing and password checks', async () => {
   assert.equal(res.status, 404);
 });
 
+test('SSE resumes from Last-Event-ID without replaying history', async () => {
+  const base = `http://localhost:${port}`;
+  await fetch(`${base}/message?room=resume&password=pass&name=Bob&text=first`);
+
+  // Read the initial snapshot up to the sync marker and remember its id
+  let controller = new AbortController();
+  let res = await fetch(`${base}/events?room=resume&password=pass`, { signal: controller.signal });
+  let reader = res.body.getReader();
+  const dec = new TextDecoder();
+  let buf = '';
+  while (!buf.includes('event: sync')) {
+    const { done, value } = await reader.read();
+    assert.ok(!done, 'stream ended before sync');
+    buf += dec.decode(value);
+  }
+  const lastId = buf.match(/id: (\d+)\nevent: sync/)[1];
+  controller.abort();
+
+  await fetch(`${base}/message?room=resume&password=pass&name=Bob&text=second`);
+
+  controller = new AbortController();
+  res = await fetch(`${base}/events?room=resume&password=pass`, {
+    signal: controller.signal,
+    headers: { 'Last-Event-ID': lastId },
+  });
+  reader = res.body.getReader();
+  buf = '';
+  while (!buf.includes('"text":"second"')) {
+    const { done, value } = await reader.read();
+    assert.ok(!done, 'stream ended before resumed message');
+    buf += dec.decode(value);
+  }
+  assert.doesNotMatch(buf, /"text":"first"/);
+  assert.match(buf, new RegExp(`id: ${Number(lastId) + 1}\\nevent: message`));
+  controller.abort();
+});
+
+test('a refused invite request does not create the room', async () => {
+  const base = `http://localhost:${port}`;
+  const { token } = await (await fetch(`${base}/login`, {
+    method: 'POST',
+    body: JSON.stringify({ room: 'invite-home', name: 'Alice', password: 'pass' }),
+  })).json();
+  let res = await fetch(`${base}/invite/create?room=invite-stray&session=${token}`);
+  assert.equal(res.status, 401);
+  res = await fetch(`${base}/invite/create?room=invite-stray&ticket=nope`);
+  assert.equal(res.status, 403);
+  res = await fetch(`${base}/invite/create?room=invite-stray&password=pass&expiry=0`);
+  assert.equal(res.status, 400);
+  assert.ok(!(await (await fetch(`${base}/rooms`)).json()).includes('invite-stray'));
+});
+
+test('invite list, revoke and ticket access', async () => {
+  const base = `http://localhost:${port}`;
+  await fetch(`${base}/message?room=inv&password=pass&name=Alice&text=Hi`);
+
+  let res = await fetch(`${base}/invite/create?room=inv&password=pass&expiry=0`);
+  assert.equal(res.status, 400);
+
+  const { token } = await (await fetch(`${base}/invite/create?room=inv&password=pass&expiry=2&maxUses=5`)).json();
+  res = await fetch(`${base}/invite/list?room=inv&password=pass`);
+  const list = await res.json();
+  assert.equal(list.length, 1);
+  assert.equal(list[0].maxUses, 5);
+  assert.equal(list[0].uses, 0);
+
+  // Redeeming returns a ticket instead of the room password
+  const joined = await (await fetch(`${base}/invite/join?token=${token}`)).json();
+  assert.equal(joined.room, 'inv');
+  assert.equal(joined.password, undefined);
+  res = await fetch(`${base}/message?room=inv&ticket=${joined.ticket}&name=Guest&text=Hello`);
+  assert.equal(res.status, 200);
+
+  res = await fetch(`${base}/invite/revoke?room=inv&password=pass&token=${token}`);
+  assert.equal(res.status, 200);
+  res = await fetch(`${base}/invite/join?token=${token}`);
+  assert.equal(res.status, 404);
+  res = await fetch(`${base}/message?room=inv&ticket=${joined.ticket}&name=Guest&text=Again`);
+  assert.equal(res.status, 403);
+  assert.deepEqual(await (await fetch(`${base}/invite/list?room=inv&password=pass`)).json(), []);
+});
+
+test('room owner can delete the room and connected clients are closed', async () => {
+  const base = `http://localhost:${port}`;
+  const controller = new AbortController();
+  const res = await fetch(`${base}/events?room=owned&password=pass`, { signal: controller.signal });
+  const reader = res.body.getReader();
+  const dec = new TextDecoder();
+  let buf = '';
+  while (!buf.includes('event: sync')) {
+    const { done, value } = await reader.read();
+    assert.ok(!done, 'stream ended before sync');
+    buf += dec.decode(value);
+  }
+  const { ownerKey } = JSON.parse(buf.match(/event: owner\ndata: (.*)\n/)[1]);
+  assert.ok(ownerKey);
+
+  let check = await (await fetch(`${base}/checkRoom?room=owned&password=pass`)).json();
+  assert.deepEqual(check, { room: 'owned', hasOwner: true, isOwner: false, minPrecision: 0 });
+
+  let r = await fetch(`${base}/deleteRoom?room=owned&password=pass`);
+  assert.equal(r.status, 403);
+  r = await fetch(`${base}/changePassword?room=owned&password=pass`, {
+    method: 'POST',
+    body: JSON.stringify({ newPassword: 'x' }),
+  });
+  assert.equal(r.status, 403);
+  r = await fetch(`${base}/changePassword?room=owned&password=pass&ownerKey=${ownerKey}`, {
+    method: 'POST',
+    body: JSON.stringify({ newPassword: 'pass2' }),
+  });
+  assert.equal(r.status, 200);
+
+  r = await fetch(`${base}/deleteRoom?room=owned&password=pass2&ownerKey=${ownerKey}`);
+  assert.equal(r.status, 200);
+  buf = '';
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    buf += dec.decode(value);
+  }
+  assert.match(buf, /event: deleted\ndata:.*"room":"owned"/);
+  r = await fetch(`${base}/checkRoom?room=owned&password=pass2`);
+  assert.equal(r.status, 404);
+});
+
+test('repeated password requests do not re-derive the password hash', async () => {
+  const base = `http://localhost:${port}`;
+  await fetch(`${base}/message?room=legacy-cache&password=pass&name=Bob&text=hi`);
+  const scryptSync = crypto.scryptSync;
+  let derived = 0;
+  crypto.scryptSync = (...args) => {
+    derived++;
+    return scryptSync(...args);
+  };
+  try {
+    for (let i = 0; i < 5; i++) {
+      const res = await fetch(`${base}/location?room=legacy-cache&password=pass&name=Bob&lat=${i}&lon=1`);
+      assert.equal(res.status, 200);
+    }
+    for (let i = 0; i < 2; i++) assert.equal((await fetch(`${base}/location?room=legacy-cache&password=wrong&name=Bob&lat=1&lon=1`)).status, 403);
+  } finally {
+    crypto.scryptSync = scryptSync;
+  }
+  // Only the wrong password was new
+  assert.equal(derived, 1);
+});
+
+test('login issues a session token used instead of the password', async () => {
+  const base = `http://localhost:${port}`;
+  const login = (body) => fetch(`${base}/login`, { method: 'POST', body: JSON.stringify(body) });
+
+  // The first login creates the room and makes its creator the owner
+  let res = await login({ room: 'sess', name: 'Alice', password: 'pass' });
+  assert.equal(res.status, 200);
+  const alice = await res.json();
+  assert.equal(alice.owner, true);
+  assert.ok(alice.ownerKey);
+
+  res = await login({ room: 'sess', name: 'Bob', password: 'wrong' });
+  assert.equal(res.status, 403);
+  res = await login({ room: 'missing', name: 'Bob', password: 'pass', create: false });
+  assert.equal(res.status, 404);
+  const bob = await (await login({ room: 'sess', name: 'Bob', password: 'pass' })).json();
+  assert.equal(bob.owner, false);
+
+  // The name comes from the session, not from the query string
+  const auth = { headers: { Authorization: `Bearer ${bob.token}` } };
+  res = await fetch(`${base}/message?room=sess&name=Mallory&text=hi`, auth);
+  assert.equal(res.status, 200);
+  res = await fetch(`${base}/deleteRoom?room=sess`, auth);
+  assert.equal(res.status, 403);
+  res = await fetch(`${base}/session`, auth);
+  assert.equal((await res.json()).name, 'Bob');
+
+  // A session only grants access to its own room
+  res = await fetch(`${base}/checkRoom?room=listRoom`, auth);
+  assert.equal(res.status, 401);
+
+  res = await fetch(`${base}/logout?room=sess`, auth);
+  assert.equal(res.status, 204);
+  res = await fetch(`${base}/message?room=sess&text=again`, auth);
+  assert.equal(res.status, 401);
+
+  const controller = new AbortController();
+  res = await fetch(`${base}/events?room=sess&session=${alice.token}`, { signal: controller.signal });
+  const reader = res.body.getReader();
+  const dec = new TextDecoder();
+  let buf = '';
+  while (!buf.includes('event: sync')) {
+    const { done, value } = await reader.read();
+    assert.ok(!done, 'stream ended before sync');
+    buf += dec.decode(value);
+  }
+  assert.match(buf, /"name":"Bob","text":"hi"/);
+  controller.abort();
+
+  res = await fetch(`${base}/deleteRoom?room=sess`, { headers: { Authorization: `Bearer ${alice.token}` } });
+  assert.equal(res.status, 200);
+});
+
+test('JSON POST endpoints validate bodies and report JSON errors', async () => {
+  const base = `http://localhost:${port}`;
+  const login = await (await fetch(`${base}/login`, {
+    method: 'POST',
+    body: JSON.stringify({ room: 'post', name: 'Carol', password: 'pass' }),
+  })).json();
+  const post = (path, body) => fetch(`${base}${path}`, {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${login.token}`, 'Content-Type': 'application/json' },
+    body: typeof body === 'string' ? body : JSON.stringify(body),
+  });
+
+  let res = await post('/message', { room: 'post', text: 'hello' });
+  assert.equal(res.status, 200);
+  assert.deepEqual(await res.json(), { ok: true });
+
+  res = await post('/location', { room: 'post', lat: 'north', lon: 2 });
+  assert.equal(res.status, 400);
+  assert.deepEqual(await res.json(), { error: 'bad_request', message: 'lat must be a number' });
+
+  res = await post('/location', { room: 'post', lat: 95, lon: 2 });
+  assert.equal(res.status, 400);
+
+  res = await post('/message', { room: 'post' });
+  assert.equal((await res.json()).message, 'text is required');
+
+  res = await post('/message', '{not json');
+  assert.equal(res.status, 400);
+  assert.equal((await res.json()).error, 'bad_request');
+
+  res = await post('/message', { room: 'post', text: 'x'.repeat(20 * 1024) });
+  assert.equal(res.status, 413);
+  assert.equal((await res.json()).error, 'payload_too_large');
+
+  res = await post('/logout', { room: 'post' });
+  assert.equal(res.status, 200);
+  res = await post('/message', { room: 'post', text: 'after logout' });
+  assert.equal(res.status, 401);
+  assert.equal((await res.json()).error, 'unauthorized');
+});
+
+test('participants with the same name get separate markers', async () => {
+  const base = `http://localhost:${port}`;
+  const login = async () => (await fetch(`${base}/login`, {
+    method: 'POST',
+    body: JSON.stringify({ room: 'dupes', name: 'Taro', password: 'pass' }),
+  })).json();
+  const first = await login();
+  const second = await login();
+  assert.notEqual(first.participantId, second.participantId);
+
+  const locate = (who, lat) => fetch(`${base}/location`, {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${who.token}` },
+    body: JSON.stringify({ room: 'dupes', lat, lon: 0 }),
+  });
+  await locate(first, 10);
+  await locate(second, 20);
+
+  const controller = new AbortController();
+  const res = await fetch(`${base}/events?room=dupes&session=${first.token}`, { signal: controller.signal });
+  const reader = res.body.getReader();
+  const dec = new TextDecoder();
+  let buf = '';
+  while (!buf.includes('event: sync')) {
+    const { done, value } = await reader.read();
+    assert.ok(!done, 'stream ended before sync');
+    buf += dec.decode(value);
+  }
+  assert.match(buf, new RegExp(`"id":"${first.participantId}","name":"Taro","lat":10`));
+  assert.match(buf, new RegExp(`"id":"${second.participantId}","name":"Taro","lat":20`));
+
+  buf = '';
+  await fetch(`${base}/logout`, {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${second.token}` },
+    body: JSON.stringify({ room: 'dupes' }),
+  });
+  while (!buf.includes('event: remove')) {
+    const { done, value } = await reader.read();
+    assert.ok(!done, 'stream ended before remove');
+    buf += dec.decode(value);
+  }
+  assert.match(buf, new RegExp(`"id":"${second.participantId}","name":"Taro"`));
+  controller.abort();
+});
+
+test('location tracks are kept per participant and exported', async () => {
+  const base = `http://localhost:${port}`;
+  const walker = await (await fetch(`${base}/login`, {
+    method: 'POST',
+    body: JSON.stringify({ room: 'tracks', name: 'Hanako <&>', password: 'pass' }),
+  })).json();
+  for (const lat of [35.1, 35.2, 35.3]) {
+    await fetch(`${base}/location`, {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${walker.token}` },
+      body: JSON.stringify({ room: 'tracks', lat, lon: 139 }),
+    });
+  }
+  await fetch(`${base}/location?room=tracks&password=pass&name=Ken&lat=1&lon=2`);
+
+  let res = await fetch(`${base}/tracks?room=tracks&session=${walker.token}`);
+  assert.equal(res.status, 200);
+  assert.match(res.headers.get('content-type'), /geo\+json/);
+  const geo = await res.json();
+  assert.equal(geo.features.length, 2);
+  const line = geo.features.find((f) => f.properties.id === walker.participantId);
+  assert.equal(line.geometry.type, 'LineString');
+  assert.deepEqual(line.geometry.coordinates, [[139, 35.1], [139, 35.2], [139, 35.3]]);
+  assert.equal(line.properties.times.length, 3);
+  assert.equal(geo.features.find((f) => f.properties.name === 'Ken').geometry.type, 'Point');
+
+  res = await fetch(`${base}/tracks?room=tracks&password=pass&format=gpx&participant=${walker.participantId}`);
+  assert.equal(res.status, 200);
+  const gpx = await res.text();
+  assert.match(gpx, /<name>Hanako &lt;&amp;&gt;<\/name>/);
+  assert.equal(gpx.match(/<trkpt /g).length, 3);
+  assert.doesNotMatch(gpx, /Ken/);
+
+  res = await fetch(`${base}/tracks?room=tracks&password=pass&format=kml`);
+  assert.equal(res.status, 400);
+  res = await fetch(`${base}/tracks?room=tracks&password=wrong`);
+  assert.equal(res.status, 403);
+
+  // Logging out discards the participant's track
+  await fetch(`${base}/logout`, {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${walker.token}` },
+    body: JSON.stringify({ room: 'tracks' }),
+  });
+  res = await fetch(`${base}/tracks?room=tracks&password=pass&participant=${walker.participantId}`);
+  assert.equal(res.status, 404);
+});
+
+test('geofences broadcast enter and exit events and system messages', async () => {
+  const base = `http://localhost:${port}`;
+  const post = (path, body) => fetch(`${base}${path}?password=pass&name=Rider`, {
+    method: 'POST',
+    body: JSON.stringify({ room: 'fence', ...body }),
+  });
+  await post('/location', { lat: 0, lon: 0 });
+
+  let res = await post('/zones', { zoneName: 'Station', type: 'circle', lat: 35, lon: 139, radius: 200 });
+  assert.equal(res.status, 200);
+  const station = await res.json();
+  res = await post('/zones', {
+    zoneName: 'Park', type: 'polygon',
+    points: [{ lat: 10, lon: 10 }, { lat: 10, lon: 11 }, { lat: 11, lon: 11 }, { lat: 11, lon: 10 }],
+  });
+  assert.equal(res.status, 200);
+  res = await post('/zones', { zoneName: 'Bad', type: 'polygon', points: [{ lat: 1, lon: 1 }] });
+  assert.equal(res.status, 400);
+  res = await post('/zones', { zoneName: 'Bad', type: 'circle', lat: 1, lon: 1 });
+  assert.equal(res.status, 400);
+
+  const controller = new AbortController();
+  const stream = sseReader(await fetch(`${base}/events?room=fence&password=pass`, { signal: controller.signal }));
+  const { readUntil } = stream;
+  await readUntil('event: sync');
+  assert.match(stream.buf, /event: zone\ndata:.*"name":"Station"/);
+  assert.match(stream.buf, /event: zone\ndata:.*"name":"Park"/);
+
+  stream.buf = '';
+  await post('/location', { lat: 35.0005, lon: 139 });
+  await readUntil('到着');
+  assert.match(stream.buf, /event: geofence\ndata:.*"zoneName":"Station".*"transition":"enter"/);
+  assert.match(stream.buf, /event: message\ndata:.*"system":true/);
+
+  stream.buf = '';
+  await post('/location', { lat: 10.5, lon: 10.5 });
+  await readUntil('「Park」に到着');
+  assert.match(stream.buf, /"zoneName":"Station".*"transition":"exit"/);
+  assert.match(stream.buf, /「Station」を出発/);
+
+  stream.buf = '';
+  res = await post('/zones/delete', { id: station.id });
+  assert.equal(res.status, 200);
+  await readUntil('event: zone-remove');
+  controller.abort();
+
+  res = await fetch(`${base}/zones?room=fence&password=pass`);
+  assert.deepEqual((await res.json()).map((z) => z.name), ['Park']);
+});
+
+test('meeting-point pins are shared, replayed and referenced from chat', async () => {
+  const base = `http://localhost:${port}`;
+  const post = (path, body) => fetch(`${base}${path}?password=pass&name=Guide`, {
+    method: 'POST',
+    body: JSON.stringify({ room: 'pins', ...body }),
+  });
+  await post('/message', { text: 'hi' });
+
+  let res = await post('/pins', { title: 'Gate', lat: 35, lon: 139 });
+  assert.equal(res.status, 200);
+  const pin = await res.json();
+  assert.equal(pin.title, 'Gate');
+
+  res = await post('/pins/update', { id: pin.id, title: 'North gate', lat: 35.1, lon: 139.1 });
+  assert.equal(res.status, 200);
+  res = await post('/pins/update', { id: pin.id, lat: 1 });
+  assert.equal(res.status, 400);
+  res = await post('/pins/update', { id: 'w_missing', title: 'x' });
+  assert.equal(res.status, 404);
+
+  const controller = new AbortController();
+  const stream = sseReader(await fetch(`${base}/events?room=pins&password=pass`, { signal: controller.signal }));
+  const { readUntil } = stream;
+  await readUntil('event: sync');
+  assert.match(stream.buf, new RegExp(`event: message\\ndata:.*"pin":"${pin.id}"`));
+  assert.match(stream.buf, /event: pin\ndata:.*"title":"North gate","lat":35.1,"lon":139.1/);
+
+  stream.buf = '';
+  res = await post('/pins/delete', { id: pin.id });
+  assert.equal(res.status, 200);
+  await readUntil('event: pin-remove');
+  controller.abort();
+
+  res = await fetch(`${base}/pins?room=pins&password=pass`);
+  assert.deepEqual(await res.json(), []);
+});
+
+test('location updates relay speed and heading when reported', async () => {
+  const base = `http://localhost:${port}`;
+  const post = (body) => fetch(`${base}/location?password=pass&name=Runner`, {
+    method: 'POST',
+    body: JSON.stringify({ room: 'motion', lat: 1, lon: 1, ...body }),
+  });
+  await post({});
+  assert.equal((await post({ speed: -1 })).status, 400);
+  assert.equal((await post({ heading: 400 })).status, 400);
+
+  const controller = new AbortController();
+  const stream = await fetch(`${base}/events?room=motion&password=pass`, { signal: controller.signal });
+  const reader = stream.body.getReader();
+  const dec = new TextDecoder();
+  let buf = '';
+  while (!buf.includes('event: sync')) buf += dec.decode((await reader.read()).value);
+  // Stale motion is not replayed with the snapshot
+  assert.doesNotMatch(buf, /"speed"/);
+
+  buf = '';
+  assert.equal((await post({ speed: 1.5, heading: 90 })).status, 200);
+  while (!buf.includes('"speed"')) buf += dec.decode((await reader.read()).value);
+  assert.match(buf, /"speed":1.5,"heading":90/);
+  controller.abort();
+});
+
+test('room precision policy coarsens shared locations', async () => {
+  const base = `http://localhost:${port}`;
+  const owner = await (await fetch(`${base}/login`, {
+    method: 'POST',
+    body: JSON.stringify({ room: 'private', name: 'Owner', password: 'pass' }),
+  })).json();
+  const guest = await (await fetch(`${base}/login`, {
+    method: 'POST',
+    body: JSON.stringify({ room: 'private', name: 'Guest', password: 'pass' }),
+  })).json();
+  const settings = (who, minPrecision) => fetch(`${base}/roomSettings?room=private`, {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${who.token}` },
+    body: JSON.stringify({ minPrecision }),
+  });
+  assert.equal((await settings(guest, 1000)).status, 403);
+  assert.equal((await settings(owner, -1)).status, 400);
+  assert.equal((await settings(owner, 1000)).status, 200);
+
+  const controller = new AbortController();
+  const stream = sseReader(await fetch(`${base}/events?room=private&session=${owner.token}`, { signal: controller.signal }));
+  const { readUntil } = stream;
+  await readUntil('event: sync');
+  assert.match(stream.buf, /event: settings\ndata: \{"minPrecision":1000\}/);
+
+  stream.buf = '';
+  const locate = (lat, lon) => fetch(`${base}/location`, {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${guest.token}` },
+    body: JSON.stringify({ room: 'private', lat, lon, speed: 3, heading: 10 }),
+  });
+  await locate(35.68123, 139.76712);
+  await readUntil('event: location');
+  await readUntil('\n\n');
+  const first = JSON.parse(stream.buf.match(/event: location\ndata: (.*)\n/)[1]);
+  assert.notEqual(first.lat, 35.68123);
+  assert.ok(Math.abs(first.lat - 35.68123) < 0.01);
+  assert.equal(first.speed, undefined);
+
+  // Nearby fixes in the same grid cell are indistinguishable
+  stream.buf = '';
+  await locate(first.lat + 0.0001, first.lon - 0.0001);
+  await readUntil('event: location');
+  await readUntil('\n\n');
+  const second = JSON.parse(stream.buf.match(/event: location\ndata: (.*)\n/)[1]);
+  assert.equal(second.lat, first.lat);
+  assert.equal(second.lon, first.lon);
+
+  stream.buf = '';
+  const stop = await fetch(`${base}/location/stop`, {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${guest.token}` },
+    body: JSON.stringify({ room: 'private' }),
+  });
+  assert.equal(stop.status, 200);
+  await readUntil('event: location-stop');
+  assert.match(stream.buf, new RegExp(`"id":"${guest.participantId}"`));
+  controller.abort();
+});
+
+test('replayed messages and locations are deduplicated by client ID', async () => {
+  const base = `http://localhost:${port}`;
+  const post = (path, body) => fetch(`${base}${path}?password=pass&name=Offline`, {
+    method: 'POST',
+    body: JSON.stringify({ room: 'outbox', ...body }),
+  });
+  for (let i = 0; i < 3; i++) {
+    const res = await post('/message', { text: 'queued', clientId: 'c-1' });
+    assert.equal(res.status, 200);
+    assert.deepEqual(await res.json(), { ok: true });
+  }
+  await post('/message', { text: 'another', clientId: 'c-2' });
+  await post('/location', { lat: 1, lon: 1, clientId: 'l-1' });
+  await post('/location', { lat: 2, lon: 2, clientId: 'l-1' });
+  assert.equal((await post('/message', { text: 'x', clientId: '' })).status, 400);
+
+  const controller = new AbortController();
+  const stream = await fetch(`${base}/events?room=outbox&password=pass`, { signal: controller.signal });
+  const reader = stream.body.getReader();
+  const dec = new TextDecoder();
+  let buf = '';
+  while (!buf.includes('event: sync')) buf += dec.decode((await reader.read()).value);
+  controller.abort();
+  assert.equal(buf.match(/"text":"queued"/g).length, 1);
+  assert.match(buf, /"text":"queued".*"clientId":"c-1"/);
+  assert.match(buf, /"text":"another"/);
+  // The replayed fix with the same ID did not move the marker
+  assert.match(buf, /event: location\ndata:.*"lat":1,"lon":1/);
+});
+
+test('direct messages reach only the sender and the recipient', async () => {
+  const base = `http://localhost:${port}`;
+  const login = async (name) => (await fetch(`${base}/login`, {
+    method: 'POST',
+    body: JSON.stringify({ room: 'dm', name, password: 'pass' }),
+  })).json();
+  const alice = await login('Alice');
+  const bob = await login('Bob');
+  const carol = await login('Carol');
+  const open = async (who) => {
+    const controller = new AbortController();
+    const stream = sseReader(await fetch(`${base}/events?room=dm&session=${who.token}`, { signal: controller.signal }));
+    stream.controller = controller;
+    await stream.readUntil('event: sync');
+    return stream;
+  };
+  const streams = { alice: await open(alice), bob: await open(bob), carol: await open(carol) };
+  const send = (body) => fetch(`${base}/message`, {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${alice.token}` },
+    body: JSON.stringify({ room: 'dm', ...body }),
+  });
+
+  let res = await send({ text: 'secret', to: bob.participantId });
+  assert.equal(res.status, 200);
+  res = await send({ text: 'everyone' });
+  assert.equal(res.status, 200);
+  for (const s of Object.values(streams)) await s.readUntil('"text":"everyone"');
+  assert.match(streams.alice.buf, new RegExp(`"text":"secret","time":\\d+,"to":"${bob.participantId}","toName":"Bob"`));
+  assert.match(streams.bob.buf, /"text":"secret"/);
+  assert.doesNotMatch(streams.carol.buf, /secret/);
+  for (const s of Object.values(streams)) s.controller.abort();
+
+  res = await send({ text: 'nobody', to: 'no-such-participant' });
+  assert.equal(res.status, 404);
+
+  // History keeps the visibility: a fresh stream for Carol still hides it
+  const late = await open(carol);
+  late.controller.abort();
+  assert.match(late.buf, /"text":"everyone"/);
+  assert.doesNotMatch(late.buf, /secret/);
+  const again = await open(bob);
+  again.controller.abort();
+  assert.match(again.buf, /"text":"secret"/);
+});
+
+test('messages can be replied to, reacted to, edited and deleted', async () => {
+  const base = `http://localhost:${port}`;
+  const login = async (name) => (await fetch(`${base}/login`, {
+    method: 'POST',
+    body: JSON.stringify({ room: 'threads', name, password: 'pass' }),
+  })).json();
+  const alice = await login('Alice');
+  const bob = await login('Bob');
+  const post = (who, path, body) => fetch(`${base}${path}`, {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${who.token}` },
+    body: JSON.stringify({ room: 'threads', ...body }),
+  });
+  const open = async (who) => {
+    const controller = new AbortController();
+    const stream = sseReader(await fetch(`${base}/events?room=threads&session=${who.token}`, { signal: controller.signal }));
+    stream.controller = controller;
+    await stream.readUntil(/event: sync\n/);
+    return stream;
+  };
+
+  const watcher = await open(bob);
+  await post(alice, '/message', { text: 'lunch?' });
+  const [, first] = await watcher.readUntil(/event: message\ndata: (.*"text":"lunch\?".*)\n/);
+  const { id } = JSON.parse(first);
+  assert.match(id, /^m_/);
+
+  assert.equal((await post(bob, '/message', { text: 'x', replyTo: 'm_missing' })).status, 404);
+  assert.equal((await post(bob, '/message', { text: 'yes', replyTo: id })).status, 200);
+  const [, second] = await watcher.readUntil(/event: message\ndata: (.*"text":"yes".*)\n/);
+  const reply = JSON.parse(second);
+  assert.deepEqual(reply.replyTo, { id, from: alice.participantId, name: 'Alice', text: 'lunch?', deleted: false });
+
+  assert.equal((await post(bob, '/message/react', { id, emoji: 'nice' })).status, 400);
+  assert.equal((await post(bob, '/message/react', { id, emoji: '👍' })).status, 200);
+  assert.equal((await post(alice, '/message/react', { id, emoji: '👍' })).status, 200);
+  await watcher.readUntil(new RegExp(`event: reaction\\ndata: \\{"id":"${id}","reactions":\\{"👍":\\["${bob.participantId}","${alice.participantId}"\\]\\}\\}`));
+  // Reacting again with the same emoji takes the reaction back
+  await post(bob, '/message/react', { id, emoji: '👍' });
+  await watcher.readUntil(new RegExp(`event: reaction\\ndata: \\{"id":"${id}","reactions":\\{"👍":\\["${alice.participantId}"\\]\\}\\}`));
+
+  assert.equal((await post(bob, '/message/edit', { id, text: 'hijack' })).status, 403);
+  assert.equal((await post(alice, '/message/edit', { id, text: 'lunch at noon?' })).status, 200);
+  await watcher.readUntil(new RegExp(`event: message-edit\\ndata: \\{"id":"${id}","text":"lunch at noon\\?","editedAt":\\d+\\}`));
+
+  assert.equal((await post(bob, '/message/delete', { id })).status, 403);
+  assert.equal((await post(alice, '/message/delete', { id })).status, 200);
+  await watcher.readUntil(new RegExp(`event: message-delete\\ndata: \\{"id":"${id}"\\}`));
+  assert.equal((await post(alice, '/message/edit', { id, text: 'again' })).status, 404);
+  watcher.controller.abort();
+
+  // History seen by a new connection reflects every change
+  const late = await open(alice);
+  late.controller.abort();
+  const history = [...late.buf.matchAll(/event: message\ndata: (.*)\n/g)].map((m) => JSON.parse(m[1]));
+  const deleted = history.find((m) => m.id === id);
+  assert.equal(deleted.deleted, true);
+  assert.equal(deleted.text, '');
+  assert.equal(deleted.reactions, undefined);
+  assert.deepEqual(history.find((m) => m.id === reply.id).replyTo, { id, from: alice.participantId, name: 'Alice', text: '', deleted: true });
+});
@@ -0,0 +1,135 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { negotiateEncoding } = require('../lib/static');
+const server = require('../server');
+
+let listener;
+let port;
+
+test.before(async () => {
+  await new Promise((resolve) => {
+    listener = server.listen(0, () => {
+      port = listener.address().port;
+      resolve();
+    });
+  });
+});
+
+test.after(() => new Promise((resolve) => listener.close(resolve)));
+
+const publicFile = (name) => fs.readFileSync(path.join(__dirname, '..', 'public', name));
+
+// fetch() always asks for compression and decodes it; these go out exactly as written
+function get(pathname, headers = {}, method = 'GET') {
+  return new Promise((resolve, reject) => {
+    const req = require('http').request({ port, path: pathname, method, headers }, (res) => {
+      const chunks = [];
+      res.on('data', (c) => chunks.push(c));
+      res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: Buffer.concat(chunks) }));
+    });
+    req.on('error', reject);
+    req.end();
+  });
+}
+
+test('Accept-Encoding picks the heaviest supported coding, brotli on ties', () => {
+  assert.equal(negotiateEncoding('gzip, deflate, br'), 'br');
+  assert.equal(negotiateEncoding('gzip;q=1, br;q=0.5'), 'gzip');
+  assert.equal(negotiateEncoding('br;q=0, gzip'), 'gzip');
+  assert.equal(negotiateEncoding('*'), 'br');
+  assert.equal(negotiateEncoding('*, br;q=0'), 'gzip');
+  assert.equal(negotiateEncoding('identity'), null);
+  assert.equal(negotiateEncoding(undefined), null);
+});
+
+test('the PWA files are served with their types', async () => {
+  for (const [name, type] of [
+    ['/manifest.json', 'application/json; charset=utf-8'],
+    ['/icon-512.png', 'image/png'],
+    ['/service-worker.js', 'text/javascript; charset=utf-8'],
+    ['/style.css', 'text/css; charset=utf-8'],
+    ['/main.js', 'text/javascript; charset=utf-8'],
+    ['/', 'text/html; charset=utf-8'],
+  ]) {
+    const res = await get(name);
+    assert.equal(res.status, 200, name);
+    assert.equal(res.headers['content-type'], type, name);
+    assert.equal(res.headers['cache-control'], 'no-cache', name);
+    assert.match(res.headers.etag, /^"[0-9a-f]{16}"$/, name);
+    assert.ok(res.headers['last-modified'], name);
+  }
+  assert.deepEqual((await get('/icon-512.png')).body, publicFile('icon-512.png'));
+  assert.deepEqual((await get('/main.js')).body, publicFile('main.js'));
+});
+
+test('only files inside public/ are served', async () => {
+  for (const name of ['/server.js', '/package.json', '/lib/static.js', '/public/main.js', '/../server.js', '/%2e%2e/server.js', '/requests.jsonl']) {
+    assert.equal((await get(name)).status, 404, name);
+  }
+  // Other methods are not static requests
+  assert.equal((await get('/main.js', {}, 'POST')).status, 404);
+  const head = await get('/main.js', {}, 'HEAD');
+  assert.equal(head.status, 200);
+  assert.equal(Number(head.headers['content-length']), publicFile('main.js').length);
+  assert.equal(head.body.length, 0);
+});
+
+test('ETag and Last-Modified revalidate with 304', async () => {
+  const first = await get('/style.css');
+  let res = await get('/style.css', { 'If-None-Match': first.headers.etag });
+  assert.equal(res.status, 304);
+  assert.equal(res.body.length, 0);
+  assert.equal(res.headers.etag, first.headers.etag);
+  assert.equal(res.headers['cache-control'], 'no-cache');
+  assert.equal((await get('/style.css', { 'If-None-Match': `W/${first.headers.etag}, "other"` })).status, 304);
+  assert.equal((await get('/style.css', { 'If-None-Match': '"other"' })).status, 200);
+  // If-None-Match wins over If-Modified-Since
+  assert.equal((await get('/style.css', { 'If-None-Match': '"other"', 'If-Modified-Since': first.headers['last-modified'] })).status, 200);
+  assert.equal((await get('/style.css', { 'If-Modified-Since': first.headers['last-modified'] })).status, 304);
+  assert.equal((await get('/style.css', { 'If-Modified-Since': new Date(0).toUTCString() })).status, 200);
+  // A compressed copy revalidates against the same content
+  const br = await get('/style.css', { 'Accept-Encoding': 'br' });
+  assert.notEqual(br.headers.etag, first.headers.etag);
+  assert.equal((await get('/style.css', { 'Accept-Encoding': 'gzip', 'If-None-Match': br.headers.etag })).status, 304);
+});
+
+test('text is compressed with brotli or gzip, images are not', async () => {
+  const original = publicFile('main.js');
+  const br = await get('/main.js', { 'Accept-Encoding': 'gzip, br' });
+  assert.equal(br.headers['content-encoding'], 'br');
+  assert.equal(br.headers.vary, 'Accept-Encoding');
+  assert.ok(br.body.length < original.length);
+  assert.deepEqual(zlib.brotliDecompressSync(br.body), original);
+  const gz = await get('/main.js', { 'Accept-Encoding': 'gzip' });
+  assert.equal(gz.headers['content-encoding'], 'gzip');
+  assert.deepEqual(zlib.gunzipSync(gz.body), original);
+  const plain = await get('/main.js', { 'Accept-Encoding': 'identity' });
+  assert.equal(plain.headers['content-encoding'], undefined);
+  const png = await get('/icon-512.png', { 'Accept-Encoding': 'gzip, br' });
+  assert.equal(png.headers['content-encoding'], undefined);
+  assert.equal(png.headers.vary, undefined);
+});
+
+test('index.html links versioned assets that are cached as immutable', async () => {
+  const html = (await get('/')).body.toString('utf8');
+  const [, version] = html.match(/src="main\.js\?v=([0-9a-f]{16})"/);
+  assert.match(html, /href="style\.css\?v=[0-9a-f]{16}"/);
+  assert.match(html, /href="manifest\.json\?v=[0-9a-f]{16}"/);
+  // External URLs are left alone
+  assert.match(html, /src="https:\/\/unpkg\.com\/leaflet@1\.9\.4\/dist\/leaflet\.js"/);
+  assert.equal((await get('/index.html')).body.toString('utf8'), html);
+
+  const versioned = await get(`/main.js?v=${version}`);
+  assert.equal(versioned.headers['cache-control'], 'public, max-age=31536000, immutable');
+  assert.equal(versioned.headers.etag, (await get('/main.js')).headers.etag);
+  // A stale or made-up version is still served, but must be revalidated
+  assert.equal((await get('/main.js?v=0000000000000000')).headers['cache-control'], 'no-cache');
+
+  // The invite page is the same document
+  const invite = await get('/invite?token=x', { Accept: 'text/html' });
+  assert.equal(invite.status, 200);
+  assert.equal(invite.body.toString('utf8'), html);
+});
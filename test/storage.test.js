@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createMemoryStore, createFileStore } = require('../lib/storage');
+
+function tmpFile() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'kotachat-'));
+  return path.join(dir, 'data.log');
+}
+
+test('memory store keeps copies of values', () => {
+  const store = createMemoryStore();
+  const value = { a: 1 };
+  store.set('rooms', 'r1', value);
+  value.a = 2;
+  assert.deepEqual(store.load().rooms.r1, { a: 1 });
+  store.delete('rooms', 'r1');
+  assert.deepEqual(store.load().rooms, {});
+});
+
+test('file store replays the log and bounds pushed lists', () => {
+  const file = tmpFile();
+  let store = createFileStore(file);
+  store.set('rooms', 'r1', { password: 'x' });
+  for (let i = 0; i < 5; i++) store.push('messages', 'r1', { text: String(i) }, 3);
+  store.delete('rooms', 'missing');
+  // A torn final line from a crash must not prevent startup
+  fs.appendFileSync(file, '{"op":"set","c":"rooms"');
+
+  store = createFileStore(file);
+  const state = store.load();
+  assert.deepEqual(state.rooms.r1, { password: 'x' });
+  assert.deepEqual(state.messages.r1.map((m) => m.text), ['2', '3', '4']);
+});
+
+test('file store compacts to the live state', () => {
+  const file = tmpFile();
+  const store = createFileStore(file, { compactAfter: 10 });
+  for (let i = 0; i < 50; i++) store.set('markers', 'r1', { n: i });
+  const lines = fs.readFileSync(file, 'utf8').trim().split('\n');
+  assert.ok(lines.length < 20, `expected a compacted log, got ${lines.length} lines`);
+  assert.deepEqual(createFileStore(file).load().markers.r1, { n: 49 });
+});
+
+test('server restores rooms, markers, history and invites after restart', async () => {
+  process.env.DATA_FILE = tmpFile();
+  const serverPath = require.resolve('../server');
+
+  async function start() {
+    delete require.cache[serverPath];
+    const server = require('../server');
+    await new Promise((resolve) => server.listen(0, resolve));
+    return server;
+  }
+
+  let server = await start();
+  let base = `http://localhost:${server.address().port}`;
+  await fetch(`${base}/message?room=keep&password=pass&name=Bob&text=persisted`);
+  await fetch(`${base}/location?room=keep&password=pass&name=Bob&lat=5&lon=6`);
+  const { link } = await (await fetch(`${base}/invite/create?room=keep&password=pass`)).json();
+  const syncId = async () => {
+    const controller = new AbortController();
+    const res = await fetch(`${base}/events?room=keep&password=pass`, { signal: controller.signal });
+    const reader = res.body.getReader();
+    let buf = '';
+    while (!buf.includes('event: sync\n')) buf += new TextDecoder().decode((await reader.read()).value);
+    controller.abort();
+    return Number(buf.match(/event: sync\ndata: \{"id":(\d+)/)[1]);
+  };
+  const before = await syncId();
+  await new Promise((resolve) => server.close(resolve));
+
+  server = await start();
+  base = `http://localhost:${server.address().port}`;
+  assert.deepEqual(await (await fetch(`${base}/rooms`)).json(), ['keep']);
+  // Event ids keep increasing across the restart
+  assert.ok(await syncId() > before);
+  assert.equal((await fetch(`${base}${link.replace('/invite', '/invite/join')}`)).status, 200);
+
+  const controller = new AbortController();
+  const res = await fetch(`${base}/events?room=keep&password=pass`, { signal: controller.signal });
+  const reader = res.body.getReader();
+  const dec = new TextDecoder();
+  let buf = '';
+  while (!buf.includes('event: sync')) {
+    const { done, value } = await reader.read();
+    assert.ok(!done, 'stream ended before sync');
+    buf += dec.decode(value);
+  }
+  assert.match(buf, /"text":"persisted"/);
+  assert.match(buf, /event: location\ndata:.*"lat":5/);
+  controller.abort();
+  const tracks = await (await fetch(`${base}/tracks?room=keep&password=pass`)).json();
+  assert.deepEqual(tracks.features[0].geometry.coordinates, [6, 5]);
+  await new Promise((resolve) => server.close(resolve));
+});
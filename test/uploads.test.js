@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Files that are never posted are capped per participant and removed soon
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'kotachat-uploads-'));
+process.env.ATTACHMENT_DIR = dir;
+process.env.ATTACHMENT_MAX_BYTES = '1000';
+process.env.ATTACHMENT_PENDING_BYTES = '1500';
+process.env.ATTACHMENT_PENDING_MS = '1000';
+process.env.HEARTBEAT_MS = '100';
+const server = require('../server');
+const { eventually } = require('./helpers');
+
+let listener;
+let port;
+
+test.before(async () => {
+  await new Promise((resolve) => {
+    listener = server.listen(0, () => {
+      port = listener.address().port;
+      resolve();
+    });
+  });
+});
+
+test.after(() => new Promise((resolve) => listener.close(resolve)));
+
+test('uploads that are never posted are capped per participant and expire', async () => {
+  const base = `http://localhost:${port}`;
+  const login = async (name) => (await fetch(`${base}/login`, {
+    method: 'POST',
+    body: JSON.stringify({ room: 'pending', name, password: 'pass' }),
+  })).json();
+  const alice = await login('Alice');
+  const bob = await login('Bob');
+  const upload = (who, filename, body) => fetch(`${base}/upload?room=pending&filename=${filename}`, {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${who.token}` },
+    body,
+  });
+  const download = (who, id) => fetch(`${base}/attachments/${id}?room=pending&session=${who.token}`);
+  const blobExists = (body) => {
+    const hash = crypto.createHash('sha256').update(body).digest('hex');
+    return fs.existsSync(path.join(dir, hash.slice(0, 2), hash));
+  };
+
+  const posted = crypto.randomBytes(1000);
+  const kept = await (await upload(alice, 'posted.bin', posted)).json();
+  let res = await upload(alice, 'second.bin', crypto.randomBytes(600));
+  assert.equal(res.status, 413);
+  assert.equal((await res.json()).message, 'Too many files waiting to be posted');
+  // The cap is per participant, not per room
+  assert.equal((await upload(bob, 'other.bin', crypto.randomBytes(600))).status, 200);
+
+  // Posting a file frees its share of the cap
+  assert.equal((await fetch(`${base}/message`, {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${alice.token}` },
+    body: JSON.stringify({ room: 'pending', attachment: kept.id }),
+  })).status, 200);
+  const unposted = crypto.randomBytes(600);
+  const dropped = await (await upload(alice, 'unposted.bin', unposted)).json();
+  assert.equal((await download(alice, dropped.id)).status, 200);
+
+  // The unposted file is removed, the posted one stays
+  await eventually(async () => (await download(alice, dropped.id)).status === 404);
+  await eventually(() => !blobExists(unposted));
+  assert.equal((await download(bob, kept.id)).status, 200);
+  assert.ok(blobExists(posted));
+});
@@ -0,0 +1,216 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const http = require('http');
+const { acceptKey } = require('../lib/websocket');
+const server = require('../server');
+const { sseReader } = require('./helpers');
+
+let listener;
+let port;
+
+test.before(async () => {
+  await new Promise((resolve) => {
+    listener = server.listen(0, () => {
+      port = listener.address().port;
+      resolve();
+    });
+  });
+});
+
+test.after(() => new Promise((resolve) => listener.close(resolve)));
+
+// A client frame: masked, with the payload length in the short or 16-bit form
+function clientFrame(opcode, payload, fin = true) {
+  const mask = crypto.randomBytes(4);
+  const header = payload.length < 126
+    ? Buffer.from([(fin ? 0x80 : 0) | opcode, 0x80 | payload.length])
+    : Buffer.from([(fin ? 0x80 : 0) | opcode, 0x80 | 126, payload.length >> 8, payload.length & 0xff]);
+  const masked = Buffer.from(payload.map((b, i) => b ^ mask[i & 3]));
+  return Buffer.concat([header, mask, masked]);
+}
+
+// Opens /ws and resolves with a small client, or with the HTTP response when the upgrade is refused
+function connect(query) {
+  return new Promise((resolve, reject) => {
+    const key = crypto.randomBytes(16).toString('base64');
+    const req = http.request({
+      port,
+      path: `/ws?${query}`,
+      headers: { Connection: 'Upgrade', Upgrade: 'websocket', 'Sec-WebSocket-Version': '13', 'Sec-WebSocket-Key': key },
+    });
+    req.on('error', reject);
+    req.on('response', async (res) => {
+      let body = '';
+      for await (const chunk of res) body += chunk;
+      resolve({ status: res.statusCode, body: JSON.parse(body) });
+    });
+    req.on('upgrade', (res, socket, head) => {
+      assert.equal(res.headers['sec-websocket-accept'], acceptKey(key));
+      let buf = head;
+      const frames = [];
+      let waiter = null;
+      const client = { status: 101, socket, closed: null };
+      const check = () => {
+        if (!waiter) return;
+        const i = frames.findIndex(waiter.match);
+        if (i >= 0) {
+          const [frame] = frames.splice(i, 1);
+          const { resolve: done } = waiter;
+          waiter = null;
+          done(frame);
+        }
+      };
+      const parse = () => {
+        while (buf.length >= 2) {
+          let len = buf[1] & 0x7f;
+          let offset = 2;
+          if (len === 126) { len = buf.readUInt16BE(2); offset = 4; }
+          if (buf.length < offset + len) break;
+          const opcode = buf[0] & 0x0f;
+          const payload = buf.subarray(offset, offset + len);
+          buf = buf.subarray(offset + len);
+          if (opcode === 0x8) client.closed = payload.length >= 2 ? payload.readUInt16BE(0) : 1005;
+          else if (opcode === 0x1) frames.push(JSON.parse(payload.toString('utf8')));
+        }
+        check();
+      };
+      // The first events may already be in head
+      parse();
+      socket.on('data', (chunk) => {
+        buf = Buffer.concat([buf, chunk]);
+        parse();
+      });
+      // Waits for the next event matching the name (and predicate)
+      client.next = (event, predicate = () => true) => new Promise((done) => {
+        waiter = { match: (f) => f.event === event && predicate(f.data), resolve: done };
+        check();
+      });
+      client.send = (obj) => socket.write(clientFrame(0x1, Buffer.from(JSON.stringify(obj))));
+      client.raw = (frame) => socket.write(frame);
+      client.end = () => socket.destroy();
+      resolve(client);
+    });
+    req.end();
+  });
+}
+
+test('the accept key follows RFC 6455', () => {
+  assert.equal(acceptKey('dGhlIHNhbXBsZSBub25jZQ=='), 's3pPLMBiTxaQ9kYGzzhZRbK+xOo=');
+});
+
+test('WebSocket clients exchange messages, locations and removals with SSE clients', async () => {
+  const base = `http://localhost:${port}`;
+  const login = async (name) => (await fetch(`${base}/login`, {
+    method: 'POST',
+    body: JSON.stringify({ room: 'socket', name, password: 'pass' }),
+  })).json();
+  const alice = await login('Alice');
+  const bob = await login('Bob');
+
+  // Bad sessions are refused before the upgrade, like /events
+  const refused = await connect('room=socket&session=nope');
+  assert.equal(refused.status, 401);
+  assert.equal(refused.body.error, 'unauthorized');
+  assert.equal((await connect('room=socket&password=wrong')).status, 403);
+
+  const ws = await connect(`room=socket&session=${alice.token}`);
+  assert.equal(ws.status, 101);
+  const sync = await ws.next('sync');
+  assert.equal(sync.id, sync.data.id);
+
+  // Bob listens over SSE
+  const controller = new AbortController();
+  const { readUntil } = sseReader(await fetch(`${base}/events?room=socket&session=${bob.token}`, { signal: controller.signal }));
+  await readUntil(/event: sync\n/);
+
+  // Uplink over the socket reaches the SSE client, with a reply per ref
+  ws.send({ type: 'location', ref: 1, lat: 35.5, lon: 139.5, clientId: 'loc-1' });
+  assert.deepEqual((await ws.next('reply', (d) => d.ref === 1)).data, { ref: 1, status: 200, ok: true });
+  const [, locId, loc] = await readUntil(/id: (\d+)\nevent: location\ndata: (.*)\n/);
+  assert.deepEqual({ ...JSON.parse(loc), time: 0 }, { id: alice.participantId, name: 'Alice', lat: 35.5, lon: 139.5, time: 0 });
+  // The socket gets the same event, numbered like the SSE stream
+  const own = await ws.next('location');
+  assert.equal(own.id, Number(locId));
+
+  // Text arrives in two fragments
+  const text = Buffer.from(JSON.stringify({ type: 'message', ref: 2, text: 'こんにちは', clientId: 'msg-1' }));
+  ws.raw(clientFrame(0x1, text.subarray(0, 10), false));
+  ws.raw(clientFrame(0x0, text.subarray(10)));
+  assert.equal((await ws.next('reply', (d) => d.ref === 2)).data.status, 200);
+  const [, posted] = await readUntil(/event: message\ndata: (.*"text":"こんにちは".*)\n/);
+  assert.equal(JSON.parse(posted).from, alice.participantId);
+  // A resent clientId is accepted but not delivered again
+  ws.send({ type: 'message', ref: 3, text: 'こんにちは', clientId: 'msg-1' });
+  assert.equal((await ws.next('reply', (d) => d.ref === 3)).data.status, 200);
+
+  // Validation errors and unknown types are replied to without closing
+  ws.send({ type: 'message', ref: 4 });
+  assert.deepEqual((await ws.next('reply', (d) => d.ref === 4)).data,
+    { ref: 4, status: 400, error: 'bad_request', message: 'text is required' });
+  ws.send({ type: 'zone', ref: 5 });
+  assert.equal((await ws.next('reply', (d) => d.ref === 5)).data.message, 'Unknown type');
+  // The room is the one the socket joined, whatever the frame says
+  ws.send({ type: 'message', ref: 6, room: 'elsewhere', text: 'still here' });
+  assert.equal((await ws.next('reply', (d) => d.ref === 6)).data.status, 200);
+  await readUntil(/"text":"still here"/);
+
+  // Bob's HTTP message reaches the socket
+  await fetch(`${base}/message`, {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${bob.token}` },
+    body: JSON.stringify({ room: 'socket', text: 'hi Alice' }),
+  });
+  assert.equal((await ws.next('message', (m) => m.text === 'hi Alice')).data.from, bob.participantId);
+
+  // remove leaves the room and closes the socket; the session is gone
+  ws.send({ type: 'remove', ref: 7 });
+  assert.equal((await ws.next('reply', (d) => d.ref === 7)).data.status, 200);
+  const [, removed] = await readUntil(/event: remove\ndata: (.*)\n/);
+  assert.equal(JSON.parse(removed).id, alice.participantId);
+  await new Promise((resolve) => ws.socket.on('close', resolve));
+  assert.equal(ws.closed, 1000);
+  assert.equal((await connect(`room=socket&session=${alice.token}`)).status, 401);
+  controller.abort();
+});
+
+test('protocol errors close the socket with a status code', async () => {
+  const base = `http://localhost:${port}`;
+  const carol = await (await fetch(`${base}/login`, {
+    method: 'POST',
+    body: JSON.stringify({ room: 'socket2', name: 'Carol', password: 'pass' }),
+  })).json();
+  const closedWith = async (frame) => {
+    const ws = await connect(`room=socket2&session=${carol.token}`);
+    await ws.next('sync');
+    ws.raw(frame);
+    await new Promise((resolve) => ws.socket.on('close', resolve));
+    return ws.closed;
+  };
+  // Unmasked client frame
+  assert.equal(await closedWith(Buffer.from([0x81, 0x02, 0x7b, 0x7d])), 1002);
+  assert.equal(await closedWith(clientFrame(0x2, Buffer.from([1, 2, 3]))), 1003);
+  assert.equal(await closedWith(clientFrame(0x1, Buffer.from([0xff, 0xfe]))), 1007);
+  assert.equal(await closedWith(clientFrame(0x1, Buffer.alloc(17 * 1024, 0x61))), 1009);
+});
+
+test('a socket is authenticated once, when it connects', async () => {
+  const base = `http://localhost:${port}`;
+  const owner = await (await fetch(`${base}/login`, {
+    method: 'POST',
+    body: JSON.stringify({ room: 'socket3', name: 'Owner', password: 'pass' }),
+  })).json();
+  const ws = await connect('room=socket3&name=Dan&password=pass');
+  await ws.next('sync');
+  ws.send({ type: 'message', ref: 1, text: 'before' });
+  assert.equal((await ws.next('reply', (d) => d.ref === 1)).data.status, 200);
+  // Frames are not checked against the password again, so a new password keeps the socket open
+  assert.equal((await fetch(`${base}/changePassword?room=socket3&session=${owner.token}&ownerKey=${owner.ownerKey}`, {
+    method: 'POST',
+    body: JSON.stringify({ newPassword: 'changed' }),
+  })).status, 200);
+  ws.send({ type: 'message', ref: 2, text: 'after' });
+  assert.equal((await ws.next('reply', (d) => d.ref === 2)).data.status, 200);
+  assert.equal((await connect('room=socket3&name=Dan&password=pass')).status, 403);
+  ws.end();
+});